@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Stub server for trying data-fc-persist="remote" locally
+ * Keeps drafts in memory: GET, PUT and DELETE /drafts/<key>
+ *
+ * Usage: node scripts/persistence-stub.js [port]
+ * Then: data-fc-persist-endpoint="http://localhost:5501/drafts"
+ */
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 5501;
+const drafts = new Map();
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const match = req.url.match(/^\/drafts\/([^/?]+)/);
+  if (!match) {
+    res.writeHead(404);
+    res.end();
+    return;
+  }
+  const key = decodeURIComponent(match[1]);
+
+  if (req.method === 'GET') {
+    if (!drafts.has(key)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(drafts.get(key));
+  } else if (req.method === 'PUT') {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      drafts.set(key, body);
+      console.log(`Saved ${key} (${body.length} bytes)`);
+      res.writeHead(204);
+      res.end();
+    });
+  } else if (req.method === 'DELETE') {
+    drafts.delete(key);
+    console.log(`Removed ${key}`);
+    res.writeHead(204);
+    res.end();
+  } else {
+    res.writeHead(405);
+    res.end();
+  }
+});
+
+server.listen(port, () => {
+  console.log(`FormChippy persistence stub listening on http://localhost:${port}/drafts`);
+});
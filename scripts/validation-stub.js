@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Stub server for trying addAsyncValidator locally
+ * - GET /postcode/<postcode>: 200 if the postcode is found, 404 if not
+ * - GET /eligibility?lender=<lender>&loan=<amount>&value=<property value>:
+ *   { eligible, message } (eligible when the lender is known and borrows up to 95% of the value)
+ *
+ * Any well-formed UK postcode is found, except in the made-up ZZ area (try ZZ1 1ZZ).
+ * Responses are delayed, so the pending state (fc-validating) can be seen.
+ *
+ * Usage: node scripts/validation-stub.js [port] [delay in ms]
+ * Then fetch from http://localhost:5502 (see "Server-Side Checks" in the README)
+ */
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 5502;
+const delay = process.argv[3] !== undefined ? Number(process.argv[3]) : 300;
+
+const POSTCODE = /^[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}$/i;
+const LENDERS = ['barclays', 'hsbc', 'lloyds', 'nationwide', 'natwest', 'santander'];
+const MAX_LOAN_TO_VALUE = 0.95;
+
+const send = (res, status, body) => {
+  setTimeout(() => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }, delay);
+};
+
+const checkPostcode = (postcode) => {
+  const normalised = postcode.trim().toUpperCase();
+  if (!POSTCODE.test(normalised)) {
+    return [400, { found: false, message: 'That is not a valid UK postcode' }];
+  }
+  if (normalised.startsWith('ZZ')) {
+    return [404, { found: false, message: 'We could not find that postcode' }];
+  }
+  return [200, { found: true, postcode: normalised }];
+};
+
+const checkEligibility = (query) => {
+  const lender = (query.get('lender') || '').trim().toLowerCase();
+  if (!LENDERS.includes(lender)) {
+    return { eligible: false, message: 'This lender cannot offer you a mortgage' };
+  }
+
+  const loan = Number(query.get('loan'));
+  const value = Number(query.get('value'));
+  if (loan > 0 && value > 0 && loan / value > MAX_LOAN_TO_VALUE) {
+    return { eligible: false, message: `This lender only lends up to ${MAX_LOAN_TO_VALUE * 100}% of the property value` };
+  }
+  return { eligible: true, message: null };
+};
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  if (req.method !== 'GET') {
+    res.writeHead(405);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const postcode = url.pathname.match(/^\/postcode\/([^/]+)$/);
+
+  if (postcode) {
+    const [status, body] = checkPostcode(decodeURIComponent(postcode[1]));
+    console.log(`Postcode ${decodeURIComponent(postcode[1])}: ${status}`);
+    send(res, status, body);
+  } else if (url.pathname === '/eligibility') {
+    const body = checkEligibility(url.searchParams);
+    console.log(`Eligibility for ${url.searchParams.get('lender')}: ${body.eligible}`);
+    send(res, 200, body);
+  } else {
+    res.writeHead(404);
+    res.end();
+  }
+});
+
+server.listen(port, () => {
+  console.log(`FormChippy validation stub listening on http://localhost:${port} (postcode and eligibility checks)`);
+});
@@ -1,10 +1,12 @@
 import { API_BASE_URL } from "../constants/api.js";
+import { redactSensitive } from "../core/sensitive.js";
 export async function getLogEvents(inputData) {
     try {
       const response = await fetch(API_BASE_URL+'/api/LogEventHttpTrigger', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(inputData),
+        // Event logs never carry data-fc-sensitive answers
+        body: JSON.stringify(redactSensitive(inputData)),
       });
   
       const result = await response.json();
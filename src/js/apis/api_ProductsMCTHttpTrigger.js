@@ -1,8 +1,9 @@
 import { API_BASE_URL } from "../constants/api.js";
+import { redactSensitive } from "../core/sensitive.js";
 
 export async function getProductsMCT(inputData) {
     try {
-        console.log('INPUT PAYLOAD', inputData)
+        console.log('INPUT PAYLOAD', redactSensitive(inputData))
       const response = await fetch(API_BASE_URL+'/api/productsmcthttptrigger', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
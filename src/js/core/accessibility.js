@@ -0,0 +1,182 @@
+/**
+ * Accessibility.js
+ * ARIA attributes and screen reader announcements for slides and errors
+ *
+ * - Every move to another slide is announced through a polite live region:
+ *   "Step 3 of 8: About the property". The heading is the slide's data-fc-slide-title,
+ *   or its first h1-h6 (give a slide data-fc-announce="..." to say something else)
+ * - Fields with an error get aria-invalid="true", and aria-describedby points at the
+ *   error message (your own describedby ids are kept)
+ * - Users who ask for reduced motion (prefers-reduced-motion: reduce) get instant scrolling
+ *
+ * The progress bar and donut manage their own role="progressbar" attributes (see
+ * Progress.js and DonutProgress.js).
+ */
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+// Ids given to error messages that have none
+let messageCount = 0;
+
+export class Accessibility {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        // The describedby id added to each invalid input
+        this._describedBy = new WeakMap();
+
+        // The slide announced last, so repeated updates stay quiet
+        this._announcedIndex = null;
+
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'fc-sr-announcer visually-hidden';
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        // Inline as well, in case the stylesheet is not loaded
+        Object.assign(this.liveRegion.style, {
+            position: 'absolute',
+            width: '1px',
+            height: '1px',
+            overflow: 'hidden',
+            clip: 'rect(0, 0, 0, 0)'
+        });
+        this.formChippy.container.appendChild(this.liveRegion);
+    }
+
+    /**
+     * Check whether the user has asked for reduced motion
+     * @returns {boolean}
+     */
+    prefersReducedMotion() {
+        return typeof window !== 'undefined' &&
+            typeof window.matchMedia === 'function' &&
+            window.matchMedia(REDUCED_MOTION_QUERY).matches;
+    }
+
+    /**
+     * Read a message out through the live region
+     * @param {string} message - The message
+     */
+    announce(message) {
+        // Clear first so the same text is announced again
+        this.liveRegion.textContent = '';
+        setTimeout(() => {
+            this.liveRegion.textContent = message;
+        }, 50);
+    }
+
+    /**
+     * Announce the slide the user has moved to ("Step 3 of 8: <heading>")
+     * @param {number} index - Slide index
+     */
+    announceSlide(index) {
+        if (index === this._announcedIndex) return;
+        this._announcedIndex = index;
+
+        const slide = this.formChippy.slides[index];
+        if (!slide) return;
+
+        const i18n = this.formChippy.i18n;
+        const { position, total } = this.formChippy.branching.getPathPosition(index);
+        const step = i18n.t('step-of', { current: position + 1, total });
+        const heading = this._getHeading(slide);
+
+        this.announce(heading ? i18n.t('slide-announcement', { step, heading }, slide) : step);
+    }
+
+    /**
+     * Mark a field as invalid and describe it by the error message of its question
+     * @param {HTMLElement} target - The input (any radio for a group)
+     */
+    markInvalid(target) {
+        const question = target.closest('[data-fc-question]') || target.closest('[data-fc-content]');
+        const messageElement = question &&
+            (question.querySelector('[data-fc-content-error]') || question.querySelector('.fc-error-message'));
+        const messageId = messageElement ? this._ensureId(messageElement) : null;
+
+        this._getInputs(target).forEach((input) => {
+            input.setAttribute('aria-invalid', 'true');
+            if (!messageId || this._describedBy.get(input) === messageId) return;
+
+            this._removeDescribedBy(input);
+            const ids = (input.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+            input.setAttribute('aria-describedby', [...ids, messageId].join(' '));
+            this._describedBy.set(input, messageId);
+        });
+    }
+
+    /**
+     * Remove the invalid state added by markInvalid
+     * @param {HTMLElement} target - The input (any radio for a group)
+     */
+    markValid(target) {
+        this._getInputs(target).forEach((input) => {
+            input.removeAttribute('aria-invalid');
+            this._removeDescribedBy(input);
+        });
+    }
+
+    /**
+     * Get the inputs behind an error target (a radio's whole group)
+     * @private
+     */
+    _getInputs(target) {
+        if (target.type === 'radio' && target.name) {
+            return Array.from(this.formChippy.container.querySelectorAll('input[type="radio"]')).filter(
+                (radio) => radio.name === target.name
+            );
+        }
+        return [target];
+    }
+
+    /**
+     * Take the error message's id back out of an input's aria-describedby
+     * @private
+     */
+    _removeDescribedBy(input) {
+        const messageId = this._describedBy.get(input);
+        if (!messageId) return;
+
+        const ids = (input.getAttribute('aria-describedby') || '').split(/\s+/).filter(
+            (id) => id && id !== messageId
+        );
+        if (ids.length > 0) {
+            input.setAttribute('aria-describedby', ids.join(' '));
+        } else {
+            input.removeAttribute('aria-describedby');
+        }
+        this._describedBy.delete(input);
+    }
+
+    /**
+     * Get the text a slide is announced by
+     * @private
+     */
+    _getHeading(slide) {
+        if (slide.hasAttribute('data-fc-announce')) return slide.getAttribute('data-fc-announce');
+
+        const heading = slide.querySelector('[data-fc-slide-title]') || slide.querySelector('h1, h2, h3, h4, h5, h6');
+        return heading ? heading.textContent.trim() : '';
+    }
+
+    /**
+     * Give an element an id if it has none
+     * @private
+     */
+    _ensureId(element) {
+        if (!element.id) {
+            messageCount++;
+            element.id = `fc-${this.formChippy.formName}-message-${messageCount}`.replace(/[^\w-]/g, '-');
+        }
+        return element.id;
+    }
+
+    /**
+     * Clean up when destroying the form
+     */
+    destroy() {
+        this.liveRegion.remove();
+    }
+}
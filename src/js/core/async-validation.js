@@ -0,0 +1,347 @@
+/**
+ * AsyncValidation.js
+ * Server-side (asynchronous) field checks, such as postcode lookups
+ *
+ * Usage:
+ * - formChippy.addAsyncValidator('postcode', async (value, { signal }) => {
+ *       const response = await fetch(`/api/postcode/${encodeURIComponent(value)}`, { signal })
+ *       return response.ok || 'We could not find that postcode'
+ *   })
+ * - The name is a field name (data-input or name), or a rule name used in data-fc-rule:
+ *   <input name="lender" data-fc-rule="lender-eligible">
+ *
+ * A validator returns (or resolves to) true when the value is valid, and false or an error
+ * message when it is not. Checks only run once the field passes its other validation.
+ *
+ * - While typing, checks are debounced (options.debounce, 400ms by default)
+ * - While a check is pending the field gets the `fc-validating` class and aria-busy
+ * - A newer value aborts the pending check (context.signal) and its response is ignored
+ * - Next and submit wait for pending checks before moving on
+ * - A validator that throws (e.g. the API is down) does not block the user
+ */
+
+import { parseRules } from './rules.js';
+
+export class AsyncValidation {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        // Validators keyed by field or rule name
+        this.validators = {};
+
+        // Check state per input: { value, timer, controller, promise, result, awaited }
+        this._state = new Map();
+    }
+
+    /**
+     * Add an asynchronous validator
+     * @param {string} name - Field name, or a rule name used in data-fc-rule
+     * @param {Function} validate - (value, context) => boolean|string|Promise<boolean|string>
+     *   context: { input, field, data, signal }
+     * @param {Object} [options]
+     * @param {number} [options.debounce=400] - Delay after typing before the check runs (ms)
+     * @param {string} [options.message] - Error message when the validator returns false
+     * @returns {Function} Call to remove the validator
+     */
+    addValidator(name, validate, options = {}) {
+        if (typeof validate !== 'function') {
+            this.formChippy.debug.error(`addAsyncValidator: Validator for '${name}' must be a function`);
+            return () => {};
+        }
+
+        const entry = {
+            validate,
+            debounce: options.debounce ?? 400,
+            message: options.message || null
+        };
+
+        if (!this.validators[name]) {
+            this.validators[name] = [];
+        }
+        this.validators[name].push(entry);
+        this.formChippy.debug.info(`Async validator added for: ${name}`);
+
+        return () => {
+            this.validators[name] = (this.validators[name] || []).filter((v) => v !== entry);
+            this._reset();
+        };
+    }
+
+    /**
+     * Check whether a rule name belongs to an async validator
+     * @param {string} name - Rule name from data-fc-rule
+     * @returns {boolean}
+     */
+    hasRule(name) {
+        return (this.validators[name] || []).length > 0;
+    }
+
+    /**
+     * Get the error from a finished check of this value, if it failed
+     * @param {HTMLElement} input - The input
+     * @param {string} value - The trimmed value
+     * @returns {string|null} The error message, or null if it passed or has not been checked
+     */
+    getFailure(input, value) {
+        const state = this._state.get(input);
+        if (!state || state.value !== value || !state.result) return null;
+        return state.result.valid ? null : state.result.message;
+    }
+
+    /**
+     * Start a debounced check of an input's value, unless it is already checked or pending
+     * @param {HTMLElement} input - The input
+     * @param {string} value - The trimmed value
+     */
+    schedule(input, value) {
+        const validators = this._getValidators(input);
+        if (validators.length === 0 || value === '') return;
+
+        const state = this._state.get(input);
+        if (state && state.value === value) return;
+
+        this._abort(input);
+        const delay = Math.max(...validators.map((v) => v.debounce));
+        const next = { value, timer: null, controller: null, promise: null, result: null };
+        next.timer = setTimeout(() => {
+            next.timer = null;
+            this._run(input, next);
+        }, delay);
+        this._state.set(input, next);
+    }
+
+    /**
+     * Abort the pending check of an input if its value has changed since
+     * @param {HTMLElement} input - The input
+     * @param {string} value - The trimmed current value
+     */
+    cancelStale(input, value) {
+        const state = this._state.get(input);
+        if (state && state.value !== value) {
+            this._abort(input);
+        }
+    }
+
+    /**
+     * Check whether a slide has fields whose current value still needs a server check
+     * @param {HTMLElement} slide - The slide
+     * @returns {boolean}
+     */
+    needsCheck(slide) {
+        return this._getCheckedInputs(slide).some((input) => {
+            const state = this._state.get(input);
+            return !state || state.value !== this._valueOf(input) || !state.result;
+        });
+    }
+
+    /**
+     * Run (or wait for) the checks of every field on a slide
+     * @param {HTMLElement} slide - The slide
+     * @returns {Promise<boolean>} True if every check passed
+     */
+    async validateSlide(slide) {
+        if (!this.formChippy.validationEnabled) return true;
+
+        const results = await Promise.all(
+            this._getCheckedInputs(slide).map((input) => this.check(input))
+        );
+        return results.every(Boolean);
+    }
+
+    /**
+     * Run (or wait for) the check of one input's current value, skipping the debounce
+     * @param {HTMLElement} input - The input
+     * @returns {Promise<boolean>} True if valid (or nothing to check)
+     */
+    check(input) {
+        const value = this._valueOf(input);
+        if (value === '' || this._getValidators(input).length === 0) {
+            return Promise.resolve(true);
+        }
+
+        let state = this._state.get(input);
+        if (!state || state.value !== value) {
+            this._abort(input);
+            state = { value, timer: null, controller: null, promise: null, result: null };
+            this._state.set(input, state);
+        }
+
+        if (state.result) return Promise.resolve(state.result.valid);
+
+        state.awaited = true;
+        if (state.timer) {
+            clearTimeout(state.timer);
+            state.timer = null;
+        }
+        return state.promise || this._run(input, state);
+    }
+
+    /**
+     * Run the validators for a value
+     * @param {HTMLElement} input - The input
+     * @param {Object} state - The input's check state
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    _run(input, state) {
+        const controller = new AbortController();
+        state.controller = controller;
+        this._setPending(input, true);
+
+        const field = this._fieldName(input);
+        const context = {
+            input,
+            field,
+            data: this.formChippy.formStore.getFlatData(),
+            signal: controller.signal
+        };
+
+        state.promise = (async () => {
+            let result = { valid: true, message: null };
+
+            for (const validator of this._getValidators(input)) {
+                try {
+                    const outcome = await validator.validate(state.value, context);
+                    if (controller.signal.aborted) return this._recheck(input, state);
+
+                    if (outcome === false || typeof outcome === 'string') {
+                        result = {
+                            valid: false,
+                            message: typeof outcome === 'string'
+                                ? outcome
+                                : validator.message || this.formChippy.i18n.t('check-value', {}, input)
+                        };
+                        break;
+                    }
+                } catch (error) {
+                    if (controller.signal.aborted) return this._recheck(input, state);
+                    this.formChippy.debug.error(`Async validator for '${field}' failed, allowing the value:`, error);
+                }
+            }
+
+            // A newer value replaced this check while it was running
+            if (this._state.get(input) !== state) return this._recheck(input, state);
+
+            state.result = result;
+            state.controller = null;
+            this._setPending(input, false);
+            this._showResult(input, result);
+            this.formChippy.debug.info(`Async validation for '${field}': ${result.valid ? 'passed' : 'failed'}`);
+            return result.valid;
+        })();
+
+        return state.promise;
+    }
+
+    /**
+     * When a check is replaced while something waits on it, wait for the newer value's check instead
+     * @private
+     */
+    _recheck(input, state) {
+        return state.awaited && this._state.has(input) ? this.check(input) : true;
+    }
+
+    /**
+     * Show or clear the error from a finished check
+     * @private
+     */
+    _showResult(input, result) {
+        const validation = this.formChippy.validation;
+        const fieldElement = input.closest('[data-fc-element="field"]') || input;
+        const existing = validation.getFieldError(input);
+
+        if (result.valid) {
+            if (existing && existing.async) {
+                validation.clearInputError(fieldElement);
+                validation._forgetError(input);
+            }
+        } else if (!existing || existing.async) {
+            validation._failInput(input, fieldElement, result.message, { focus: false });
+            validation.getFieldError(input).async = true;
+        }
+    }
+
+    /**
+     * Abort an input's pending check
+     * @private
+     */
+    _abort(input) {
+        const state = this._state.get(input);
+        if (!state) return;
+
+        if (state.timer) clearTimeout(state.timer);
+        if (state.controller) state.controller.abort();
+        this._state.delete(input);
+        this._setPending(input, false);
+    }
+
+    /**
+     * Forget every check (e.g. after the validators change)
+     * @private
+     */
+    _reset() {
+        Array.from(this._state.keys()).forEach((input) => this._abort(input));
+    }
+
+    /**
+     * Show or clear the pending state on a field
+     * @private
+     */
+    _setPending(input, isPending) {
+        const fieldElement = input.closest('[data-fc-element="field"]') || input;
+        fieldElement.classList.toggle('fc-validating', isPending);
+        if (isPending) {
+            input.setAttribute('aria-busy', 'true');
+        } else {
+            input.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Get the validators that apply to an input (by field name and data-fc-rule)
+     * @private
+     */
+    _getValidators(input) {
+        const names = [
+            this._fieldName(input),
+            ...parseRules(input.getAttribute('data-fc-rule')).map((rule) => rule.name)
+        ];
+        return names.flatMap((name) => this.validators[name] || []);
+    }
+
+    /**
+     * Get the visible inputs on a slide that have validators
+     * @private
+     */
+    _getCheckedInputs(slide) {
+        return Array.from(slide.querySelectorAll('input, textarea, select')).filter(
+            (input) =>
+                !this.formChippy.validation._isConditionallyHidden(input) &&
+                this._getValidators(input).length > 0
+        );
+    }
+
+    /**
+     * Get an input's trimmed value
+     * @private
+     */
+    _valueOf(input) {
+        return typeof input.value === 'string' ? input.value.trim() : '';
+    }
+
+    /**
+     * Get the name a field is stored under
+     * @private
+     */
+    _fieldName(input) {
+        return input.getAttribute('data-input') || input.name || input.id;
+    }
+
+    /**
+     * Clean up when destroying the form
+     */
+    destroy() {
+        this._reset();
+    }
+}
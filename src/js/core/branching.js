@@ -0,0 +1,270 @@
+/**
+ * Branching.js
+ * Resolves which slide "Next" leads to, based on the current answers
+ *
+ * Declarative rules (checked in this order, first match wins):
+ * - On the next button: data-fc-next-if="purchase-type=Remortgage:remortgage-details"
+ * - On the next button: data-fc-go-to="slide-id" (unconditional)
+ * - JS rules added with formChippy.addBranchRule(slideId, rule)
+ * - On the slide: data-fc-next-if="purchase-type=Remortgage:remortgage-details"
+ * - On the slide: data-fc-next="slide-id" (unconditional, e.g. to rejoin the main journey)
+ * - Otherwise the next slide in document order
+ * Slides hidden by data-fc-show-if or inside a hidden slide group are always passed over.
+ *
+ * Rule syntax for data-fc-next-if:
+ * - "field=value:target"      field equals value
+ * - "field!=value:target"     field does not equal value
+ * - "field=a|b:target"        field equals any of the values
+ * - Separate several rules with ";"
+ * For checkbox groups (array values) "=" matches if the array contains the value.
+ */
+
+/**
+ * Check a single "field=value" or "field!=value" condition against flat form data
+ * Also used by the Conditions module for data-fc-show-if
+ * @param {string} condition - The condition
+ * @param {Object} data - Flat form data
+ * @returns {boolean} True if the condition holds
+ */
+export function matchesCondition(condition, data) {
+    const negate = condition.includes('!=');
+    const [field, expected = ''] = condition.split(negate ? '!=' : '=').map((s) => s.trim());
+    if (!field) return false;
+
+    const expectedValues = expected.split('|').map((s) => s.trim());
+    const actual = data[field];
+    const actualValues = Array.isArray(actual)
+        ? actual.map(String)
+        : [actual === undefined || actual === null ? '' : String(actual)];
+
+    const matches = expectedValues.some((value) => actualValues.includes(value));
+    return negate ? !matches : matches;
+}
+
+export class Branching {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        // JS rules keyed by slide ID
+        this.rules = {};
+    }
+
+    /**
+     * Add a branching rule for a slide
+     * @param {string} slideId - The slide the rule applies to
+     * @param {Function|string} rule - Either a function (data, formChippy) => targetSlideId|null,
+     *   or a rule string using the data-fc-next-if syntax
+     * @returns {Function} Call to remove the rule again
+     */
+    addRule(slideId, rule) {
+        const resolver = typeof rule === 'string'
+            ? (data) => this._evaluateRuleString(rule, data)
+            : rule;
+
+        if (typeof resolver !== 'function') {
+            this.formChippy.debug.error(`addBranchRule: Rule for '${slideId}' must be a function or rule string`);
+            return () => {};
+        }
+
+        if (!this.rules[slideId]) {
+            this.rules[slideId] = [];
+        }
+        this.rules[slideId].push(resolver);
+        this.formChippy.debug.info(`Branch rule added for slide: ${slideId}`);
+
+        this._notifyPathChanged();
+
+        return () => {
+            this.rules[slideId] = (this.rules[slideId] || []).filter((r) => r !== resolver);
+            this._notifyPathChanged();
+        };
+    }
+
+    /**
+     * Remove all JS rules for a slide
+     * @param {string} slideId - The slide ID
+     */
+    removeRules(slideId) {
+        delete this.rules[slideId];
+        this._notifyPathChanged();
+    }
+
+    /**
+     * Resolve the index "Next" leads to from a slide
+     * @param {number} fromIndex - Index of the current slide
+     * @param {HTMLElement} [button] - The next button that was used, if any
+     * @returns {number} Target slide index, or -1 if there is no next slide
+     */
+    resolveNextIndex(fromIndex, button) {
+        const slides = this.formChippy.slides;
+        const slide = slides[fromIndex];
+        if (!slide) return -1;
+
+        const targetId = this.resolveNextSlideId(slide, button);
+        if (targetId) {
+            const targetIndex = this._indexOfSlideId(targetId);
+            if (targetIndex !== -1) {
+                // A hidden target continues to the next visible slide after it
+                return this._firstVisibleFrom(targetIndex);
+            }
+            this.formChippy.debug.warn(`Branch target '${targetId}' not found, falling back to the next slide`);
+        }
+
+        return this._firstVisibleFrom(fromIndex + 1);
+    }
+
+    /**
+     * Check whether a slide is skipped because it (or its group) is hidden
+     * @param {HTMLElement} slide - The slide
+     * @returns {boolean} True if navigation should pass over the slide
+     */
+    isSlideSkipped(slide) {
+        return !!slide.closest('[data-fc-condition-hidden], [data-fc-slide-group].hide');
+    }
+
+    /**
+     * Find the first slide at or after an index that is not hidden
+     * @param {number} index - Index to start from
+     * @returns {number} Slide index, or -1 if there is none
+     * @private
+     */
+    _firstVisibleFrom(index) {
+        const slides = this.formChippy.slides;
+        for (let i = Math.max(index, 0); i < slides.length; i++) {
+            if (!this.isSlideSkipped(slides[i])) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Resolve the slide ID a slide's rules point to
+     * @param {HTMLElement} slide - The slide
+     * @param {HTMLElement} [button] - The next button that was used, if any
+     * @returns {string|null} Target slide ID, or null to use the next slide in order
+     */
+    resolveNextSlideId(slide, button) {
+        const data = this.formChippy.formStore.getFlatData();
+        const slideId = slide.getAttribute('data-fc-slide');
+        const nextButton = button || slide.querySelector('[data-fc-button="next"], [data-fc-button-next]');
+
+        // 1. Rules on the button
+        if (nextButton) {
+            const buttonRules = nextButton.getAttribute('data-fc-next-if');
+            const buttonTarget = buttonRules && this._evaluateRuleString(buttonRules, data);
+            if (buttonTarget) return buttonTarget;
+
+            const goTo = nextButton.getAttribute('data-fc-go-to');
+            if (goTo) return goTo;
+        }
+
+        // 2. JS rules
+        const jsRules = this.rules[slideId] || [];
+        for (const resolver of jsRules) {
+            try {
+                const target = resolver(data, this.formChippy);
+                if (target) return target;
+            } catch (error) {
+                this.formChippy.debug.error(`Branch rule for '${slideId}' threw an error:`, error);
+            }
+        }
+
+        // 3. Rules on the slide
+        const slideRules = slide.getAttribute('data-fc-next-if');
+        const slideTarget = slideRules && this._evaluateRuleString(slideRules, data);
+        if (slideTarget) return slideTarget;
+
+        // 4. Unconditional slide target
+        return slide.getAttribute('data-fc-next') || null;
+    }
+
+    /**
+     * Get the slide indexes on the path the user will take with the current answers
+     * Always contains the current slide, even if the user reached it off-path
+     * @returns {Array<number>} Slide indexes in journey order
+     */
+    getPath() {
+        const slides = this.formChippy.slides;
+        const path = [];
+        if (slides.length === 0) return path;
+
+        const seen = new Set();
+        let index = Math.max(this._firstVisibleFrom(0), 0);
+        while (index !== -1 && !seen.has(index)) {
+            seen.add(index);
+            path.push(index);
+            index = this.resolveNextIndex(index);
+        }
+
+        // Keep the current slide countable if it was reached another way (dots, goToSlide)
+        const currentIndex = this.formChippy.currentSlideIndex;
+        if (!seen.has(currentIndex) && slides[currentIndex]) {
+            path.push(currentIndex);
+            path.sort((a, b) => a - b);
+        }
+
+        return path;
+    }
+
+    /**
+     * Get the position of a slide on the active path
+     * @param {number} index - Slide index
+     * @returns {{position: number, total: number}} 0-based position and path length
+     */
+    getPathPosition(index) {
+        const path = this.getPath();
+        const position = path.indexOf(index);
+        return {
+            position: position !== -1 ? position : index,
+            total: path.length || this.formChippy.totalSlides
+        };
+    }
+
+    /**
+     * Evaluate a rule string against the form data
+     * @param {string} ruleString - One or more rules separated by ";"
+     * @param {Object} data - Flat form data
+     * @returns {string|null} Target slide ID of the first matching rule
+     * @private
+     */
+    _evaluateRuleString(ruleString, data) {
+        const rules = ruleString.split(';').map((r) => r.trim()).filter(Boolean);
+
+        for (const rule of rules) {
+            const separator = rule.lastIndexOf(':');
+            if (separator === -1) {
+                this.formChippy.debug.warn(`Invalid branch rule (missing ':target'): ${rule}`);
+                continue;
+            }
+
+            const condition = rule.slice(0, separator).trim();
+            const target = rule.slice(separator + 1).trim();
+
+            if (matchesCondition(condition, data)) {
+                return target;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find a slide index by its ID
+     * @private
+     */
+    _indexOfSlideId(slideId) {
+        return this.formChippy.slides.findIndex(
+            (slide) => slide.getAttribute('data-fc-slide') === slideId
+        );
+    }
+
+    /**
+     * Refresh progress indicators after the rules change
+     * @private
+     */
+    _notifyPathChanged() {
+        if (this.formChippy.progress) {
+            this.formChippy.progress.updateProgress(this.formChippy.currentSlideIndex);
+        }
+    }
+}
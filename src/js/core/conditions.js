@@ -0,0 +1,210 @@
+/**
+ * Conditions.js
+ * Shows and hides slide groups, slides and fields based on the current answers
+ *
+ * Usage:
+ * - <div data-fc-slide-group="let-details" data-fc-show-if="purchase-habitable-purpose=let">
+ * - <div data-fc-slide="rental-income" data-fc-show-if="purchase-habitable-purpose=let">
+ * - <div data-fc-element="field" data-fc-show-if="has-deposit=yes">
+ *
+ * Syntax (same conditions as data-fc-next-if, without the target):
+ * - "field=value", "field!=value", "field=a|b"
+ * - Combine conditions with "&" (all must match): "purchase-type=Purchase & first-time-buyer=yes"
+ *
+ * Conditions are re-evaluated whenever form data changes. Hidden elements get the
+ * `data-fc-condition-hidden` attribute; inputs inside them are skipped by validation,
+ * their values are left out of the form data, and navigation passes over hidden slides.
+ */
+
+import { matchesCondition } from './branching.js';
+
+export class Conditions {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        this._evaluating = false;
+        this._handleFormDataChanged = () => this.evaluate();
+    }
+
+    /**
+     * Apply the conditions for the first time and re-evaluate on every data change
+     */
+    init() {
+        this.formChippy.on('formDataChanged', this._handleFormDataChanged);
+        this.evaluate(true);
+    }
+
+    /**
+     * Check whether a condition string holds for the current answers
+     * @param {string} conditionString - e.g. "purchase-type=Purchase & first-time-buyer=yes"
+     * @param {Object} [data] - Flat form data (defaults to the form store)
+     * @returns {boolean} True if every condition matches
+     */
+    matches(conditionString, data = this.formChippy.formStore.getFlatData()) {
+        return conditionString
+            .split('&')
+            .map((condition) => condition.trim())
+            .filter(Boolean)
+            .every((condition) => matchesCondition(condition, data));
+    }
+
+    /**
+     * Check whether an element is inside something hidden by a condition
+     * @param {HTMLElement} element - Any element in the form
+     * @returns {boolean}
+     */
+    isHidden(element) {
+        return !!element.closest('[data-fc-condition-hidden]');
+    }
+
+    /**
+     * Show or hide every [data-fc-show-if] element to match the current answers
+     * @param {boolean} [force=false] - Apply the state even if it looks unchanged (used on init)
+     */
+    evaluate(force = false) {
+        // Hiding a field removes its value, which emits formDataChanged again
+        if (this._evaluating) return;
+        this._evaluating = true;
+
+        let changed = false;
+        try {
+            // Repeat until stable, since a hidden field can affect other conditions
+            for (let pass = 0; pass < 5; pass++) {
+                const data = this.formChippy.formStore.getFlatData();
+                const elements = this.formChippy.container.querySelectorAll('[data-fc-show-if]');
+                let passChanged = false;
+
+                elements.forEach((element) => {
+                    const shouldShow = this.matches(element.getAttribute('data-fc-show-if'), data);
+                    const isHidden = element.hasAttribute('data-fc-condition-hidden');
+
+                    if (!(force && pass === 0) && shouldShow !== isHidden) return;
+
+                    if (shouldShow) {
+                        this._show(element);
+                    } else {
+                        this._hide(element);
+                    }
+                    passChanged = passChanged || shouldShow === isHidden;
+                });
+
+                if (!passChanged) break;
+                changed = true;
+            }
+        } finally {
+            this._evaluating = false;
+        }
+
+        if (changed || force) {
+            this._refreshIndicators();
+        }
+    }
+
+    /**
+     * Hide an element and drop its fields from the form data
+     * @param {HTMLElement} element - The element with data-fc-show-if
+     * @private
+     */
+    _hide(element) {
+        element.setAttribute('data-fc-condition-hidden', '');
+
+        if (element.hasAttribute('data-fc-slide-group')) {
+            this.formChippy.dynamicSlides.hideSlideGroup(element);
+        } else {
+            element.classList.add('hide');
+            element.style.display = 'none';
+        }
+
+        this._getInputs(element).forEach((input) => {
+            this.formChippy.validation.clearInputError(input);
+
+            const key = input.getAttribute('data-input') || input.name;
+            if (key) {
+                this.formChippy.formStore.remove(key, { source: 'condition' });
+            }
+        });
+
+        this.formChippy.debug.info('Condition hid element', {
+            condition: element.getAttribute('data-fc-show-if'),
+            element: this._describe(element)
+        });
+    }
+
+    /**
+     * Show an element and restore its fields' values from their inputs
+     * @param {HTMLElement} element - The element with data-fc-show-if
+     * @private
+     */
+    _show(element) {
+        element.removeAttribute('data-fc-condition-hidden');
+
+        if (element.hasAttribute('data-fc-slide-group')) {
+            this.formChippy.dynamicSlides.showSlideGroup(element);
+        } else {
+            element.classList.remove('hide');
+            element.style.display = '';
+        }
+
+        // Skip inputs that are still inside another hidden element
+        this._getInputs(element)
+            .filter((input) => !this.isHidden(input))
+            .forEach((input) => {
+                const hasValue = input.type === 'radio' || input.type === 'checkbox'
+                    ? input.checked
+                    : input.value !== '';
+                if (hasValue) {
+                    this.formChippy.validation.updateFormData(input);
+                }
+            });
+
+        this.formChippy.debug.info('Condition showed element', {
+            condition: element.getAttribute('data-fc-show-if'),
+            element: this._describe(element)
+        });
+    }
+
+    /**
+     * Update progress, donut, step counter and buttons after visibility changes
+     * @private
+     */
+    _refreshIndicators() {
+        const index = this.formChippy.currentSlideIndex;
+
+        if (this.formChippy.progress) {
+            this.formChippy.progress.updateProgress(index);
+        }
+        if (this.formChippy.donutProgress && this.formChippy.donutProgress.initialized) {
+            this.formChippy.donutProgress.updateProgressFromCurrentSlide();
+        }
+        if (this.formChippy.navigation) {
+            this.formChippy.navigation.updateSlideCounter(index);
+        }
+    }
+
+    /**
+     * Get the inputs inside an element
+     * @private
+     */
+    _getInputs(element) {
+        return Array.from(element.querySelectorAll('input, select, textarea'));
+    }
+
+    /**
+     * Short description of an element for debug logs
+     * @private
+     */
+    _describe(element) {
+        return element.getAttribute('data-fc-slide-group') ||
+            element.getAttribute('data-fc-slide') ||
+            element.getAttribute('data-input') ||
+            element.tagName.toLowerCase();
+    }
+
+    /**
+     * Clean up when destroying the form
+     */
+    destroy() {
+        this.formChippy.off('formDataChanged', this._handleFormDataChanged);
+    }
+}
@@ -0,0 +1,434 @@
+/**
+ * CrossFieldRules.js
+ * Validation rules that compare several fields, possibly on different slides
+ *
+ * Usage:
+ * - <div data-fc-slide="deposit"
+ *        data-fc-validate-expr="deposit-amount < property-value"
+ *        data-fc-validate-message="Your deposit must be less than the property value">
+ * - formChippy.addValidationRule('term', 'mortgage-term + applicant-age <= 75', {
+ *       message: 'The mortgage must end by the time you are 75'
+ *   })
+ * - formChippy.addValidationRule('borrow', (data) => data['borrow-amount'] <= data['property-value'] - data['deposit-amount'], {
+ *       fields: ['borrow-amount', 'property-value', 'deposit-amount'],
+ *       message: 'You cannot borrow more than the property value minus your deposit'
+ *   })
+ *
+ * Expression syntax: two sides joined by <, <=, >, >=, == or !=. Each side is a field name
+ * or number, optionally combined with +, -, * and /. Operators must have spaces around them,
+ * since field names contain hyphens. == and != also compare text (e.g. "email == email-confirm").
+ * Separate several expressions with ";" (and their messages in data-fc-validate-message the same way).
+ *
+ * A rule is checked when its slide is validated. The error is shown on every field it names.
+ * Once checked, the rule is re-checked whenever one of its fields changes, even on another slide.
+ * Rules with an empty field are skipped; data-fc-required handles empty fields.
+ *
+ * Warnings use the same syntax for answers that are allowed but worth flagging. The expression
+ * describes the expected answer, and the warning shows while it is false. Warnings never block
+ * navigation, are checked from the start (as soon as their fields have values) and are kept in
+ * the form data as `_warnings`:
+ * - <div data-fc-slide="borrow"
+ *        data-fc-warn-expr="borrow-amount / property-value * 100 <= 95"
+ *        data-fc-warn-message="Few lenders offer mortgages above 95% loan to value">
+ * - formChippy.addWarningRule('term', 'mortgage-term <= 35', { message: 'Terms over 35 years cost more overall' })
+ */
+
+const COMPARISONS = ['<=', '>=', '==', '!=', '<', '>'];
+const ARITHMETIC = ['+', '-', '*', '/'];
+
+// Default messages (see I18n.js), by severity
+const DEFAULT_MESSAGES = {
+    error: 'check-answers',
+    warning: 'double-check'
+};
+
+// Slide attributes for declarative rules, by severity
+const DECLARED_ATTRIBUTES = {
+    error: ['data-fc-validate-expr', 'data-fc-validate-message'],
+    warning: ['data-fc-warn-expr', 'data-fc-warn-message']
+};
+
+export class CrossFieldRules {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        // JS rules keyed by slide ID
+        this.rules = {};
+
+        // Rules whose slide has been validated, so changes to their fields re-check them
+        this._checked = new Map();
+        this._initialized = false;
+
+        this._handleFormDataChanged = (data) => this.recheck(data.name);
+        this.formChippy.on('formDataChanged', this._handleFormDataChanged);
+    }
+
+    /**
+     * Start checking warning rules, so warnings show as soon as their fields have values
+     */
+    init() {
+        this._initialized = true;
+        this.formChippy.slides.forEach((slide) => {
+            this._getRules(slide)
+                .filter((rule) => rule.severity === 'warning')
+                .forEach((rule) => this._check(rule, slide));
+        });
+    }
+
+    /**
+     * Add a cross-field rule to a slide
+     * @param {string} slideId - The slide the rule is checked on
+     * @param {string|Function} rule - An expression, or (data, formChippy) => true if valid
+     *   (false or an error message if not)
+     * @param {Object} [options]
+     * @param {string} [options.message] - Error message
+     * @param {Array<string>} [options.fields] - Fields to show the error on (required for function rules)
+     * @param {string} [options.severity='error'] - 'warning' to flag the answers without blocking
+     * @returns {Function} Call to remove the rule
+     */
+    addRule(slideId, rule, options = {}) {
+        const severity = options.severity === 'warning' ? 'warning' : 'error';
+        const message = options.message || this.formChippy.i18n.t(DEFAULT_MESSAGES[severity]);
+        const parsed = typeof rule === 'string'
+            ? this._parseExpression(rule, message)
+            : { test: rule, fields: options.fields || [], message };
+
+        if (!parsed || typeof parsed.test !== 'function') {
+            this.formChippy.debug.error(`addValidationRule: Invalid rule for '${slideId}'`);
+            return () => {};
+        }
+
+        const entry = { ...parsed, severity };
+        if (!this.rules[slideId]) {
+            this.rules[slideId] = [];
+        }
+        this.rules[slideId].push(entry);
+        this.formChippy.debug.info(`Validation ${severity} rule added for slide: ${slideId}`, entry.fields);
+
+        // Warnings are checked straight away once the form is running
+        const slide = this.formChippy.slides.find((s) => s.getAttribute('data-fc-slide') === slideId);
+        if (severity === 'warning' && this._initialized && slide) {
+            this._check(entry, slide);
+        }
+
+        return () => {
+            this.rules[slideId] = (this.rules[slideId] || []).filter((r) => r !== entry);
+            this._checked.delete(entry);
+            this._showResult(entry, true);
+        };
+    }
+
+    /**
+     * Check every rule on a slide, showing or clearing their errors
+     * @param {HTMLElement} slide - The slide
+     * @returns {boolean} True if every rule passes
+     */
+    validateSlide(slide) {
+        let isValid = true;
+
+        this._getRules(slide).forEach((rule) => {
+            const passed = this._check(rule, slide);
+            // Warnings never make the slide invalid
+            isValid = isValid && (passed || rule.severity === 'warning');
+        });
+
+        return isValid;
+    }
+
+    /**
+     * Check a rule, show its result and keep re-checking it when its fields change
+     * @param {Object} rule - The rule
+     * @param {HTMLElement} slide - The slide it belongs to
+     * @returns {boolean} True if it passes
+     * @private
+     */
+    _check(rule, slide) {
+        this._checked.set(rule, slide);
+        const passed = this._evaluate(rule);
+        this._showResult(rule, passed);
+        return passed;
+    }
+
+    /**
+     * Re-check the rules already checked that use a field (e.g. after it changes)
+     * @param {string} fieldName - The field
+     */
+    recheck(fieldName) {
+        this._checked.forEach((slide, rule) => {
+            if (!rule.fields.includes(fieldName)) return;
+            // Declarative rules disappear with their attribute
+            if (rule.declared && !this._getRules(slide).includes(rule)) {
+                this._checked.delete(rule);
+                return;
+            }
+            this._showResult(rule, this._evaluate(rule));
+        });
+    }
+
+    /**
+     * Get the JS and declarative rules for a slide
+     * @param {HTMLElement} slide - The slide
+     * @returns {Array<Object>}
+     * @private
+     */
+    _getRules(slide) {
+        const slideId = slide.getAttribute('data-fc-slide');
+        return [...this._getDeclaredRules(slide), ...(this.rules[slideId] || [])];
+    }
+
+    /**
+     * Get the data-fc-validate-expr and data-fc-warn-expr rules on a slide
+     * @private
+     */
+    _getDeclaredRules(slide) {
+        return [
+            ...this._parseDeclaredRules(slide, 'error'),
+            ...this._parseDeclaredRules(slide, 'warning')
+        ];
+    }
+
+    /**
+     * Parse (and cache) a slide's declarative rules of one severity
+     * @private
+     */
+    _parseDeclaredRules(slide, severity) {
+        const [expressionAttribute, messageAttribute] = DECLARED_ATTRIBUTES[severity];
+        const expressions = slide.getAttribute(expressionAttribute);
+        if (!expressions) return [];
+
+        const messages = slide.getAttribute(messageAttribute) || '';
+        const cacheKey = `${expressions}\n${messages}`;
+        const cache = slide._fcValidateRules || (slide._fcValidateRules = {});
+        if (cache[severity] && cache[severity].key === cacheKey) {
+            return cache[severity].rules;
+        }
+
+        const messageList = messages.split(';').map((m) => m.trim());
+        const fallback = this.formChippy.i18n.t(DEFAULT_MESSAGES[severity], {}, slide);
+        const rules = expressions
+            .split(';')
+            .map((expression) => expression.trim())
+            .filter(Boolean)
+            .map((expression, i) => this._parseExpression(expression, messageList[i] || messageList[0] || fallback))
+            .filter(Boolean)
+            .map((rule) => ({ ...rule, declared: true, severity }));
+
+        cache[severity] = { key: cacheKey, rules };
+        return rules;
+    }
+
+    /**
+     * Turn an expression into a rule
+     * @param {string} expression - e.g. "deposit-amount < property-value"
+     * @param {string} [message] - Error message
+     * @returns {Object|null} { expression, fields, message, test } or null if it cannot be parsed
+     * @private
+     */
+    _parseExpression(expression, message) {
+        const tokens = expression.trim().split(/\s+/);
+        const comparisonIndex = tokens.findIndex((token) => COMPARISONS.includes(token));
+        const left = tokens.slice(0, comparisonIndex);
+        const right = tokens.slice(comparisonIndex + 1);
+
+        if (comparisonIndex === -1 || !this._isValidSide(left) || !this._isValidSide(right)) {
+            this.formChippy.debug.warn(`Invalid validation expression: "${expression}"`);
+            return null;
+        }
+
+        const operator = tokens[comparisonIndex];
+        const fields = [...left, ...right].filter(
+            (token) => !ARITHMETIC.includes(token) && isNaN(Number(token))
+        );
+
+        return {
+            expression,
+            fields: [...new Set(fields)],
+            message: message || this.formChippy.i18n.t(DEFAULT_MESSAGES.error),
+            test: (data) => {
+                const a = this._evaluateSide(left, data);
+                const b = this._evaluateSide(right, data);
+                // Skip until every field has a value
+                if (a === null || b === null) return true;
+                return compare(a, operator, b);
+            }
+        };
+    }
+
+    /**
+     * Check a side of an expression alternates operands and arithmetic operators
+     * @private
+     */
+    _isValidSide(tokens) {
+        return tokens.length % 2 === 1 && tokens.every((token, i) =>
+            i % 2 === 1 ? ARITHMETIC.includes(token) : !ARITHMETIC.includes(token) && !COMPARISONS.includes(token)
+        );
+    }
+
+    /**
+     * Work out the value of one side of an expression
+     * @param {Array<string>} tokens - Operands and operators
+     * @param {Object} data - Flat form data
+     * @returns {number|string|null} The value, or null if a field is empty
+     * @private
+     */
+    _evaluateSide(tokens, data) {
+        const values = [];
+        for (let i = 0; i < tokens.length; i += 2) {
+            const token = tokens[i];
+            const raw = isNaN(Number(token)) ? data[token] : token;
+            if (raw === undefined || raw === null || raw === '') return null;
+            values.push(raw);
+        }
+
+        // A single operand can be text (for == and !=)
+        if (values.length === 1) {
+            const number = toNumber(values[0]);
+            return isNaN(number) ? String(values[0]) : number;
+        }
+
+        const numbers = values.map(toNumber);
+        if (numbers.some(isNaN)) return null;
+        const operators = tokens.filter((_, i) => i % 2 === 1);
+
+        // * and / first, then + and -
+        const terms = [numbers[0]];
+        const termOperators = [];
+        operators.forEach((operator, i) => {
+            const next = numbers[i + 1];
+            if (operator === '*') terms[terms.length - 1] *= next;
+            else if (operator === '/') terms[terms.length - 1] /= next;
+            else {
+                terms.push(next);
+                termOperators.push(operator);
+            }
+        });
+
+        return termOperators.reduce(
+            (total, operator, i) => (operator === '+' ? total + terms[i + 1] : total - terms[i + 1]),
+            terms[0]
+        );
+    }
+
+    /**
+     * Run a rule against the current answers
+     * @param {Object} rule - The rule
+     * @returns {boolean} True if it passes
+     * @private
+     */
+    _evaluate(rule) {
+        try {
+            const result = rule.test(this.formChippy.formStore.getFlatData(), this.formChippy);
+            if (typeof result === 'string') {
+                rule.failedMessage = result;
+                return false;
+            }
+            rule.failedMessage = null;
+            return result !== false;
+        } catch (error) {
+            this.formChippy.debug.error(`Validation rule failed to run: ${rule.expression || 'custom rule'}`, error);
+            return true;
+        }
+    }
+
+    /**
+     * Show or clear a rule's error on its fields
+     * Fields already showing another error (e.g. required) keep that error
+     * @param {Object} rule - The rule
+     * @param {boolean} passed - Whether the rule passes
+     * @private
+     */
+    _showResult(rule, passed) {
+        const validation = this.formChippy.validation;
+        const message = rule.failedMessage || rule.message;
+
+        if (rule.severity === 'warning') {
+            this._showWarning(rule, passed, message);
+            return;
+        }
+
+        rule.fields.forEach((fieldName) => {
+            const input = this._findInput(fieldName);
+            if (!input || validation._isConditionallyHidden(input)) return;
+
+            const fieldElement = input.closest('[data-fc-element="field"]') || input;
+            const existing = validation.getFieldError(input);
+            const isOwnError = existing && existing.rule === rule;
+
+            if (passed) {
+                if (isOwnError) {
+                    validation.clearInputError(fieldElement);
+                    validation._forgetError(input);
+                }
+            } else if (!existing || isOwnError) {
+                // Never move focus: the field may be on another slide
+                validation._failInput(input, fieldElement, message, { focus: false });
+                validation.getFieldError(input).rule = rule;
+            }
+        });
+    }
+
+    /**
+     * Show or clear a warning rule's warning on its fields
+     * @private
+     */
+    _showWarning(rule, passed, message) {
+        const validation = this.formChippy.validation;
+
+        rule.fields.forEach((fieldName) => {
+            const input = this._findInput(fieldName);
+            if (!input) return;
+
+            if (passed || validation._isConditionallyHidden(input)) {
+                validation.clearInputWarning(input, { source: rule });
+            } else {
+                validation.showInputWarning(input, message, { source: rule });
+            }
+        });
+    }
+
+    /**
+     * Find the input holding a field
+     * @private
+     */
+    _findInput(fieldName) {
+        return this.formChippy.container.querySelector(
+            `[data-input="${fieldName}"], input[name="${fieldName}"], select[name="${fieldName}"], textarea[name="${fieldName}"]`
+        );
+    }
+
+    /**
+     * Clean up when destroying the form
+     */
+    destroy() {
+        this.formChippy.off('formDataChanged', this._handleFormDataChanged);
+        this._checked.clear();
+    }
+}
+
+/**
+ * Convert a value to a number, ignoring commas and currency symbols
+ * @param {any} value
+ * @returns {number}
+ */
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    const cleaned = String(value).replace(/[,£$€\s]/g, '');
+    return cleaned === '' ? NaN : Number(cleaned);
+}
+
+/**
+ * Compare two values with a comparison operator
+ * @private
+ */
+function compare(a, operator, b) {
+    switch (operator) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '==': return a === b;
+        case '!=': return a !== b;
+    }
+    return true;
+}
@@ -1,8 +1,13 @@
 /**
  * Debug.js
  * Provides debugging capabilities for FormChippy
+ *
+ * Values of data-fc-sensitive fields are redacted from every log entry and the validation
+ * panel (see Sensitive.js)
  */
 
+import { redactSensitive, redactSensitiveText, REDACTED } from './sensitive.js';
+
 export class Debug {
     constructor(formChippy) {
         this.formChippy = formChippy;
@@ -190,34 +195,14 @@ export class Debug {
     }
     
     /**
-     * Get the current values of all inputs in the form
+     * Get the current form values from the form store
      * @returns {Object} Object with slide IDs as keys and input values as nested objects
      * @public
      */
     getAllFormValues() {
-        if (!this.formChippy || !this.formChippy.slides) return {};
+        if (!this.formChippy || !this.formChippy.formStore) return {};
         
-        const formData = {};
-        const slides = this.formChippy.slides;
-        
-        slides.forEach((slide, index) => {
-            const slideId = slide.getAttribute('data-fc-slide') || `slide-${index}`;
-            formData[slideId] = {};
-            
-            // Find all input elements in this slide
-            const inputs = slide.querySelectorAll('input, select, textarea');
-            
-            inputs.forEach(input => {
-                // Handle different input types
-                const name = input.name || input.id || `unnamed-input-${index}`;
-                
-                if (input.type === 'checkbox' || input.type === 'radio') {
-                    formData[slideId][name] = input.checked;
-                } else {
-                    formData[slideId][name] = input.value;
-                }
-            });
-        });
+        const formData = this.formChippy.formStore.getData();
         
         this.info('Current form values', formData);
         return formData;
@@ -273,7 +258,8 @@ export class Debug {
             
             // Add click handler to highlight current slide
             slideEl.addEventListener('click', () => {
-                this.formChippy.goToSlide(i);
+                // The slide map is a developer tool, so it ignores the navigation policy
+                this.formChippy.goToSlide(i, true, { force: true });
             });
             
             mapContent.appendChild(slideEl);
@@ -348,6 +334,15 @@ export class Debug {
         const levels = { debug: 0, info: 1, warn: 2, error: 3 };
         if (levels[level] < levels[this.logLevel]) return;
         
+        // Keep sensitive answers out of the console, the log UI and getLogs()
+        // (a bare value logged with a message has no field name, so it is checked like the message)
+        message = redactSensitiveText(message);
+        if (typeof data === 'string' || typeof data === 'number') {
+            data = redactSensitiveText(String(data)) === String(data) ? data : REDACTED;
+        } else {
+            data = redactSensitive(data);
+        }
+        
         // Create log entry
         const timestamp = new Date().toISOString();
         const logEntry = {
@@ -590,6 +585,39 @@ export class Debug {
         }
     }
     
+    /**
+     * Log a validation warning (an answer that is allowed but unusual)
+     * @param {HTMLElement} input - Input element
+     * @param {string} message - Warning message
+     * @public
+     */
+    logWarning(input, message) {
+        if (!this.enabled) return;
+
+        const slide = input.closest('[data-fc-slide]');
+
+        this._log('warn', `⚠️ Validation warning: ${input.name || input.id || 'unnamed input'}`, {
+            slide: {
+                id: slide ? slide.getAttribute('data-fc-slide') : 'unknown',
+                index: this.formChippy.slides.indexOf(slide)
+            },
+            input: {
+                name: input.name || input.id || 'unnamed input',
+                value: input.value
+            },
+            result: {
+                isValid: true,
+                warningMessage: message,
+                timestamp: new Date().toISOString()
+            },
+            affectsNavigation: false
+        });
+
+        if (this.logToUI && this.logContainer) {
+            this._updateValidationUI(input, true, message, 'warning');
+        }
+    }
+    
     /**
      * Get validation rules that apply to an input
      * @param {HTMLElement} input - Input element
@@ -598,13 +626,15 @@ export class Debug {
      */
     _getValidationRules(input) {
         const rules = [];
+        // Messages come from the form's catalogue (see I18n.js)
+        const t = (key, params = {}) => this.formChippy.i18n.t(key, params, input);
         
         if (input.required) {
-            rules.push({ rule: 'required', message: 'This field is required' });
+            rules.push({ rule: 'required', message: t('required') });
         }
         
         if (input.type === 'email') {
-            rules.push({ rule: 'email', message: 'Must be a valid email address' });
+            rules.push({ rule: 'email', message: t('rule-email') });
         }
         
         if (input.type === 'number') {
@@ -612,30 +642,30 @@ export class Debug {
             const max = input.getAttribute('max');
             
             if (min !== null) {
-                rules.push({ rule: 'min', value: min, message: `Minimum value is ${min}` });
+                rules.push({ rule: 'min', value: min, message: t('range-min', { min }) });
             }
             
             if (max !== null) {
-                rules.push({ rule: 'max', value: max, message: `Maximum value is ${max}` });
+                rules.push({ rule: 'max', value: max, message: t('range-max', { max }) });
             }
         }
         
         // Pattern validation
         const pattern = input.getAttribute('pattern');
         if (pattern) {
-            const errorMsg = input.getAttribute('data-error-message') || 'Please enter a valid value';
+            const errorMsg = input.getAttribute('data-error-message') || t('rule-pattern');
             rules.push({ rule: 'pattern', pattern, message: errorMsg });
         }
         
         // Min and max length
         const minLength = input.getAttribute('minlength');
         if (minLength !== null) {
-            rules.push({ rule: 'minlength', value: minLength, message: `Minimum length is ${minLength} characters` });
+            rules.push({ rule: 'minlength', value: minLength, message: t('rule-minlength', { arg: minLength }) });
         }
         
         const maxLength = input.getAttribute('maxlength');
         if (maxLength !== null) {
-            rules.push({ rule: 'maxlength', value: maxLength, message: `Maximum length is ${maxLength} characters` });
+            rules.push({ rule: 'maxlength', value: maxLength, message: t('rule-maxlength', { arg: maxLength }) });
         }
         
         return rules;
@@ -645,10 +675,11 @@ export class Debug {
      * Update the validation status in the UI
      * @param {HTMLElement} input - Input element
      * @param {boolean} isValid - Whether the input is valid
-     * @param {string} errorMessage - Error message if invalid
+     * @param {string} errorMessage - Error message if invalid (or the warning message)
+     * @param {string} [severity='error'] - 'warning' for a valid input with a warning
      * @private
      */
-    _updateValidationUI(input, isValid, errorMessage) {
+    _updateValidationUI(input, isValid, errorMessage, severity = 'error') {
         // Find or create validation section in debug UI
         let validationSection = this.logContainer.querySelector('.fc-debug-validation');
         
@@ -686,18 +717,28 @@ export class Debug {
             validationContent.appendChild(validationEntry);
         }
         
+        // Sensitive values are not shown
+        const sensitive = this.formChippy.sensitive;
+        const value = sensitive && sensitive.isSensitive(input.getAttribute('data-input') || input.name)
+            ? REDACTED
+            : input.value;
+        const message = redactSensitiveText(errorMessage);
+        
         // Update entry content
-        validationEntry.className = `fc-debug-validation-entry ${isValid ? 'fc-debug-validation-valid' : 'fc-debug-validation-invalid'}`;
+        const isWarning = isValid && severity === 'warning';
+        const status = isWarning ? 'warning' : isValid ? 'valid' : 'invalid';
+        validationEntry.className = `fc-debug-validation-entry fc-debug-validation-${status}`;
         validationEntry.innerHTML = `
             <div class="fc-debug-validation-input">
                 <span class="fc-debug-validation-name">${input.name || input.id || 'unnamed input'}</span>
                 <span class="fc-debug-validation-type">${input.type || input.tagName.toLowerCase()}</span>
-                <span class="fc-debug-validation-status ${isValid ? 'valid' : 'invalid'}">
-                    ${isValid ? '✓' : '⚠️'}
+                <span class="fc-debug-validation-status ${status}">
+                    ${isWarning ? '!' : isValid ? '✓' : '⚠️'}
                 </span>
             </div>
-            ${!isValid ? `<div class="fc-debug-validation-error">${errorMessage}</div>` : ''}
-            <div class="fc-debug-validation-value">Value: "${input.value}"</div>
+            ${!isValid ? `<div class="fc-debug-validation-error">${message}</div>` : ''}
+            ${isWarning ? `<div class="fc-debug-validation-warning-message">${message}</div>` : ''}
+            <div class="fc-debug-validation-value">Value: "${value}"</div>
         `;
     }
     
@@ -50,8 +50,13 @@ export class DonutProgress {
         this.donutContainer = this.formChippy.container.querySelector('[data-fc-donut-container]');
         
         if (!this.donutContainer) {
-            // Check if there's a container outside the form container
-            this.donutContainer = document.querySelector('[data-fc-donut-container]');
+            // Check if there's a container outside the form container, preferring one
+            // named for this form and never one already claimed by another form
+            this.donutContainer =
+                document.querySelector(`[data-fc-donut-container="${this.formChippy.formName}"]`) ||
+                Array.from(document.querySelectorAll('[data-fc-donut-container=""]'))
+                    .find(el => !el._fcDonutOwner) ||
+                null;
             
             if (!this.donutContainer) {
                 this.formChippy.debug.info('No donut progress container found. Donut progress will not be initialized.');
@@ -59,6 +64,7 @@ export class DonutProgress {
             }
         }
         
+        this.donutContainer._fcDonutOwner = this.formChippy;
         this.formChippy.debug.info('Initializing donut progress indicator');
         this.createDonutProgress();
         this.initialized = true;
@@ -83,6 +89,15 @@ export class DonutProgress {
         // Clear existing content
         this.donutContainer.innerHTML = '';
         
+        // Screen readers get the percentage from these rather than the drawing
+        this.donutContainer.setAttribute('role', 'progressbar');
+        this.donutContainer.setAttribute('aria-valuemin', '0');
+        this.donutContainer.setAttribute('aria-valuemax', '100');
+        this.donutContainer.setAttribute('aria-valuenow', '0');
+        if (!this.donutContainer.hasAttribute('aria-label')) {
+            this.donutContainer.setAttribute('aria-label', this.formChippy.i18n.t('progress-label', {}, this.donutContainer));
+        }
+        
         // Get configuration from data attributes with defaults
         const size = parseInt(this.donutContainer.getAttribute('data-fc-donut-size') || '100');
         const strokeWidth = parseInt(this.donutContainer.getAttribute('data-fc-donut-stroke-width') || '8');
@@ -97,6 +112,7 @@ export class DonutProgress {
         svg.setAttribute('height', '100%');
         svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
         svg.setAttribute('data-fc-donut-svg', '');
+        svg.setAttribute('aria-hidden', 'true');
         
         // Calculate dimensions
         const center = size / 2;
@@ -126,7 +142,9 @@ export class DonutProgress {
         circle.setAttribute('stroke-linecap', 'round');
         circle.setAttribute('transform', `rotate(-90 ${center} ${center})`);
         circle.setAttribute('data-fc-donut-circle', '');
-        circle.style.transition = 'stroke-dashoffset 0.5s ease-in-out';
+        if (!this.formChippy.accessibility.prefersReducedMotion()) {
+            circle.style.transition = 'stroke-dashoffset 0.5s ease-in-out';
+        }
         
         // Add circles to SVG
         svg.appendChild(track);
@@ -171,6 +189,7 @@ export class DonutProgress {
         if (this.donutText) {
             this.donutText.textContent = `${Math.round(percent)}%`;
         }
+        this.donutContainer.setAttribute('aria-valuenow', String(Math.round(percent)));
         
         // Calculate the stroke-dashoffset based on the percentage
         const offset = this.circumference - (percent / 100) * this.circumference;
@@ -242,6 +261,12 @@ export class DonutProgress {
         this.formChippy.on('slideChanged', (data) => {
             this.updateProgressFromCurrentSlide();
         });
+        
+        // Answers can change the active branching path
+        this._handleFormDataChanged = () => {
+            this.updateProgressFromCurrentSlide();
+        };
+        this.formChippy.on('formDataChanged', this._handleFormDataChanged);
     }
     
     /**
@@ -283,16 +308,16 @@ export class DonutProgress {
     
     /**
      * Update the list of visible slides
-     * This accounts for slide groups that may be hidden
+     * This accounts for branching and for slide groups that may be hidden
      * @private
      */
     _updateVisibleSlides() {
-        // Start with all slides
-        const allSlides = Array.from(this.formChippy.slides);
+        // Start with the slides on the active branching path
+        const pathSlides = this.formChippy.branching.getPath().map((index) => this.formChippy.slides[index]);
         const visibleSlides = [];
         
         // Check each slide to see if it's visible (not in a hidden slide group)
-        for (const slide of allSlides) {
+        for (const slide of pathSlides) {
             // Check if the slide is in a slide group
             const slideGroup = slide.closest('[data-fc-slide-group]');
             
@@ -320,6 +345,7 @@ export class DonutProgress {
         // Remove event listeners
         this.formChippy.off('slidesListUpdated');
         this.formChippy.off('slideChanged');
+        this.formChippy.off('formDataChanged', this._handleFormDataChanged);
         
         this.initialized = false;
     }
@@ -0,0 +1,203 @@
+/**
+ * ErrorSummary.js
+ * Lists a slide's failing fields in one place (data-fc-error-summary)
+ *
+ * Usage:
+ * - <div data-fc-slide="about-you">
+ *       <div data-fc-error-summary></div>
+ *       ...
+ *   </div>
+ * - With your own heading and list:
+ *   <div data-fc-error-summary>
+ *       <h3>There is a problem</h3>
+ *       <ul data-fc-error-summary-list></ul>
+ *   </div>
+ *
+ * When the slide is validated (Next or submit) and fails, the summary is filled with a link
+ * per failing field ("What's your name?: This field is required") and shown. Clicking a link
+ * focuses the field. The summary is a live region (role="alert"), so screen readers announce it.
+ * As each field is fixed its link is removed, and the summary hides once none are left.
+ *
+ * A field's link text starts with its data-fc-error-label, aria-label, <label for>, or the
+ * <legend> or <label> of its question, whichever is found first.
+ */
+
+export class ErrorSummary {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        // Focus a field when its link is clicked
+        this._handleClick = (event) => {
+            const link = event.target.closest('[data-fc-error-summary] a[data-fc-error-field]');
+            if (!link || !this.formChippy.container.contains(link)) return;
+
+            event.preventDefault();
+            const id = link.getAttribute('href').slice(1);
+            const target = Array.from(this.formChippy.container.querySelectorAll('[id]')).find((el) => el.id === id);
+            if (target) {
+                target.focus();
+                if (typeof target.scrollIntoView === 'function') {
+                    const reduceMotion = this.formChippy.accessibility.prefersReducedMotion();
+                    target.scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'center' });
+                }
+            }
+        };
+        this.formChippy.container.addEventListener('click', this._handleClick);
+
+        this.formChippy.container.querySelectorAll('[data-fc-error-summary]').forEach((summary) => {
+            this._prepare(summary);
+            summary.hidden = true;
+        });
+    }
+
+    /**
+     * Fill a slide's summaries with its failing fields (called after the slide is validated)
+     * @param {HTMLElement} slide - The slide
+     */
+    render(slide) {
+        const summaries = this._getSummaries(slide);
+        if (summaries.length === 0) return;
+
+        // In page order (radio groups are validated before other fields)
+        const errors = this.formChippy.validation.getSlideErrors(slide).sort((a, b) =>
+            a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+        );
+        summaries.forEach((summary) => {
+            const list = this._prepare(summary);
+            list.innerHTML = '';
+            errors.forEach((error) => list.appendChild(this._createItem(error)));
+            summary.hidden = errors.length === 0;
+        });
+
+        if (errors.length > 0) {
+            this.formChippy.debug.info(`Error summary shows ${errors.length} field(s) on slide: ${slide.getAttribute('data-fc-slide')}`);
+        }
+    }
+
+    /**
+     * Remove the links of fields that have been fixed since the slide was validated
+     * Never adds links, so screen readers are not interrupted while the user types
+     * @param {HTMLElement} slide - The slide
+     */
+    refresh(slide) {
+        const fields = this.formChippy.validation.getSlideErrors(slide).map((error) => error.field);
+
+        this._getSummaries(slide).forEach((summary) => {
+            if (summary.hidden) return;
+
+            const list = this._prepare(summary);
+            list.querySelectorAll('a[data-fc-error-field]').forEach((link) => {
+                if (!fields.includes(link.getAttribute('data-fc-error-field'))) {
+                    link.closest('li').remove();
+                }
+            });
+            summary.hidden = !list.querySelector('a[data-fc-error-field]');
+        });
+    }
+
+    /**
+     * Empty and hide every summary (e.g. when the form is reset)
+     */
+    clear() {
+        this.formChippy.container.querySelectorAll('[data-fc-error-summary]').forEach((summary) => {
+            this._prepare(summary).innerHTML = '';
+            summary.hidden = true;
+        });
+    }
+
+    /**
+     * Get the summaries that belong to a slide (not to a slide nested inside it)
+     * @private
+     */
+    _getSummaries(slide) {
+        return Array.from(slide.querySelectorAll('[data-fc-error-summary]')).filter(
+            (summary) => summary.closest('[data-fc-slide]') === slide
+        );
+    }
+
+    /**
+     * Make a summary a live region and find (or create) its list
+     * @private
+     */
+    _prepare(summary) {
+        if (!summary.hasAttribute('role')) {
+            summary.setAttribute('role', 'alert');
+        }
+        summary.classList.add('fc-error-summary');
+
+        let list = summary.querySelector('[data-fc-error-summary-list]');
+        if (!list) {
+            list = document.createElement('ul');
+            list.setAttribute('data-fc-error-summary-list', '');
+            list.className = 'fc-error-summary-list';
+            summary.appendChild(list);
+        }
+        return list;
+    }
+
+    /**
+     * Create the list item linking to a failing field
+     * @private
+     */
+    _createItem(error) {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${this._getId(error.element, error.field)}`;
+        link.setAttribute('data-fc-error-field', error.field);
+        link.textContent = this.formChippy.i18n.t(
+            'error-summary-item',
+            { label: this._getLabel(error.element, error.field), message: error.message },
+            error.element
+        );
+        item.appendChild(link);
+        return item;
+    }
+
+    /**
+     * Get a field's id, giving it one if it has none
+     * @private
+     */
+    _getId(element, field) {
+        if (!element.id) {
+            element.id = `fc-${this.formChippy.formName}-${field}`.replace(/[^\w-]/g, '-');
+        }
+        return element.id;
+    }
+
+    /**
+     * Get the text a field's link starts with
+     * @private
+     */
+    _getLabel(element, field) {
+        const explicit = element.closest('[data-fc-error-label]');
+        if (explicit) return explicit.getAttribute('data-fc-error-label');
+        if (element.hasAttribute('aria-label')) return element.getAttribute('aria-label');
+
+        // A radio's or checkbox's own label names the option, not the question
+        const isOption = element.type === 'radio' || element.type === 'checkbox';
+        if (!isOption && element.id) {
+            const label = Array.from(this.formChippy.container.querySelectorAll('label[for]')).find(
+                (el) => el.htmlFor === element.id
+            );
+            if (label) return label.textContent.trim();
+        }
+
+        const question = element.closest('[data-fc-question]');
+        if (question) {
+            const heading = question.querySelector('legend') || Array.from(question.querySelectorAll('label')).find(
+                (label) => !label.querySelector('input[type="radio"], input[type="checkbox"]')
+            );
+            if (heading && heading.textContent.trim()) return heading.textContent.trim();
+        }
+
+        return field;
+    }
+
+    /**
+     * Clean up when destroying the form
+     */
+    destroy() {
+        this.formChippy.container.removeEventListener('click', this._handleClick);
+    }
+}
@@ -0,0 +1,437 @@
+/**
+ * FormStore.js
+ * Single source of truth for a FormChippy instance's form data
+ *
+ * Data is kept organized by slide ID (the same shape that is persisted and
+ * sent to the products API):
+ *   { "purchase-type": { "purchase-type": "Purchase" }, "property": { "property-value": 250000 } }
+ *
+ * Validation warnings (answers that are allowed but unusual) are kept alongside, as
+ * `_warnings: [{ slideId, field, message }]`, so they are saved and submitted too.
+ *
+ * Every change, whether it comes from the user typing or from setValue(),
+ * is diffed against the previous state and emitted as a field-level
+ * `formDataChanged` event on the instance.
+ */
+
+import { data_populateOutputValues } from '../data/outputData.js'
+import { getValueType, coerceValue, formatValue, toStoredValue } from './value-types.js'
+
+// Key the current validation warnings are kept under, next to the slide entries
+export const WARNINGS_KEY = '_warnings'
+
+export class FormStore {
+    /**
+     * @param {FormChippy} formChippy - The main FormChippy instance
+     */
+    constructor(formChippy) {
+        this.formChippy = formChippy
+        this.data = {}
+
+        // Flat copy of the last committed state, used to work out what changed
+        this._snapshot = {}
+        // Slide ID each committed key lived under, so removals can still report it
+        this._snapshotSlideIds = {}
+    }
+
+    /**
+     * Get the form data organized by slide ID
+     * @returns {Object} Form data organized by slide ID
+     */
+    getData() {
+        return this.data
+    }
+
+    /**
+     * Get flattened form data (all slides combined in one object)
+     * @returns {Object} Flattened form data keyed by field name
+     */
+    getFlatData() {
+        const flatData = {}
+
+        for (const slideId in this.data) {
+            const slideData = this.data[slideId]
+            if (slideId === WARNINGS_KEY) {
+                flatData[WARNINGS_KEY] = slideData
+            } else if (typeof slideData === 'object' && slideData !== null) {
+                for (const fieldName in slideData) {
+                    flatData[fieldName] = slideData[fieldName]
+                }
+            } else {
+                // Direct value (for backwards compatibility)
+                flatData[slideId] = slideData
+            }
+        }
+
+        return flatData
+    }
+
+    /**
+     * Get a single field value
+     * @param {string} name - Field name (data-input or name attribute)
+     * @returns {any} The stored value, or undefined if the field has no value
+     */
+    get(name) {
+        return this.getFlatData()[name]
+    }
+
+    /**
+     * Set a single field value
+     * Updates the DOM, validation state, persistence and output bindings,
+     * then emits formDataChanged for the field
+     * @param {string} name - Field name (data-input or name attribute)
+     * @param {any} value - New value
+     * @param {Object} [options]
+     * @param {string} [options.source='api'] - Reported as `source` in the change event
+     * @returns {boolean} True if a matching field or stored key was found
+     */
+    set(name, value, options = {}) {
+        const { source = 'api' } = options
+        const inputs = this._findInputs(name)
+
+        // Store the raw, typed value (data-fc-mask, data-fc-type), whatever form it was given in
+        if (inputs.length > 0) {
+            value = toStoredValue(inputs[0], value)
+        }
+
+        // Work out which slide the value belongs to
+        let slideId = null
+        if (inputs.length > 0) {
+            const slide = inputs[0].closest('[data-fc-slide]')
+            slideId = slide ? slide.getAttribute('data-fc-slide') : 'unknown'
+        } else {
+            slideId = this._findSlideIdForKey(name)
+        }
+
+        if (!slideId) {
+            this.formChippy.debug.warn(
+                `setValue: No input or stored key found for '${name}'`
+            )
+            return false
+        }
+
+        // 1. Update the DOM
+        this._applyToInputs(inputs, value)
+
+        // 2. Update the store
+        if (!this.data[slideId] || typeof this.data[slideId] !== 'object') {
+            this.data[slideId] = {}
+        }
+        if (value === undefined || value === null) {
+            delete this.data[slideId][name]
+        } else {
+            this.data[slideId][name] = value
+        }
+
+        // 3. Refresh validation state for fields already showing an error
+        inputs.forEach((input) => this._refreshValidation(input))
+
+        // 4. Update output bindings
+        data_populateOutputValues({ [name]: value ?? '' })
+
+        // 5. Persist and emit
+        this.commit(source)
+        return true
+    }
+
+    /**
+     * Remove a field from the store without touching its input
+     * Used for fields hidden by data-fc-show-if, so they drop out of the payload
+     * but get their value back from the input when shown again
+     * @param {string} name - Field name
+     * @param {Object} [options]
+     * @param {string} [options.source='api'] - Reported as `source` in the change event
+     * @returns {boolean} True if the field had a value
+     */
+    remove(name, options = {}) {
+        const slideId = this._findSlideIdForKey(name)
+        if (!slideId) return false
+
+        delete this.data[slideId][name]
+        this.commit(options.source || 'api')
+        return true
+    }
+
+    /**
+     * Set several values at once
+     * Accepts either data organized by slide ID or a flat object keyed by field name
+     * @param {Object} data - Values to set
+     * @param {Object} [options] - Passed through to set()
+     */
+    setData(data, options = {}) {
+        if (!data || typeof data !== 'object') return
+
+        Object.entries(data).forEach(([key, value]) => {
+            // Warnings come from validation, not from values
+            if (key === WARNINGS_KEY) return
+
+            const isSlideEntry =
+                value !== null &&
+                typeof value === 'object' &&
+                !Array.isArray(value) &&
+                this.formChippy.slides.some(
+                    (slide) => slide.getAttribute('data-fc-slide') === key
+                )
+
+            if (isSlideEntry) {
+                Object.entries(value).forEach(([name, fieldValue]) => {
+                    this.set(name, fieldValue, options)
+                })
+            } else {
+                this.set(key, value, options)
+            }
+        })
+    }
+
+    /**
+     * Get the current validation warnings
+     * @returns {Array<Object>} { slideId, field, message } for each warned field
+     */
+    getWarnings() {
+        return this.data[WARNINGS_KEY] || []
+    }
+
+    /**
+     * Replace the validation warnings, emitting a formDataChanged event for `_warnings` if they changed
+     * @param {Array<Object>} warnings - { slideId, field, message } for each warned field
+     */
+    setWarnings(warnings) {
+        if (JSON.stringify(this.getWarnings()) === JSON.stringify(warnings)) return
+
+        if (warnings.length > 0) {
+            this.data[WARNINGS_KEY] = warnings
+        } else {
+            delete this.data[WARNINGS_KEY]
+        }
+        this.commit('validation')
+    }
+
+    /**
+     * Replace the whole store without emitting change events
+     * Used when restoring persisted data
+     * @param {Object} data - Form data organized by slide ID
+     */
+    replace(data) {
+        this.data = data && typeof data === 'object' ? data : {}
+        this._takeSnapshot(this.getFlatData())
+    }
+
+    /**
+     * Remove all values, emitting a change for every field that had one
+     * @param {string} [source='reset'] - Reported as `source` in the change events
+     */
+    clear(source = 'reset') {
+        this.data = {}
+        this.commit(source)
+    }
+
+    /**
+     * Diff the store against the last committed state, persist it, and emit
+     * a formDataChanged event for each field that changed
+     * @param {string} [source='input'] - What caused the change ('input', 'api', 'reset', ...)
+     * @returns {Array} The list of changes that were emitted
+     */
+    commit(source = 'input') {
+        const current = this.getFlatData()
+        const previous = this._snapshot
+        const changes = []
+
+        const names = new Set([...Object.keys(previous), ...Object.keys(current)])
+        names.forEach((name) => {
+            if (!this._isEqual(previous[name], current[name])) {
+                changes.push({
+                    name,
+                    value: current[name],
+                    previousValue: previous[name],
+                    slideId:
+                        this._findSlideIdForKey(name) ||
+                        this._snapshotSlideIds[name] ||
+                        null,
+                })
+            }
+        })
+
+        this._takeSnapshot(current)
+
+        this._persist()
+
+        changes.forEach((change) => {
+            this.formChippy.trigger('formDataChanged', {
+                formName: this.formChippy.formName,
+                ...change,
+                source,
+                formData: this.data,
+            })
+        })
+
+        return changes
+    }
+
+    /**
+     * Save the store via the persistence module and notify listeners on the document
+     * @private
+     */
+    _persist() {
+        const formName = this.formChippy.formName
+        if (!this.formChippy.persistence) return
+
+        this.formChippy.persistence.saveFormData(formName, this.data)
+        this.formChippy.debug.info(`Form data saved for form ${formName}`)
+
+        // Trigger a custom event that can be listened to by the example HTML
+        if (typeof document !== 'undefined') {
+            const event = new CustomEvent('formchippy:dataSaved', {
+                detail: {
+                    formName: formName,
+                    formData: this.data,
+                },
+                bubbles: true,
+            })
+            document.dispatchEvent(event)
+        }
+    }
+
+    /**
+     * Find the inputs in this form that hold a field
+     * @param {string} name - Field name (data-input or name attribute)
+     * @returns {Array<HTMLElement>} Matching inputs
+     * @private
+     */
+    _findInputs(name) {
+        const container = this.formChippy.container
+        const byDataInput = container.querySelectorAll(`[data-input="${name}"]`)
+        if (byDataInput.length > 0) return Array.from(byDataInput)
+
+        return Array.from(
+            container.querySelectorAll(
+                `input[name="${name}"], textarea[name="${name}"], select[name="${name}"]`
+            )
+        )
+    }
+
+    /**
+     * Find the slide ID a stored key currently lives under
+     * @param {string} name - Field name
+     * @returns {string|null} Slide ID or null if the key is not stored
+     * @private
+     */
+    _findSlideIdForKey(name) {
+        for (const slideId in this.data) {
+            const slideData = this.data[slideId]
+            if (
+                slideData &&
+                typeof slideData === 'object' &&
+                Object.prototype.hasOwnProperty.call(slideData, name)
+            ) {
+                return slideId
+            }
+        }
+        return null
+    }
+
+    /**
+     * Write a value into the DOM without dispatching input/change events
+     * (dispatching would feed the value back into the store as user input)
+     * @param {Array<HTMLElement>} inputs - Inputs holding the field
+     * @param {any} value - New value
+     * @private
+     */
+    _applyToInputs(inputs, value) {
+        const questionTypes = this.formChippy.questionTypes
+
+        inputs.forEach((input) => {
+            // Question type plugins show the value themselves
+            const questionType = questionTypes && questionTypes.getHandler(input, 'setValue')
+            if (questionType) {
+                questionType.setValue(input, value)
+                return
+            }
+
+            const type = getValueType(input)
+            if (input.type === 'radio') {
+                // Compare typed values, so true matches a radio valued "yes"
+                const radioValue = type ? coerceValue(input.value, type) : input.value
+                input.checked = value !== null && value !== undefined && String(radioValue) === String(value)
+            } else if (input.type === 'checkbox' && type === 'boolean') {
+                input.checked = value === true
+            } else if (input.type === 'checkbox') {
+                const values = Array.isArray(value) ? value.map(String) : [String(value)]
+                input.checked = values.includes(input.value)
+            } else if (input.type === 'file') {
+                // File inputs cannot be set programmatically
+                return
+            } else {
+                // Typed values are shown formatted (e.g. 250000 as "250,000")
+                input.value = formatValue(value, type, input, this.formChippy.i18n.locale)
+            }
+        })
+
+        // Keep active-state classes in sync with the new checked state
+        if (this.formChippy.inputActive) {
+            this.formChippy.inputActive.refresh()
+        }
+    }
+
+    /**
+     * Re-validate an input that is currently showing an error so the error
+     * clears (or updates) after a programmatic change. Inputs without an
+     * error are left alone so setting a value never surfaces new errors.
+     * @param {HTMLElement} input - The input that was updated
+     * @private
+     */
+    _refreshValidation(input) {
+        const validation = this.formChippy.validation
+        if (!validation) return
+
+        const fieldElement = input.closest('[data-fc-element="field"]')
+        const hasError =
+            input.classList.contains('fc-error') ||
+            (fieldElement && fieldElement.classList.contains('fc-error'))
+        if (!hasError) return
+
+        if (input.type === 'radio' || input.type === 'checkbox') {
+            const slide = input.closest('[data-fc-slide]')
+            if (slide) validation.validateSlide(slide)
+        } else {
+            validation.validateInput(input, fieldElement || input)
+        }
+    }
+
+    /**
+     * Remember the committed state
+     * @param {Object} flat - Flat form data
+     * @private
+     */
+    _takeSnapshot(flat) {
+        this._snapshot = this._copyFlat(flat)
+        this._snapshotSlideIds = {}
+        for (const name in flat) {
+            this._snapshotSlideIds[name] = this._findSlideIdForKey(name)
+        }
+    }
+
+    /**
+     * Copy a flat data object so later in-place changes (e.g. checkbox arrays) are detectable
+     * @param {Object} flat - Flat form data
+     * @returns {Object} Copy
+     * @private
+     */
+    _copyFlat(flat) {
+        const copy = {}
+        for (const key in flat) {
+            copy[key] = Array.isArray(flat[key]) ? [...flat[key]] : flat[key]
+        }
+        return copy
+    }
+
+    /**
+     * Compare two stored values
+     * @private
+     */
+    _isEqual(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((item, i) => item === b[i])
+        }
+        return a === b
+    }
+}
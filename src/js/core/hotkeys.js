@@ -0,0 +1,308 @@
+/**
+ * Hotkeys.js
+ * Typeform-style keyboard shortcuts for choosing options and moving between slides
+ *
+ * Usage:
+ * - <div data-fc-container="mortgage" data-fc-hotkeys="numbers">  (or new FormChippy({ hotkeys: 'numbers' }))
+ * - <div data-fc-question data-fc-hotkeys="off">  (no shortcuts for this question)
+ * - <input type="radio" name="term" value="fixed" data-fc-hotkey="F">  (choose the key yourself)
+ *
+ * On the active slide, radios and option cards (checkboxes in .fc-option-card or
+ * data-fc-style="cards") are given the keys A, B, C... ('letters', the default) or 1-9
+ * ('numbers'), in page order. Each option's label shows its key in a badge
+ * (<span class="fc-key-badge">). Pressing the key chooses a radio, or toggles a card.
+ *
+ * Enter confirms the slide (as Next, or submit on the last slide) and Shift+Enter goes back.
+ * Change them with the `confirmKey` and `backKey` options ('Alt+ArrowRight', 'Ctrl+Enter'...),
+ * or turn them off with false (data-fc-confirm-key="false").
+ *
+ * Shortcuts are ignored while the user is typing in a field, and Enter is left alone on
+ * buttons and links.
+ */
+
+const MODES = ['letters', 'numbers', 'off'];
+
+// Keys available to each mode, in the order they are given out
+const KEYS = {
+    letters: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split(''),
+    numbers: '123456789'.split('')
+};
+
+// Elements that handle keys themselves
+const TYPING_TYPES = ['text', 'email', 'number', 'tel', 'url', 'search', 'password', 'date', 'time', 'datetime-local', 'month', 'week'];
+
+export class Hotkeys {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        this.defaultMode = this._readMode(this.options.hotkeys, 'letters');
+        this.confirmKey = this._parseCombo(this.options.confirmKey, 'confirmKey');
+        this.backKey = this._parseCombo(this.options.backKey, 'backKey');
+
+        this._handleKeydown = (e) => this._onKeydown(e);
+        this._handleSlidesListUpdated = () => this.refresh();
+    }
+
+    /**
+     * Show the key badges and start listening for shortcuts
+     * Called once question types have built their option markup
+     */
+    init() {
+        this.refresh();
+        this.formChippy.container.addEventListener('keydown', this._handleKeydown);
+        this.formChippy.on('slidesListUpdated', this._handleSlidesListUpdated);
+    }
+
+    /**
+     * Give out the keys and redraw the badges (call after adding options to a slide)
+     */
+    refresh() {
+        this.formChippy.slides.forEach((slide) => {
+            slide.querySelectorAll('[data-fc-key-badge]').forEach((badge) => badge.remove());
+
+            this.getOptions(slide).forEach(({ key, input }) => {
+                input.setAttribute('aria-keyshortcuts', key);
+
+                const label = this._getLabel(input);
+                if (!label) return;
+
+                const badge = document.createElement('span');
+                badge.className = 'fc-key-badge';
+                badge.setAttribute('data-fc-key-badge', '');
+                badge.setAttribute('aria-hidden', 'true');
+                badge.textContent = key;
+                label.insertBefore(badge, label.firstChild);
+            });
+        });
+    }
+
+    /**
+     * Get the options on a slide and the key that chooses each
+     * @param {HTMLElement} slide - The slide
+     * @returns {Array<{key: string, input: HTMLInputElement}>} In page order
+     */
+    getOptions(slide) {
+        const options = [];
+        const used = new Set();
+
+        // Options that choose their own key claim it first
+        const inputs = this._getInputs(slide).filter((input) => {
+            const mode = this.getMode(input);
+            if (mode === 'off') return false;
+
+            const explicit = input.getAttribute('data-fc-hotkey');
+            if (!explicit) return true;
+
+            const key = explicit.toUpperCase();
+            if (used.has(key)) {
+                this.formChippy.debug.warn(`Hotkey '${key}' is used twice on slide: ${slide.getAttribute('data-fc-slide')}`);
+                return false;
+            }
+            used.add(key);
+            options.push({ key, input });
+            return false;
+        });
+
+        // The rest get the next free key of their mode
+        const next = { letters: 0, numbers: 0 };
+        inputs.forEach((input) => {
+            const mode = this.getMode(input);
+            const keys = KEYS[mode];
+            while (next[mode] < keys.length && used.has(keys[next[mode]])) next[mode]++;
+            if (next[mode] >= keys.length) return;
+
+            const key = keys[next[mode]++];
+            used.add(key);
+            options.push({ key, input });
+        });
+
+        return options.sort((a, b) =>
+            a.input.compareDocumentPosition(b.input) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+        );
+    }
+
+    /**
+     * Get an option's mode, from the nearest data-fc-hotkeys or the form's default
+     * @param {HTMLElement} input - The option's input
+     * @returns {string} 'letters', 'numbers' or 'off'
+     */
+    getMode(input) {
+        const element = input.closest('[data-fc-hotkeys]');
+        if (!element || element === this.formChippy.container) return this.defaultMode;
+        return this._readMode(element.getAttribute('data-fc-hotkeys'), this.defaultMode);
+    }
+
+    /**
+     * Handle a key press on the form
+     * @private
+     */
+    _onKeydown(e) {
+        if (e.defaultPrevented || this._isTyping(e.target)) return;
+
+        const slide = this.formChippy.slides[this.formChippy.currentSlideIndex];
+        if (!slide) return;
+
+        if (e.key === 'Enter' && this._isClickable(e.target)) return;
+
+        if (this._matches(e, this.backKey)) {
+            e.preventDefault();
+            this.formChippy.debug.info('Hotkeys: going back');
+            this.formChippy.back();
+            return;
+        }
+
+        if (this._matches(e, this.confirmKey)) {
+            e.preventDefault();
+            this._confirm(slide);
+            return;
+        }
+
+        if (e.ctrlKey || e.metaKey || e.altKey || !e.key || e.key.length !== 1) return;
+
+        const key = e.key.toUpperCase();
+        const option = this.getOptions(slide).find((entry) => entry.key === key);
+        if (!option || option.input.disabled) return;
+
+        e.preventDefault();
+        this._choose(option.input);
+    }
+
+    /**
+     * Choose a radio, or toggle a card
+     * @private
+     */
+    _choose(input) {
+        if (input.type === 'radio') {
+            if (input.checked) return;
+            input.checked = true;
+        } else {
+            input.checked = !input.checked;
+        }
+
+        this.formChippy.debug.info(`Hotkeys: ${input.checked ? 'chose' : 'cleared'} ${input.name || 'option'}=${input.value}`);
+        input.focus({ preventScroll: true });
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Confirm the slide with its own Next or submit button, so button-level branching
+     * still applies (formChippy.next() if it has neither)
+     * @private
+     */
+    _confirm(slide) {
+        const button = slide.querySelector(
+            `[data-fc-button="next"], [data-fc-button-next], ${this.options.submitSelector}`
+        );
+        if (button && !button.disabled) {
+            this.formChippy.debug.info('Hotkeys: confirming slide');
+            button.click();
+        } else if (!button) {
+            this.formChippy.next();
+        }
+    }
+
+    /**
+     * Get the radios and option cards on a slide (not on a slide nested inside it)
+     * @private
+     */
+    _getInputs(slide) {
+        return Array.from(slide.querySelectorAll(
+            `input[type="radio"]${this.options.inputSelector}, ` +
+            '.fc-option-card input[type="checkbox"], [data-fc-style="cards"] input[type="checkbox"]'
+        )).filter((input) => input.closest(this.options.slideSelector) === slide);
+    }
+
+    /**
+     * Find the label an option's badge goes in
+     * @private
+     */
+    _getLabel(input) {
+        const wrapping = input.closest('label');
+        if (wrapping) return wrapping;
+        if (!input.id) return null;
+        return Array.from(this.formChippy.container.querySelectorAll('label[for]')).find(
+            (label) => label.htmlFor === input.id
+        ) || null;
+    }
+
+    /**
+     * Check whether the user is typing into an element
+     * @private
+     */
+    _isTyping(element) {
+        if (!element || !element.tagName) return false;
+        if (element.isContentEditable) return true;
+        if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+        return element.tagName === 'INPUT' && TYPING_TYPES.includes(element.type);
+    }
+
+    /**
+     * Check whether Enter already does something on an element
+     * @private
+     */
+    _isClickable(element) {
+        return !!element.closest && !!element.closest('button, a[href], [role="button"]');
+    }
+
+    /**
+     * Read a hotkeys mode, falling back on unknown values
+     * @private
+     */
+    _readMode(value, fallback) {
+        if (value === false || value === 'false' || value === 'none') return 'off';
+        if (value === undefined || value === null || value === true || value === '') return fallback;
+        if (MODES.includes(value)) return value;
+
+        this.formChippy.debug.warn(`Unknown hotkeys mode '${value}', using '${fallback}'`);
+        return fallback;
+    }
+
+    /**
+     * Parse a key combination like 'Shift+Enter' (false turns it off)
+     * @private
+     */
+    _parseCombo(value, name) {
+        if (value === false || value === null || value === undefined || value === '') return null;
+        if (typeof value !== 'string') {
+            this.formChippy.debug.warn(`${name} must be a key like 'Enter' or 'Shift+Enter'`);
+            return null;
+        }
+
+        const parts = value.split('+').map((part) => part.trim());
+        const key = parts.pop();
+        const modifiers = parts.map((part) => part.toLowerCase());
+        return {
+            key: key.length === 1 ? key.toUpperCase() : key,
+            shift: modifiers.includes('shift'),
+            alt: modifiers.includes('alt'),
+            ctrl: modifiers.includes('ctrl') || modifiers.includes('control'),
+            meta: modifiers.includes('meta') || modifiers.includes('cmd')
+        };
+    }
+
+    /**
+     * Check whether a key press is a combination
+     * @private
+     */
+    _matches(e, combo) {
+        if (!combo || !e.key) return false;
+        const key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+        return key === combo.key &&
+            e.shiftKey === combo.shift &&
+            e.altKey === combo.alt &&
+            e.ctrlKey === combo.ctrl &&
+            e.metaKey === combo.meta;
+    }
+
+    /**
+     * Clean up when destroying the form
+     */
+    destroy() {
+        this.formChippy.container.removeEventListener('keydown', this._handleKeydown);
+        this.formChippy.off('slidesListUpdated', this._handleSlidesListUpdated);
+        this.formChippy.slides.forEach((slide) => {
+            slide.querySelectorAll('[data-fc-key-badge]').forEach((badge) => badge.remove());
+        });
+    }
+}
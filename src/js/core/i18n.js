@@ -0,0 +1,232 @@
+/**
+ * I18n.js
+ * Messages and number formats in the form's language
+ *
+ * Usage:
+ * - <div data-fc-container="mortgage" data-fc-locale="cy-GB">  (or new FormChippy({ locale: 'cy-GB' }))
+ * - FormChippy.registerLocale('cy', { required: "Mae angen llenwi'r maes hwn", ... })
+ * - <input name="postcode" data-fc-message-required="Enter your postcode">
+ *
+ * Messages are looked up by key in the form's locale (cy-GB), then its language (cy), then
+ * English, so a catalogue only needs the messages it changes. {placeholders} are replaced
+ * with values, and numbers in them are formatted for the locale ("at least 250,000").
+ * A data-fc-message-<key> attribute on a field, or on its question, slide or container,
+ * overrides that message for the fields inside it.
+ *
+ * Numbers, currency and dates are formatted with Intl in the form's locale.
+ */
+
+export const DEFAULT_LOCALE = 'en-GB';
+
+// Message catalogues keyed by locale or language
+const catalogues = {
+    en: {
+        // Validation
+        'required': 'This field is required',
+        'select-option': 'Please select an option',
+        'range-between': 'Value must be between {min} and {max}',
+        'range-min': 'Value must be at least {min}',
+        'range-max': 'Value must be no more than {max}',
+        'date-min': 'Please select a date on or after {date}',
+        'date-max': 'Please select a date on or before {date}',
+        'check-answer': 'Please check this answer',
+        'check-answers': 'Please check these answers',
+        'check-value': 'Please check this value',
+        'double-check': 'Please double-check this answer',
+        'error-summary-item': '{label}: {message}',
+
+        // data-fc-rule rules
+        'rule-email': 'Please enter a valid email address',
+        'rule-uk-postcode': 'Please enter a valid UK postcode',
+        'rule-uk-phone': 'Please enter a valid UK phone number',
+        'rule-pattern': 'Please use the requested format',
+        'rule-minlength': 'Please enter at least {arg} characters',
+        'rule-maxlength': 'Please enter no more than {arg} characters',
+        'rule-integer': 'Please enter a whole number',
+        'rule-age-min': 'You must be at least {arg} years old',
+
+        // Textareas
+        'textarea-pattern': 'Please match the requested format',
+        'textarea-minlength': 'Please lengthen this text to {length} characters or more',
+
+        // Selects and dates
+        'select-placeholder': 'Select an option',
+        'date-placeholder': 'Select date',
+        'time-placeholder': 'Select time',
+        'datetime-placeholder': 'Select date and time',
+        'date-range-start': 'Start date',
+        'date-range-end': 'End date',
+
+        // File uploads
+        'file-choose': 'Choose file',
+        'file-choose-multiple': 'Choose files',
+        'file-none': 'No file chosen',
+        'file-none-multiple': 'No files chosen',
+        'file-selected': '{count} files selected',
+        'file-accepted-types': 'Accepted file types: {types}',
+        'file-max-size': 'Maximum file size: {size}MB',
+        'file-max-count': 'Maximum number of files: {count}',
+        'file-too-many': 'Too many files. Maximum {count} files allowed.',
+        'file-too-large': 'File "{name}" exceeds the maximum size of {size}MB.',
+        'file-wrong-type': 'File "{name}" is not an accepted file type.',
+        'file-type-all': 'All files',
+        'file-type-group': '{group} files',
+        'file-type-jpeg': 'JPEG images',
+        'file-type-png': 'PNG images',
+        'file-type-gif': 'GIF images',
+        'file-type-svg': 'SVG images',
+        'file-type-pdf': 'PDF documents',
+        'file-type-word': 'Word documents',
+        'file-type-excel': 'Excel spreadsheets',
+        'file-type-text': 'Text files',
+        'file-type-csv': 'CSV files',
+        'file-drop': 'Drop files here or {browse}',
+        'file-browse': 'browse',
+        'file-remove': 'Remove file',
+
+        // Progress
+        'step-of': 'Step {current} of {total}',
+        'slide-announcement': '{step}: {heading}',
+        'progress-label': 'Form progress',
+        'go-to-slide': 'Go to slide {number}',
+        'go-to-step': 'Go to step {number}',
+
+        // Resuming a saved journey
+        'resume-title': 'Welcome back',
+        'resume-message': 'Your answers have been saved.',
+        'resume-continue': 'Continue where you left off',
+        'resume-restart': 'Start again'
+    }
+};
+
+/**
+ * Add (or extend) a message catalogue
+ * @param {string} locale - A locale ('cy-GB') or language ('cy')
+ * @param {Object} messages - Messages keyed like the English catalogue
+ * @returns {boolean} True if the catalogue was registered
+ */
+export function registerLocale(locale, messages) {
+    if (!locale || !messages || typeof messages !== 'object') {
+        console.error(`FormChippy: registerLocale('${locale}') needs a locale and an object of messages`);
+        return false;
+    }
+
+    catalogues[locale] = { ...(catalogues[locale] || {}), ...messages };
+    return true;
+}
+
+/**
+ * Get a message in a locale
+ * @param {string} key - Message key, e.g. 'required'
+ * @param {Object} [params] - Values for the message's {placeholders}
+ * @param {string} [locale=DEFAULT_LOCALE]
+ * @returns {string} The message (the key itself if no catalogue has it)
+ */
+export function translate(key, params = {}, locale = DEFAULT_LOCALE) {
+    const template = findTemplate(key, locale);
+    if (template === null) {
+        console.warn(`FormChippy: No message for '${key}'`);
+        return key;
+    }
+    return interpolate(template, params, locale);
+}
+
+/**
+ * Format a number for a locale
+ * @param {number|string} value - The number (text with commas is accepted)
+ * @param {string} [locale=DEFAULT_LOCALE]
+ * @param {Object} [options] - Intl.NumberFormat options, e.g. { style: 'currency', currency: 'GBP' }
+ * @returns {string} The formatted number, or the value unchanged if it is not a number
+ */
+export function formatNumber(value, locale = DEFAULT_LOCALE, options = {}) {
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    if (isNaN(number)) return value;
+    return new Intl.NumberFormat(locale, options).format(number);
+}
+
+export class I18n {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        this.locale = DEFAULT_LOCALE;
+        try {
+            this.locale = Intl.getCanonicalLocales(this.options.locale || DEFAULT_LOCALE)[0];
+        } catch (error) {
+            this.formChippy.debug.warn(`Invalid locale '${this.options.locale}', using '${DEFAULT_LOCALE}'`);
+        }
+    }
+
+    /**
+     * Get a message in the form's locale
+     * @param {string} key - Message key, e.g. 'required'
+     * @param {Object} [params] - Values for the message's {placeholders}
+     * @param {HTMLElement} [element] - The field the message is for, checked for data-fc-message-<key>
+     * @returns {string}
+     */
+    t(key, params = {}, element = null) {
+        const template = this.template(key, element);
+        if (template === null) {
+            this.formChippy.debug.warn(`No message for '${key}' in '${this.locale}'`);
+            return key;
+        }
+        return interpolate(template, params, this.locale);
+    }
+
+    /**
+     * Get a message before its {placeholders} are filled in (e.g. to build markup around them)
+     * @param {string} key - Message key
+     * @param {HTMLElement} [element] - The field the message is for
+     * @returns {string|null} The template, or null if no catalogue has it
+     */
+    template(key, element = null) {
+        const override = element && element.closest(`[data-fc-message-${key}]`);
+        if (override) return override.getAttribute(`data-fc-message-${key}`);
+        return findTemplate(key, this.locale);
+    }
+
+    /**
+     * Format a number in the form's locale
+     * @param {number|string} value - The number
+     * @param {Object} [options] - Intl.NumberFormat options
+     * @returns {string}
+     */
+    formatNumber(value, options = {}) {
+        return formatNumber(value, this.locale, options);
+    }
+
+    /**
+     * Format a date in the form's locale
+     * @param {Date} date - The date
+     * @param {Object} [options] - Intl.DateTimeFormat options
+     * @returns {string}
+     */
+    formatDate(date, options = {}) {
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
+    }
+}
+
+/**
+ * Find a message in the locale, its language or English
+ * @private
+ */
+function findTemplate(key, locale) {
+    const language = locale.split('-')[0];
+    for (const name of [locale, language, 'en']) {
+        if (catalogues[name] && catalogues[name][key] !== undefined) {
+            return catalogues[name][key];
+        }
+    }
+    return null;
+}
+
+/**
+ * Replace {placeholders}, formatting numbers for the locale
+ * @private
+ */
+function interpolate(template, params, locale) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        if (params[name] === undefined || params[name] === null) return match;
+        return typeof params[name] === 'number' ? formatNumber(params[name], locale) : String(params[name]);
+    });
+}
@@ -19,7 +19,7 @@ export class InputActive {
         // Default class name for active elements
         // this.activeClass = 'is-active-input';
         this.activeClass = 'checked';
-        this.persistence = null
+        this.persistence = formChippy.persistence
 
         // Initialize
         this._init()
@@ -51,13 +51,11 @@ export class InputActive {
     }
 
     /**
-     * Format numbers with commas
+     * Format numbers with commas (grouped for the form's locale)
      * @private
      */
     _formatWithCommas(value) {
-        const number = parseFloat(value);
-        if (isNaN(number)) return value; 
-        return number.toLocaleString('en-UK');  // or 'en-US' if you prefer
+        return this.formChippy.i18n.formatNumber(value);
     }
 
     /**
@@ -72,7 +70,8 @@ export class InputActive {
             if (
                 target instanceof HTMLInputElement &&
                 target.type === 'text' &&
-                target.getAttribute('formattednumber') === 'true'
+                target.getAttribute('formattednumber') === 'true' &&
+                !target.hasAttribute('data-fc-mask') // Masks format these as the user types
               ) {
                 // Format value with commas
                 target.value = this._formatWithCommas(target.value);
@@ -113,11 +112,10 @@ export class InputActive {
             // For radio buttons, handle all related inputs with the same name
             const name = input.name
             if (!name) return;
-            const radios = document.querySelectorAll(`input[type="radio"][name="${name}"]`);
-                //`input[type="radio"][name="${name}"]`
-            //)//this.formChippy.container.querySelectorAll(
-                //`input[type="radio"][name="${name}"]`
-            //)
+            // Scope to this form so same-named groups in other forms are untouched
+            const radios = this.formChippy.container.querySelectorAll(
+                `input[type="radio"][name="${name}"]`
+            )
             radios.forEach((radio) => {
                 const container = this._getInputContainer(radio)
                 if (container) {
@@ -218,10 +216,11 @@ export class InputActive {
 
                 localStorage.setItem('sortProducts', selectedValue);
 
-                const savedData = this.persistence.loadFormData(this.formChippy.formName);
+                // The live answers (sensitive fields may not be in storage)
+                const formData = this.formChippy.formStore.getData();
                 
-                data_applySavedFormData(savedData);
-                submitProducts(savedData);
+                data_applySavedFormData(formData, this.formChippy.container, this.formChippy.i18n.locale);
+                submitProducts(formData);
               });
             } else {
               console.warn('SortColumn select not found');
@@ -237,10 +236,11 @@ export class InputActive {
 
     _handleUpdateClick(event, button) {
         event.preventDefault()
-        const savedData = this.persistence.loadFormData(this.formChippy.formName);
+        // The live answers (sensitive fields may not be in storage)
+        const formData = this.formChippy.formStore.getData();
         //data_cloneForm(this.formChippy.formName);
-        data_applySavedFormData(savedData);
-        //submitProducts(savedData);
+        data_applySavedFormData(formData, this.formChippy.container, this.formChippy.i18n.locale);
+        //submitProducts(formData);
     }
 
     /**
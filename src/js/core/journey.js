@@ -0,0 +1,337 @@
+/**
+ * Journey.js
+ * Takes a returning user back to the slide they left off on
+ *
+ * Usage:
+ * - <div data-fc-container="mortgage" data-fc-resume="auto">  (or new FormChippy({ resume: 'auto' }))
+ * - With your own prompt:
+ *   <div data-fc-resume-prompt>
+ *       <p>Welcome back! Pick up where you left off?</p>
+ *       <button data-fc-resume="continue">Continue</button>
+ *       <button data-fc-resume="restart">Start again</button>
+ *   </div>
+ *
+ * The current slide and whether the form was submitted are saved with the visited slides
+ * (see SlideHistory.js). When a user comes back to an unfinished form, 'prompt' (the default)
+ * asks "Continue where you left off / Start again", 'auto' goes straight to the saved slide
+ * and 'off' always starts on the first slide. Answers are restored whichever is chosen,
+ * unless the user starts again.
+ *
+ * Without a data-fc-resume-prompt, a prompt is added to the container. Its text comes from the
+ * 'resume-*' messages (see I18n.js), so data-fc-message-resume-title etc. on the container
+ * change it too. Resuming triggers 'journeyResumed' with { formName, slideId, index, history }.
+ *
+ * A submitted form is not resumed until the user changes an answer (e.g. after seeing their
+ * results in another tab), which reopens the journey.
+ */
+
+const MODES = ['prompt', 'auto', 'off'];
+
+// Changes made by the user (not by conditions, other tabs or a reset)
+const USER_SOURCES = ['input', 'api'];
+
+export class Journey {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        this.mode = MODES.includes(this.options.resume) ? this.options.resume : 'prompt';
+        if (this.options.resume === false || this.options.resume === 'false') this.mode = 'off';
+
+        // Journey saved by the previous session
+        this.saved = null;
+        // Slide the user can resume on, while they have not decided
+        this._resumeIndex = -1;
+        // Slide ID being resumed, until it becomes active
+        this._resuming = null;
+        // Whether the saved journey is marked as submitted
+        this._completed = false;
+
+        this.prompt = null;
+        this._generatedPrompt = false;
+
+        this._handleSlideChanged = (data) => this._onSlideChanged(data);
+        this._handleSubmit = () => this.markComplete();
+        this._handleFormDataChanged = (data) => {
+            if (this._completed && USER_SOURCES.includes(data.source)) this.reopen();
+        };
+        this._handlePromptClick = (e) => {
+            const button = e.target.closest('[data-fc-resume]');
+            if (!button || !this.prompt.contains(button)) return;
+
+            e.preventDefault();
+            if (button.getAttribute('data-fc-resume') === 'restart') {
+                this.restart();
+            } else {
+                this.resume();
+            }
+        };
+        // Keys pressed in the prompt are not form shortcuts
+        this._handlePromptKeydown = (e) => e.stopPropagation();
+    }
+
+    /**
+     * Read the saved journey and start saving the current slide
+     * Called before the first slide is shown, so it does not replace the saved slide
+     */
+    init() {
+        this.restore();
+        this.formChippy.on('slideChanged', this._handleSlideChanged);
+        this.formChippy.on('formDataChanged', this._handleFormDataChanged);
+        this.formChippy.container.addEventListener('formchippy:submit', this._handleSubmit);
+    }
+
+    /**
+     * Read the journey saved by the previous session
+     * (called again when an asynchronous storage adapter has loaded)
+     */
+    restore() {
+        this.saved = this.formChippy.persistence.loadJourney(this.formChippy.formName);
+        this._resumeIndex = this.mode === 'off' ? -1 : this._findResumeIndex();
+        this._completed = !!(this.saved && this.saved.completed);
+
+        if (this.saved && this.saved.completed) {
+            this.formChippy.debug.info('The saved journey was completed, starting on the first slide');
+        }
+    }
+
+    /**
+     * Offer to take the user back to their saved slide (or go straight there with 'auto')
+     * @returns {boolean} True if the prompt was shown or the journey resumed
+     */
+    offerResume() {
+        if (this.mode === 'off' || this._resumeIndex === -1 || this.isPrompting()) return false;
+
+        // The user has already moved on (e.g. while saved data loaded)
+        if (this.formChippy.currentSlideIndex !== 0) {
+            this._resumeIndex = -1;
+            return false;
+        }
+
+        if (this.mode === 'auto') {
+            this.resume();
+        } else {
+            this._showPrompt();
+        }
+        return true;
+    }
+
+    /**
+     * Go to the saved slide
+     * @returns {boolean} True if there was a slide to resume on
+     */
+    resume() {
+        const index = this._resumeIndex;
+        this._hidePrompt();
+        this._resumeIndex = -1;
+        if (index === -1) return false;
+
+        const slideId = this.formChippy.slides[index].getAttribute('data-fc-slide');
+        this.formChippy.debug.info(`Resuming the saved journey at slide: ${slideId}`);
+        this._resuming = slideId;
+
+        // The user reached the slide last time, so the navigation policy does not apply
+        this.formChippy.goToSlide(index, false, { force: true });
+        return true;
+    }
+
+    /**
+     * Forget the saved answers and journey, and start on the first slide
+     */
+    restart() {
+        this._hidePrompt();
+        this._resumeIndex = -1;
+
+        this.formChippy.debug.info('Starting the form again');
+        this.formChippy.reset();
+        this.formChippy.slideHistory.clear();
+    }
+
+    /**
+     * Record that the form was submitted, so it is not resumed
+     */
+    markComplete() {
+        this._completed = true;
+        this._save({ completed: true, completedAt: Date.now() });
+    }
+
+    /**
+     * Let a submitted form be resumed again (called when the user changes an answer after submitting)
+     */
+    reopen() {
+        this._completed = false;
+        this.formChippy.debug.info('An answer changed after submitting, so the journey can be resumed again');
+        this._save({ completed: false, completedAt: null });
+    }
+
+    /**
+     * Forget the saved slide and completion (e.g. when the form is reset)
+     */
+    clear() {
+        this._completed = false;
+        this._save({ current: null, completed: false, completedAt: null });
+    }
+
+    /**
+     * Check whether the resume prompt is waiting for the user
+     * @returns {boolean}
+     */
+    isPrompting() {
+        return !!this.prompt && !this.prompt.hidden;
+    }
+
+    /**
+     * Save the current slide, unless the user has still to decide whether to resume
+     * @private
+     */
+    _onSlideChanged(data) {
+        if (this._resuming && data.slideId === this._resuming) {
+            this._resuming = null;
+            this._save({ current: data.slideId });
+
+            const detail = {
+                formName: this.formChippy.formName,
+                slideId: data.slideId,
+                index: data.currentSlideIndex,
+                history: this.formChippy.slideHistory.getStack()
+            };
+            this.formChippy.trigger('journeyResumed', detail);
+            this.formChippy.container.dispatchEvent(
+                new CustomEvent('formchippy:journeyResumed', { detail, bubbles: true })
+            );
+            return;
+        }
+
+        // Keep the saved slide until the user has chosen (the first slide is shown meanwhile)
+        if (this._resumeIndex !== -1 && data.currentSlideIndex === 0) return;
+
+        // Moving on without answering the prompt counts as starting from here
+        if (this.isPrompting()) {
+            this._hidePrompt();
+        }
+        this._resumeIndex = -1;
+        this._save({ current: data.slideId });
+    }
+
+    /**
+     * Find the saved slide, or the latest visited slide that is still on the user's path
+     * @private
+     */
+    _findResumeIndex() {
+        const saved = this.saved;
+        if (!saved || saved.completed) return -1;
+
+        const history = Array.isArray(saved.history) ? saved.history : [];
+        const candidates = [saved.current, ...history.slice().reverse()].filter(Boolean);
+        const slides = this.formChippy.slides;
+
+        for (const slideId of candidates) {
+            const index = slides.findIndex((slide) => slide.getAttribute('data-fc-slide') === slideId);
+            if (index === -1) continue;
+            if (this.formChippy.branching.isSlideSkipped(slides[index])) continue;
+            return index > 0 ? index : -1;
+        }
+        return -1;
+    }
+
+    /**
+     * Show the resume prompt, adding one if the page has none
+     * @private
+     */
+    _showPrompt() {
+        if (!this.prompt) {
+            this.prompt = this.formChippy.container.querySelector('[data-fc-resume-prompt]');
+            if (!this.prompt) {
+                this.prompt = document.createElement('div');
+                this.prompt.setAttribute('data-fc-resume-prompt', '');
+                this.formChippy.container.appendChild(this.prompt);
+                this._generatedPrompt = true;
+            }
+            this._prepare(this.prompt);
+        }
+
+        this.prompt.hidden = false;
+        this.formChippy.debug.info('Showing the resume prompt');
+
+        const button = this.prompt.querySelector('[data-fc-resume="continue"]') || this.prompt.querySelector('[data-fc-resume]');
+        if (button) button.focus();
+    }
+
+    /**
+     * @private
+     */
+    _hidePrompt() {
+        if (this.prompt) this.prompt.hidden = true;
+    }
+
+    /**
+     * Fill an empty prompt with the default text and buttons, and listen for a choice
+     * @private
+     */
+    _prepare(prompt) {
+        const i18n = this.formChippy.i18n;
+        const container = this.formChippy.container;
+
+        if (!prompt.querySelector('[data-fc-resume]')) {
+            prompt.classList.add('fc-resume-prompt');
+            const titleId = `fc-resume-title-${this.formChippy.formName}`;
+
+            const content = document.createElement('div');
+            content.className = 'fc-resume-prompt-content';
+
+            const title = document.createElement('p');
+            title.className = 'fc-resume-prompt-title';
+            title.id = titleId;
+            title.textContent = i18n.t('resume-title', {}, container);
+
+            const message = document.createElement('p');
+            message.className = 'fc-resume-prompt-message';
+            message.textContent = i18n.t('resume-message', {}, container);
+
+            const buttons = document.createElement('div');
+            buttons.className = 'fc-resume-prompt-buttons';
+            [['continue', 'resume-continue', 'primary'], ['restart', 'resume-restart', 'secondary']].forEach(([action, key, style]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `fc-button fc-button-${style}`;
+                button.setAttribute('data-fc-resume', action);
+                button.textContent = i18n.t(key, {}, container);
+                buttons.appendChild(button);
+            });
+
+            content.append(title, message, buttons);
+            prompt.appendChild(content);
+            prompt.setAttribute('aria-labelledby', titleId);
+        }
+
+        if (!prompt.hasAttribute('role')) prompt.setAttribute('role', 'dialog');
+        prompt.hidden = true;
+        prompt.addEventListener('click', this._handlePromptClick);
+        prompt.addEventListener('keydown', this._handlePromptKeydown);
+    }
+
+    /**
+     * @private
+     */
+    _save(journey) {
+        this.formChippy.persistence.saveJourney(this.formChippy.formName, journey);
+    }
+
+    /**
+     * Clean up when destroying the form
+     */
+    destroy() {
+        this.formChippy.off('slideChanged', this._handleSlideChanged);
+        this.formChippy.off('formDataChanged', this._handleFormDataChanged);
+        this.formChippy.container.removeEventListener('formchippy:submit', this._handleSubmit);
+        if (this.prompt) {
+            this.prompt.removeEventListener('click', this._handlePromptClick);
+            this.prompt.removeEventListener('keydown', this._handlePromptKeydown);
+            if (this._generatedPrompt) {
+                this.prompt.remove();
+            } else {
+                this.prompt.hidden = true;
+            }
+        }
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * Lifecycle.js
+ * Hooks that run around slide navigation
+ *
+ * - beforeLeave(slideId, hook): runs before leaving a specific slide
+ * - beforeNavigate(hook): runs before every navigation
+ * - afterEnter([slideId,] hook): runs once the slide is active (after the animation)
+ *
+ * Before-hooks receive a context object and may return (or resolve to) `false` to
+ * cancel the move. Throwing or rejecting also cancels it. While a before-hook is
+ * pending, the Next buttons on the current slide show the `fc-button-loading` state.
+ * A new navigation request aborts the pending one (context.signal is aborted).
+ *
+ * Moving forward also waits here for the current slide's pending async validators
+ * (see AsyncValidation.js), and is blocked if one of them fails.
+ *
+ * Hook context:
+ * { from, to, fromSlideId, toSlideId, direction: 'forward'|'back', formData, signal }
+ */
+
+export class Lifecycle {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        this.beforeNavigateHooks = [];
+        this.beforeLeaveHooks = {};
+        this.afterEnterHooks = { '*': [] };
+
+        // The navigation currently waiting on before-hooks
+        this.pending = null;
+        this._loadingButtons = [];
+
+        this._handleNavigationComplete = (data) => this._runAfterEnter(data);
+        this.formChippy.on('navigationComplete', this._handleNavigationComplete);
+    }
+
+    /**
+     * Add a hook that runs before every navigation
+     * @param {Function} hook - (context) => boolean|Promise<boolean>|void
+     * @returns {Function} Call to remove the hook
+     */
+    addBeforeNavigate(hook) {
+        this.beforeNavigateHooks.push(hook);
+        return () => {
+            this.beforeNavigateHooks = this.beforeNavigateHooks.filter((h) => h !== hook);
+        };
+    }
+
+    /**
+     * Add a hook that runs before leaving a slide
+     * @param {string} slideId - The slide being left
+     * @param {Function} hook - (context) => boolean|Promise<boolean>|void
+     * @returns {Function} Call to remove the hook
+     */
+    addBeforeLeave(slideId, hook) {
+        return this._addKeyedHook(this.beforeLeaveHooks, slideId, hook);
+    }
+
+    /**
+     * Add a hook that runs once a slide is active
+     * @param {string} slideId - The slide being entered, or '*' for every slide
+     * @param {Function} hook - (context) => void
+     * @returns {Function} Call to remove the hook
+     */
+    addAfterEnter(slideId, hook) {
+        return this._addKeyedHook(this.afterEnterHooks, slideId, hook);
+    }
+
+    /**
+     * Check whether any before-hooks (or pending async validation) apply to a move
+     * @param {number} fromIndex - Index of the slide being left
+     * @param {number} [toIndex] - Index of the target slide
+     * @returns {boolean}
+     */
+    hasBeforeHooks(fromIndex, toIndex) {
+        const fromSlideId = this._slideId(fromIndex);
+        return this.beforeNavigateHooks.length > 0 ||
+            (this.beforeLeaveHooks[fromSlideId] || []).length > 0 ||
+            this._needsAsyncValidation(fromIndex, toIndex);
+    }
+
+    /**
+     * Check whether a navigation is waiting on before-hooks
+     * @param {number} [toIndex] - Only true if the pending navigation goes to this index
+     * @returns {boolean}
+     */
+    isPending(toIndex) {
+        if (!this.pending) return false;
+        return toIndex === undefined || this.pending.toIndex === toIndex;
+    }
+
+    /**
+     * Run the before-hooks for a move
+     * @param {number} fromIndex - Index of the slide being left
+     * @param {number} toIndex - Index of the target slide
+     * @returns {Promise<boolean>} True if every hook allowed the move and it was not cancelled
+     */
+    async guard(fromIndex, toIndex) {
+        // A newer request replaces any pending one
+        this.cancel();
+
+        const controller = new AbortController();
+        const pending = { fromIndex, toIndex, controller };
+        this.pending = pending;
+        this._setLoading(fromIndex, true);
+
+        const context = {
+            from: fromIndex,
+            to: toIndex,
+            fromSlideId: this._slideId(fromIndex),
+            toSlideId: this._slideId(toIndex),
+            direction: toIndex > fromIndex ? 'forward' : 'back',
+            formData: this.formChippy.formStore.getFlatData(),
+            signal: controller.signal
+        };
+
+        const hooks = [
+            ...(this.beforeLeaveHooks[context.fromSlideId] || []),
+            ...this.beforeNavigateHooks
+        ];
+
+        try {
+            if (this._needsAsyncValidation(fromIndex, toIndex)) {
+                const slide = this.formChippy.slides[fromIndex];
+                const valid = await this.formChippy.asyncValidation.validateSlide(slide);
+
+                if (controller.signal.aborted) {
+                    this.formChippy.debug.info(`Navigation to ${context.toSlideId} was cancelled`);
+                    return false;
+                }
+
+                if (!valid) {
+                    this.formChippy.debug.info(`Navigation to ${context.toSlideId} blocked by async validation`);
+                    this.formChippy.navigation._highlightInvalidInputs(slide);
+                    this.formChippy.trigger('navigationBlocked', { ...context, reason: 'validation' });
+                    return false;
+                }
+            }
+
+            for (const hook of hooks) {
+                const result = await hook(context);
+
+                if (controller.signal.aborted) {
+                    this.formChippy.debug.info(`Navigation to ${context.toSlideId} was cancelled`);
+                    return false;
+                }
+
+                if (result === false) {
+                    this.formChippy.debug.info(`Navigation to ${context.toSlideId} blocked by a hook`);
+                    this.formChippy.trigger('navigationBlocked', { ...context, reason: 'hook' });
+                    return false;
+                }
+            }
+
+            return !controller.signal.aborted;
+        } catch (error) {
+            this.formChippy.debug.error(`Navigation hook failed leaving ${context.fromSlideId}:`, error);
+            this.formChippy.trigger('navigationBlocked', { ...context, reason: 'error', error });
+            return false;
+        } finally {
+            if (this.pending === pending) {
+                this.pending = null;
+                this._setLoading(fromIndex, false);
+            }
+        }
+    }
+
+    /**
+     * Cancel the navigation waiting on before-hooks, if any
+     * @returns {boolean} True if something was cancelled
+     */
+    cancel() {
+        if (!this.pending) return false;
+
+        const { fromIndex, controller } = this.pending;
+        this.pending = null;
+        controller.abort();
+        this._setLoading(fromIndex, false);
+        return true;
+    }
+
+    /**
+     * Run afterEnter hooks once a navigation has finished
+     * @param {Object} data - navigationComplete event data
+     * @private
+     */
+    _runAfterEnter(data) {
+        const context = {
+            from: data.fromIndex,
+            to: data.toIndex,
+            fromSlideId: this._slideId(data.fromIndex),
+            toSlideId: data.slideId,
+            direction: data.toIndex > data.fromIndex ? 'forward' : 'back',
+            formData: this.formChippy.formStore.getFlatData()
+        };
+
+        const hooks = [
+            ...(this.afterEnterHooks[data.slideId] || []),
+            ...this.afterEnterHooks['*']
+        ];
+
+        hooks.forEach((hook) => {
+            // Hooks may be async; report failures without blocking the others
+            Promise.resolve()
+                .then(() => hook(context))
+                .catch((error) => {
+                    this.formChippy.debug.error(`afterEnter hook failed for ${data.slideId}:`, error);
+                });
+        });
+    }
+
+    /**
+     * Show or clear the loading state on the current slide's Next buttons
+     * @private
+     */
+    _setLoading(fromIndex, isLoading) {
+        if (isLoading) {
+            const slide = this.formChippy.slides[fromIndex];
+            this._loadingButtons = slide
+                ? Array.from(slide.querySelectorAll('[data-fc-button="next"], [data-fc-button-next]'))
+                : [];
+            this._loadingButtons.forEach((button) => {
+                button.classList.add('fc-button-loading');
+                button.setAttribute('aria-busy', 'true');
+            });
+        } else {
+            this._loadingButtons.forEach((button) => {
+                button.classList.remove('fc-button-loading');
+                button.removeAttribute('aria-busy');
+            });
+            this._loadingButtons = [];
+        }
+    }
+
+    /**
+     * Check whether a forward move has to wait for async validation
+     * @private
+     */
+    _needsAsyncValidation(fromIndex, toIndex) {
+        const slide = this.formChippy.slides[fromIndex];
+        return toIndex > fromIndex &&
+            !!slide &&
+            this.formChippy.validationEnabled &&
+            this.formChippy.asyncValidation.needsCheck(slide);
+    }
+
+    /**
+     * Register a hook in a map keyed by slide ID
+     * @private
+     */
+    _addKeyedHook(map, slideId, hook) {
+        if (!map[slideId]) {
+            map[slideId] = [];
+        }
+        map[slideId].push(hook);
+        return () => {
+            map[slideId] = (map[slideId] || []).filter((h) => h !== hook);
+        };
+    }
+
+    /**
+     * Get a slide's ID by index
+     * @private
+     */
+    _slideId(index) {
+        const slide = this.formChippy.slides[index];
+        return slide ? slide.getAttribute('data-fc-slide') : null;
+    }
+
+    /**
+     * Clean up when destroying the form
+     */
+    destroy() {
+        this.cancel();
+        this.formChippy.off('navigationComplete', this._handleNavigationComplete);
+    }
+}
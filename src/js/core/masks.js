@@ -0,0 +1,254 @@
+/**
+ * Masks.js
+ * Formats inputs as the user types (data-fc-mask)
+ *
+ * Usage:
+ * - <input type="text" name="property-value" data-fc-mask="gbp">      250,000.50
+ * - <input type="text" name="term-years" data-fc-mask="integer">      1,000
+ * - <input type="text" name="deposit-percent" data-fc-mask="percent"> 12.5
+ * - <input type="tel" name="phone" data-fc-mask="uk-phone">           07700 900123
+ * - <input type="text" name="sort-code" data-fc-mask="sort-code">     12-34-56
+ *
+ * The input shows the formatted text, while the form data holds the raw value
+ * (250000.5, 1000, 12.5, "07700900123", "123456"), so formDataChanged, saved data and
+ * API payloads never see the formatting. gbp, integer and percent are stored as numbers
+ * unless data-fc-type says otherwise (see ValueTypes.js).
+ *
+ * Typing, deleting and pasting keep the caret next to the same character, and anything
+ * the mask does not accept (letters, a second decimal point, pasted "£" signs) is dropped.
+ * Each mask sets an inputmode for mobile keyboards unless the input already has one.
+ * The old data-format="currency|phone" attribute is treated as gbp and uk-phone.
+ */
+
+// data-format values used before data-fc-mask existed
+const LEGACY_FORMATS = {
+    currency: 'gbp',
+    phone: 'uk-phone'
+};
+
+export const masks = {
+    gbp: {
+        inputmode: 'decimal',
+        type: 'currency',
+        accept: /[\d.]/,
+        unformat: (text) => cleanDecimal(text, 2),
+        format: (raw) => formatDecimal(raw, true)
+    },
+    integer: {
+        inputmode: 'numeric',
+        type: 'integer',
+        accept: /\d/,
+        unformat: (text) => text.replace(/\D/g, '').replace(/^0+(?=\d)/, ''),
+        format: (raw) => groupThousands(raw)
+    },
+    percent: {
+        inputmode: 'decimal',
+        type: 'number',
+        accept: /[\d.]/,
+        unformat: (text) => cleanDecimal(text, 2),
+        format: (raw) => formatDecimal(raw, false)
+    },
+    'uk-phone': {
+        inputmode: 'tel',
+        type: null,
+        accept: /[\d+]/,
+        unformat: (text) => {
+            const international = text.trim().startsWith('+');
+            const digits = text.replace(/\D/g, '');
+            return international ? `+${digits.slice(0, 12)}` : digits.slice(0, 11);
+        },
+        format: (raw) => {
+            if (raw.startsWith('+44')) {
+                const national = raw.slice(3);
+                return ['+44', ...splitGroups(national, [4, 6])].filter(Boolean).join(' ');
+            }
+            if (raw.startsWith('+')) return raw;
+            // London (020) and other 02 numbers are 3-4-4, the rest 5-6
+            const groups = raw.startsWith('02') ? [3, 4, 4] : [5, 6];
+            return splitGroups(raw, groups).join(' ');
+        }
+    },
+    'sort-code': {
+        inputmode: 'numeric',
+        type: null,
+        accept: /\d/,
+        unformat: (text) => text.replace(/\D/g, '').slice(0, 6),
+        format: (raw) => splitGroups(raw, [2, 2, 2]).join('-')
+    }
+};
+
+/**
+ * Get the mask an input uses
+ * @param {HTMLElement} input - The input
+ * @returns {Object|null} The mask, or null if the input is not masked
+ */
+export function getMask(input) {
+    if (!input || typeof input.getAttribute !== 'function') return null;
+
+    const name = input.getAttribute('data-fc-mask') || LEGACY_FORMATS[input.getAttribute('data-format')];
+    if (!name) return null;
+    if (!masks[name]) {
+        console.warn(`FormChippy: Unknown data-fc-mask '${name}' on ${input.name || input.id || 'unnamed input'}`);
+        return null;
+    }
+    return masks[name];
+}
+
+export class Masks {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        // Capture phase, so the text is formatted before Validation reads it
+        this._handleInput = (event) => {
+            if (getMask(event.target)) this.apply(event.target);
+        };
+        this._handleFocusIn = (event) => {
+            const mask = getMask(event.target);
+            if (mask) this._setInputMode(event.target, mask);
+        };
+
+        const container = this.formChippy.container;
+        container.addEventListener('input', this._handleInput, true);
+        container.addEventListener('focusin', this._handleFocusIn, true);
+
+        this.refresh();
+    }
+
+    /**
+     * Format every masked input and set its inputmode
+     * Called on init; call again after adding masked inputs from code
+     */
+    refresh() {
+        this.formChippy.container.querySelectorAll('[data-fc-mask], [data-format]').forEach((input) => {
+            const mask = getMask(input);
+            if (!mask) return;
+            this._setInputMode(input, mask);
+            if (input.value !== '') this.apply(input);
+        });
+    }
+
+    /**
+     * Format an input's text, keeping the caret next to the same character
+     * @param {HTMLInputElement} input - A masked input
+     * @returns {string} The raw value
+     */
+    apply(input) {
+        const mask = getMask(input);
+        if (!mask) return input.value;
+
+        const text = input.value;
+        const raw = mask.unformat(text);
+        const formatted = mask.format(raw);
+        if (formatted === text) return raw;
+
+        const isFocused = input.ownerDocument.activeElement === input;
+        const caret = isFocused ? input.selectionStart : null;
+
+        input.value = formatted;
+
+        if (caret !== null && caret !== undefined) {
+            // Put the caret after the same number of accepted characters as before
+            const accepted = countAccepted(text.slice(0, caret), mask.accept);
+            const position = findPosition(formatted, accepted, mask.accept);
+            input.setSelectionRange(position, position);
+        }
+
+        return raw;
+    }
+
+    /**
+     * Get the raw value behind a masked input's text
+     * @param {HTMLInputElement} input - The input
+     * @returns {string} The raw value (the text itself if the input is not masked)
+     */
+    getRawValue(input) {
+        const mask = getMask(input);
+        return mask ? mask.unformat(input.value) : input.value;
+    }
+
+    /**
+     * Set a mobile keyboard that suits the mask
+     * @private
+     */
+    _setInputMode(input, mask) {
+        if (mask.inputmode && !input.hasAttribute('inputmode')) {
+            input.setAttribute('inputmode', mask.inputmode);
+        }
+    }
+
+    /**
+     * Clean up when destroying the form
+     */
+    destroy() {
+        const container = this.formChippy.container;
+        container.removeEventListener('input', this._handleInput, true);
+        container.removeEventListener('focusin', this._handleFocusIn, true);
+    }
+}
+
+/**
+ * Keep digits and one decimal point, with at most `decimals` decimal places
+ * @private
+ */
+function cleanDecimal(text, decimals) {
+    const [whole = '', ...fraction] = text.replace(/[^\d.]/g, '').split('.');
+    const trimmedWhole = whole.replace(/^0+(?=\d)/, '');
+    if (fraction.length === 0) return trimmedWhole;
+    return `${trimmedWhole || '0'}.${fraction.join('').slice(0, decimals)}`;
+}
+
+/**
+ * Format a cleaned decimal, optionally grouping thousands
+ * @private
+ */
+function formatDecimal(raw, group) {
+    const [whole, fraction] = raw.split('.');
+    const formattedWhole = group ? groupThousands(whole) : whole;
+    return fraction === undefined ? formattedWhole : `${formattedWhole}.${fraction}`;
+}
+
+/**
+ * Add thousands separators to a string of digits
+ * @private
+ */
+function groupThousands(digits) {
+    return digits.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+/**
+ * Split text into groups of the given sizes (the last group takes the rest)
+ * @private
+ */
+function splitGroups(text, sizes) {
+    const groups = [];
+    let start = 0;
+    sizes.forEach((size, i) => {
+        const end = i === sizes.length - 1 ? text.length : start + size;
+        if (start < text.length) groups.push(text.slice(start, end));
+        start = end;
+    });
+    return groups;
+}
+
+/**
+ * Count the characters a mask accepts
+ * @private
+ */
+function countAccepted(text, accept) {
+    return Array.from(text).filter((char) => accept.test(char)).length;
+}
+
+/**
+ * Find the position just after the nth accepted character
+ * @private
+ */
+function findPosition(text, count, accept) {
+    if (count === 0) return 0;
+    let seen = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (accept.test(text[i])) seen++;
+        if (seen === count) return i + 1;
+    }
+    return text.length;
+}
@@ -0,0 +1,156 @@
+/**
+ * Migrations.js
+ * Brings data saved by an older version of a form up to date
+ *
+ * Usage:
+ * - <div data-fc-container="mortgage" data-fc-schema-version="2">  (or new FormChippy({ schemaVersion: 2 }))
+ * - FormChippy.registerMigration('mortgage', 2, (data) => {
+ *       data['property-details'] = data['property'];
+ *       delete data['property'];
+ *       return data;
+ *   })
+ *
+ * Saved data records the form's schema version (1 if it has none). When a returning user's
+ * data is older than the form, the migrations registered for each newer version run in turn,
+ * so a migration for version 2 upgrades version 1 data. A migration is given the saved data
+ * (by slide ID, with decrypted sensitive fields) and returns the upgraded data. Register it
+ * under '*' to run it for every form. If a migration throws, the saved data is discarded
+ * rather than half-applied.
+ *
+ * Every time saved data is loaded (after any migrations), answers are checked against the form,
+ * so renaming a slide or input in the page is enough: an answer whose slide no longer holds its
+ * input moves to the slide that does, and answers with no input left are dropped (see the debug
+ * log for what was dropped). Forms that add slides with addSlide() after loading can turn this
+ * off with data-fc-prune-saved-data="false".
+ */
+
+import { getDataKey } from './validation.js';
+
+// Migration functions by form name ('*' for every form), then by the version they upgrade to
+const registry = {};
+
+/**
+ * Add (or replace) a migration
+ * @param {string} formName - Form name (data-fc-container), or '*' for every form
+ * @param {number} version - The schema version the migration upgrades data to
+ * @param {Function} migrate - (data, { formName, from, to }) => upgraded data
+ * @returns {boolean} True if the migration was registered
+ */
+export function registerMigration(formName, version, migrate) {
+    const target = Number(version);
+    if (!formName || !Number.isInteger(target) || target < 2 || typeof migrate !== 'function') {
+        console.error(`FormChippy: registerMigration('${formName}', ${version}) needs a form name, a version from 2 and a function`);
+        return false;
+    }
+
+    registry[formName] = registry[formName] || {};
+    registry[formName][target] = migrate;
+    return true;
+}
+
+/**
+ * Run the migrations between two schema versions
+ * @param {string} formName - The form name
+ * @param {Object} data - Saved data by slide ID
+ * @param {number} from - The version the data was saved with
+ * @param {number} to - The form's version
+ * @returns {{data: Object, applied: Array<number>}} The upgraded data, and the versions migrated to
+ * @throws {Error} If a migration fails
+ */
+export function runMigrations(formName, data, from, to) {
+    let upgraded = JSON.parse(JSON.stringify(data || {}));
+    const applied = [];
+
+    for (let version = from + 1; version <= to; version++) {
+        [registry['*'], registry[formName]].forEach((migrations) => {
+            const migrate = migrations && migrations[version];
+            if (!migrate) return;
+
+            const result = migrate(upgraded, { formName, from: version - 1, to: version });
+            if (result !== undefined) upgraded = result;
+            if (!upgraded || typeof upgraded !== 'object' || Array.isArray(upgraded)) {
+                throw new Error(`The migration to version ${version} did not return the form data`);
+            }
+            if (!applied.includes(version)) applied.push(version);
+        });
+    }
+
+    return { data: upgraded, applied };
+}
+
+/**
+ * Check saved data against the slides and inputs in a form
+ * Keys starting with '_' (validation warnings) are kept as they are
+ * @param {Object} data - Saved data by slide ID
+ * @param {HTMLElement} container - The form container
+ * @returns {{data: Object, dropped: Array<string>, moved: Array<string>}} The data that still fits,
+ *   the 'slide.field' answers dropped, and the answers moved ('old-slide.field -> new-slide')
+ */
+export function pruneFormData(data, container) {
+    const report = { data, dropped: [], moved: [] };
+    if (!data || typeof data !== 'object' || !container) return report;
+
+    const fields = getFieldSlides(container);
+    const pruned = {};
+
+    Object.entries(data).forEach(([slideId, slideData]) => {
+        if (slideId.startsWith('_')) {
+            pruned[slideId] = slideData;
+            return;
+        }
+
+        // Direct value (for backwards compatibility)
+        if (!slideData || typeof slideData !== 'object' || Array.isArray(slideData)) {
+            if (fields.has(slideId)) {
+                pruned[slideId] = slideData;
+            } else {
+                report.dropped.push(slideId);
+            }
+            return;
+        }
+
+        Object.entries(slideData).forEach(([field, value]) => {
+            const slides = fields.get(field);
+            if (slides && slides.has(slideId)) {
+                pruned[slideId] = { ...pruned[slideId], [field]: value };
+                return;
+            }
+
+            const target = slides && Array.from(slides)[0];
+            if (target && !hasField(pruned[target], field) && !hasField(data[target], field)) {
+                pruned[target] = { ...pruned[target], [field]: value };
+                report.moved.push(`${slideId}.${field} -> ${target}`);
+            } else {
+                report.dropped.push(`${slideId}.${field}`);
+            }
+        });
+    });
+
+    report.data = pruned;
+    return report;
+}
+
+/**
+ * @private
+ */
+function hasField(slideData, field) {
+    return !!slideData && typeof slideData === 'object' && Object.prototype.hasOwnProperty.call(slideData, field);
+}
+
+/**
+ * Map each stored field name to the slides holding an input for it
+ * (named as the form data names them, see getDataKey)
+ * @private
+ */
+function getFieldSlides(container) {
+    const fields = new Map();
+    container.querySelectorAll('[data-input], input[name], select[name], textarea[name]').forEach((input) => {
+        const slide = input.closest('[data-fc-slide]');
+        const name = getDataKey(input);
+        if (!slide || !name) return;
+
+        if (!fields.has(name)) fields.set(name, new Set());
+        fields.get(name).add(slide.getAttribute('data-fc-slide'));
+    });
+    return fields;
+}
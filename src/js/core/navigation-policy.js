@@ -0,0 +1,219 @@
+/**
+ * NavigationPolicy.js
+ * Decides which slides the user may jump to
+ *
+ * Set with the `navigationPolicy` option (data-fc-navigation-policy on the container):
+ * - 'strict' (default): forward moves only pass over valid slides on the active path.
+ *   Jumping past an unanswered slide lands on that slide instead.
+ * - 'visited-only': forward jumps only to slides already reached. Next still requires
+ *   the current slide to be valid.
+ * - 'free': any slide can be reached directly (only Next validates).
+ *
+ * Going back is always allowed. The policy is applied in goToSlide(), so buttons,
+ * keyboard keys, navigation dots and the public API all follow the same rules.
+ * A refused move triggers `navigationBlocked` with reason 'policy'.
+ */
+
+const POLICIES = ['strict', 'visited-only', 'free'];
+
+export class NavigationPolicy {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        this.policy = POLICIES.includes(this.options.navigationPolicy)
+            ? this.options.navigationPolicy
+            : 'strict';
+        if (this.policy !== this.options.navigationPolicy) {
+            this.formChippy.debug.warn(
+                `Unknown navigationPolicy '${this.options.navigationPolicy}', using 'strict'`
+            );
+        }
+
+        // Slide IDs the user has been on
+        this.reached = new Set();
+
+        this._handleSlideChanged = (data) => this._markReached(data.slideId);
+    }
+
+    /**
+     * Restore the reached slides and start tracking new ones
+     */
+    init() {
+        this.restore();
+        this.formChippy.on('slideChanged', this._handleSlideChanged);
+    }
+
+    /**
+     * Add the slides reached in a previous session
+     * (called again when an asynchronous storage adapter has loaded)
+     */
+    restore() {
+        const journey = this.formChippy.persistence.loadJourney(this.formChippy.formName);
+        if (journey && Array.isArray(journey.reached)) {
+            journey.reached.forEach((slideId) => this.reached.add(slideId));
+        }
+    }
+
+    /**
+     * Work out where a navigation request may go
+     * @param {number} fromIndex - Index of the current slide
+     * @param {number} toIndex - Index of the requested slide
+     * @returns {number} The index to navigate to (toIndex, or an earlier invalid slide
+     *   under 'strict'), or -1 if the move is not allowed
+     */
+    resolve(fromIndex, toIndex) {
+        if (this.policy === 'free' || toIndex <= fromIndex) {
+            return toIndex;
+        }
+
+        const slides = this.formChippy.slides;
+        const target = slides[toIndex];
+        if (!target || this.formChippy.branching.isSlideSkipped(target)) {
+            this._block(fromIndex, toIndex, 'The slide is hidden');
+            return -1;
+        }
+
+        // A single step along the journey, as Next would take it
+        if (this._isNextStep(fromIndex, toIndex)) {
+            if (!this._validate(fromIndex)) {
+                this._block(fromIndex, toIndex, 'The current slide is not valid');
+                return -1;
+            }
+            return toIndex;
+        }
+
+        if (this.policy === 'visited-only') {
+            if (this.hasReached(toIndex)) {
+                return toIndex;
+            }
+            this._block(fromIndex, toIndex, 'The slide has not been reached yet');
+            return -1;
+        }
+
+        // strict: every slide passed over must be valid
+        const path = this.formChippy.branching.getPath();
+        const fromPosition = path.indexOf(fromIndex);
+        const toPosition = path.indexOf(toIndex);
+        if (fromPosition === -1 || toPosition < fromPosition) {
+            this._block(fromIndex, toIndex, 'The slide is not on the active path');
+            return -1;
+        }
+
+        for (let position = fromPosition; position < toPosition; position++) {
+            const index = path[position];
+            if (this._validate(index)) continue;
+
+            if (index === fromIndex) {
+                this._block(fromIndex, toIndex, 'The current slide is not valid');
+                return -1;
+            }
+
+            this.formChippy.debug.info(
+                `Navigation policy: Stopping at slide ${this._slideId(index)}, which still needs answers`
+            );
+            return index;
+        }
+
+        return toIndex;
+    }
+
+    /**
+     * Check whether the user has already been on a slide
+     * @param {number} index - Slide index
+     * @returns {boolean}
+     */
+    hasReached(index) {
+        return this.reached.has(this._slideId(index));
+    }
+
+    /**
+     * Forget the reached slides, keeping only the current one
+     */
+    clear() {
+        this.reached.clear();
+        this._markReached(this._slideId(this.formChippy.currentSlideIndex));
+    }
+
+    /**
+     * Check whether a move is what one of the current slide's Next buttons would do
+     * @private
+     */
+    _isNextStep(fromIndex, toIndex) {
+        const slide = this.formChippy.slides[fromIndex];
+        if (!slide) return false;
+
+        const buttons = Array.from(
+            slide.querySelectorAll('[data-fc-button="next"], [data-fc-button-next]')
+        );
+        return [undefined, ...buttons].some(
+            (button) => this.formChippy.branching.resolveNextIndex(fromIndex, button) === toIndex
+        );
+    }
+
+    /**
+     * Validate a slide, showing its errors
+     * @private
+     */
+    _validate(index) {
+        const slide = this.formChippy.slides[index];
+        return !slide || this.formChippy.validation.validateSlide(slide);
+    }
+
+    /**
+     * Report a refused move
+     * @private
+     */
+    _block(fromIndex, toIndex, message) {
+        this.formChippy.debug.info(`Navigation policy (${this.policy}): ${message}`, {
+            from: fromIndex,
+            to: toIndex
+        });
+
+        const slide = this.formChippy.slides[fromIndex];
+        if (slide && this.formChippy.navigation && slide.querySelector('.fc-error')) {
+            this.formChippy.navigation._highlightInvalidInputs(slide);
+        }
+
+        this.formChippy.trigger('navigationBlocked', {
+            from: fromIndex,
+            to: toIndex,
+            fromSlideId: this._slideId(fromIndex),
+            toSlideId: this._slideId(toIndex),
+            direction: 'forward',
+            reason: 'policy',
+            policy: this.policy,
+            message
+        });
+    }
+
+    /**
+     * Remember a slide as reached and persist the list
+     * @private
+     */
+    _markReached(slideId) {
+        if (!slideId) return;
+        if (this.reached.has(slideId)) return;
+
+        this.reached.add(slideId);
+        this.formChippy.persistence.saveJourney(this.formChippy.formName, {
+            reached: Array.from(this.reached)
+        });
+    }
+
+    /**
+     * Get a slide's ID by index
+     * @private
+     */
+    _slideId(index) {
+        const slide = this.formChippy.slides[index];
+        return slide ? slide.getAttribute('data-fc-slide') : null;
+    }
+
+    /**
+     * Clean up when destroying the form
+     */
+    destroy() {
+        this.formChippy.off('slideChanged', this._handleSlideChanged);
+    }
+}
@@ -112,8 +112,13 @@ export class Navigation {
                 }
                 
                 if (isValid) {
-                    // Calculate the next index (guard against exceeding slides)
-                    const nextIndex = Math.min(currentIndex + 1, this.formChippy.totalSlides - 1);
+                    // Resolve the target from branching rules (falls back to the next slide in order)
+                    const nextIndex = this.formChippy.branching.resolveNextIndex(currentIndex, newButton);
+                    
+                    if (nextIndex === -1) {
+                        this.formChippy.debug.info(`NEXT BUTTON: No slide after ${currentIndex}`);
+                        return;
+                    }
                     
                     // Direct navigation to next slide with consistent logging
                     this.formChippy.debug.info(`NEXT BUTTON: Navigating from ${currentIndex} to ${nextIndex}`);
@@ -158,16 +163,12 @@ export class Navigation {
                 
                 this.formChippy.debug.info(`Previous button clicked at index ${currentIndex}`);
                 
-                // Only navigate if we're not on the first slide
-                if (currentIndex > 0) {
-                    const prevIndex = currentIndex - 1;
-                    
-                    // Direct navigation to previous slide - consistent with next button approach
-                    this.formChippy.debug.info(`PREV BUTTON: Navigating from ${currentIndex} to ${prevIndex}`);
-                    this.formChippy.goToSlide(prevIndex);
-                } else {
-                    this.formChippy.debug.info(`Already at first slide (${currentIndex}), cannot go back`);
-                }
+                // Walk back through the visited slides rather than to the previous slide in order
+                this.formChippy.back().then((moved) => {
+                    if (!moved) {
+                        this.formChippy.debug.info(`Could not go back from slide ${currentIndex}`);
+                    }
+                });
             });
         });
         
@@ -227,10 +228,11 @@ export class Navigation {
 
     /**
      * Set up keyboard navigation
+     * Bound to this form's container so keys only drive the form that has focus
      * @private
      */
     _setupKeyboardNavigation() {
-        document.addEventListener('keydown', (e) => {
+        this._keydownHandler = (e) => {
             // Ignore if inside a text input
             if (
                 e.target.tagName === 'INPUT' &&
@@ -267,12 +269,15 @@ export class Navigation {
             // Navigation keys
             switch (e.key) {
                 case 'ArrowDown':
-                case 'PageDown':
-                    if (currentIndex < this.formChippy.totalSlides - 1) {
-                        this.formChippy.goToSlide(currentIndex + 1);
+                case 'PageDown': {
+                    // Step along the active path, as Next would
+                    const nextIndex = this.formChippy.branching.resolveNextIndex(currentIndex);
+                    if (nextIndex !== -1) {
+                        this.formChippy.goToSlide(nextIndex);
                         e.preventDefault();
                     }
                     break
+                }
 
                 case 'ArrowUp':
                 case 'PageUp':
@@ -290,14 +295,16 @@ export class Navigation {
                     break
 
                 case 'End':
-                    // Go to last slide
-                    const lastIndex = this.formChippy.totalSlides - 1;
+                    // Go to the last slide on the active path (the navigation policy may stop earlier)
+                    const path = this.formChippy.branching.getPath();
+                    const lastIndex = path[path.length - 1];
                     this.formChippy.debug.info(`Keyboard navigation: End key - going to last slide (${lastIndex})`);
                     this.formChippy.goToSlide(lastIndex);
                     e.preventDefault();
                     break
             }
-        })
+        }
+        this.formChippy.container.addEventListener('keydown', this._keydownHandler)
     }
 
     /**
@@ -379,18 +386,24 @@ export class Navigation {
         )
 
         // Only validate if validation is enabled
-        let isValid = true;
+        // Every slide on the active path is checked, not just the current one
+        let result = { valid: true, errors: [], firstInvalidIndex: -1 };
         if (this.formChippy.validationEnabled) {
-            isValid = this.formChippy.validation.validateSlide(currentSlide);
+            result = this.formChippy.validation.validateForm();
         } else {
             this.formChippy.debug.info('Submit: Skipping validation because validation is disabled');
         }
 
         // Log the validation result's effect on form submission
-        this._logNavigationValidation(isValid, 'submit')
+        this._logNavigationValidation(result.valid, 'submit')
+
+        if (!result.valid) {
+            this._handleInvalidSubmit(result)
+            return
+        }
 
-        if (!isValid) {
-            this._highlightInvalidInputs(lastSlide)
+        // Wait for server-side checks, then submit again with their results
+        if (this.formChippy.validationEnabled && this._waitForAsyncValidation()) {
             return
         }
 
@@ -420,37 +433,87 @@ export class Navigation {
     }
 
     /**
-     * Collect form data from all inputs
-     * @returns {Object} - Form data
+     * Start waiting for async validators on the active path, if any still need checking
+     * @returns {boolean} True if submission has to wait
      * @private
      */
-    _collectFormData() {
-        const formData = {}
+    _waitForAsyncValidation() {
+        const asyncValidation = this.formChippy.asyncValidation;
+        const slides = this.formChippy.branching.getPath().map((index) => this.formChippy.slides[index]);
+        if (!slides.some((slide) => asyncValidation.needsCheck(slide))) return false;
 
-        this.formChippy.slides.forEach((slide) => {
-            const slideId = slide.getAttribute('data-fc-slide')
-            const inputs = slide.querySelectorAll(this.options.inputSelector)
-
-            inputs.forEach((input, inputIndex) => {
-                const inputName =
-                    input.getAttribute('name') ||
-                    `${slideId}-input-${inputIndex}`
-
-                // Handle different input types
-                if (input.type === 'radio' || input.type === 'checkbox') {
-                    if (input.checked) {
-                        formData[inputName] = input.value
-                    }
-                } else {
-                    formData[inputName] = input.value
-                }
-            })
-        })
+        // Ignore repeated clicks while waiting
+        if (this._submitPending) return true;
+        this._submitPending = true;
+
+        const submitButton = this.submitButton;
+        if (submitButton) {
+            submitButton.classList.add('fc-button-loading');
+            submitButton.setAttribute('aria-busy', 'true');
+        }
+
+        this.formChippy.debug.info('Submit: Waiting for async validation');
+        Promise.all(slides.map((slide) => asyncValidation.validateSlide(slide))).then(() => {
+            this._submitPending = false;
+            if (submitButton) {
+                submitButton.classList.remove('fc-button-loading');
+                submitButton.removeAttribute('aria-busy');
+            }
+            this._handleSubmit();
+        });
+        return true;
+    }
+
+    /**
+     * Report a failed submit and take the user to the first invalid field
+     * @param {Object} result - Result of validation.validateForm()
+     * @private
+     */
+    _handleInvalidSubmit(result) {
+        const { errors, firstInvalidIndex } = result;
+        const fields = errors.map(({ slideId, field, message }) => ({ slideId, field, message }));
+        const firstSlide = this.formChippy.slides[firstInvalidIndex];
+        const firstError = errors[0];
+
+        this.formChippy.debug.info(`Submit: ${errors.length} invalid field(s), first on slide ${firstSlide.getAttribute('data-fc-slide')}`, fields);
+
+        const detail = {
+            formName: this.formChippy.formName,
+            errors: fields,
+            firstInvalidSlideId: firstSlide.getAttribute('data-fc-slide')
+        };
+        this.formChippy.trigger('submitInvalid', detail);
+        this.formChippy.container.dispatchEvent(
+            new CustomEvent('formchippy:submitInvalid', { detail, bubbles: true })
+        );
+
+        if (firstInvalidIndex === this.formChippy.currentSlideIndex) {
+            this._highlightInvalidInputs(firstSlide);
+            if (firstError) firstError.element.focus();
+            return;
+        }
+
+        // Focus the field once the slide is showing
+        const handleArrival = (data) => {
+            this.formChippy.off('navigationComplete', handleArrival);
+            if (data.toIndex !== firstInvalidIndex) return;
+
+            this._highlightInvalidInputs(firstSlide);
+            if (firstError) firstError.element.focus();
+        };
+        this.formChippy.on('navigationComplete', handleArrival);
 
-        // Store in formChippy instance
-        this.formChippy.formData = formData
+        // Errors are always reachable, whatever the navigation policy
+        this.formChippy.goToSlide(firstInvalidIndex, true, { force: true });
+    }
 
-        return formData
+    /**
+     * Collect form data from all slides
+     * @returns {Object} - Flat form data from the form store
+     * @private
+     */
+    _collectFormData() {
+        return this.formChippy.formStore.getFlatData();
     }
 
     /**
@@ -461,6 +524,11 @@ export class Navigation {
         if (this.observer) {
             this.observer.disconnect()
         }
+
+        // Remove keyboard navigation
+        if (this._keydownHandler) {
+            this.formChippy.container.removeEventListener('keydown', this._keydownHandler)
+        }
     }
 
     /**
@@ -628,30 +696,14 @@ export class Navigation {
      * @param {number} currentIndex - Current slide index (0-based)
      */
     updateSlideCounter(currentIndex) {
-        // Add a data attribute to the container showing current slide / total slides
-        const totalSlides = this.formChippy.totalSlides;
-        const humanIndex = currentIndex + 1; // Convert to 1-based for display
+        // Add a data attribute to the container showing current step / total steps on the active path
+        const { position, total: totalSlides } = this.formChippy.branching.getPathPosition(currentIndex);
+        const humanIndex = position + 1; // Convert to 1-based for display
         
         // Set the attribute on the container
+        // (screen readers hear the step when the slide changes, see Accessibility.js)
         this.formChippy.container.setAttribute('data-fc-formprogress', `${humanIndex}/${totalSlides}`);
         
-        // Also create/update a visually hidden text element for screen readers
-        let srCounter = this.formChippy.container.querySelector('.fc-sr-counter');
-        
-        if (!srCounter) {
-            srCounter = document.createElement('div');
-            srCounter.className = 'fc-sr-counter';
-            srCounter.setAttribute('aria-live', 'polite');
-            srCounter.style.position = 'absolute';
-            srCounter.style.width = '1px';
-            srCounter.style.height = '1px';
-            srCounter.style.overflow = 'hidden';
-            srCounter.style.clip = 'rect(0, 0, 0, 0)';
-            this.formChippy.container.appendChild(srCounter);
-        }
-        
-        srCounter.textContent = `Step ${humanIndex} of ${totalSlides}`;
-        
         // Update button states (enable/disable) based on current position
         this.updateButtonStates(currentIndex);
     }
@@ -679,9 +731,10 @@ export class Navigation {
         // Update previous buttons
         if (prevButtons && prevButtons.length > 0) {
             this.formChippy.debug.info(`Found ${prevButtons.length} prev buttons to update`);
+            const canGoBack = this.formChippy.slideHistory.canGoBack();
             prevButtons.forEach(button => {
-                // Disable prev buttons on first slide
-                if (currentIndex === 0) {
+                // Disable prev buttons when there is no visited slide to go back to
+                if (!canGoBack) {
                     button.classList.add(disabledClass);
                     button.setAttribute('aria-disabled', 'true');
                 } else {
@@ -698,8 +751,9 @@ export class Navigation {
                 // Check if this is a special button with a go-to attribute
                 const hasGoTo = button.hasAttribute('data-fc-go-to');
                 
-                // Only disable regular next buttons on last slide
-                if (!hasGoTo && currentIndex === totalSlides - 1) {
+                // Only disable regular next buttons on the last slide of the active path
+                const isLastOnPath = this.formChippy.branching.resolveNextIndex(currentIndex, button) === -1;
+                if (!hasGoTo && isLastOnPath) {
                     button.classList.add(disabledClass);
                     button.setAttribute('aria-disabled', 'true');
                 } else {
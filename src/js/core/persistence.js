@@ -1,8 +1,21 @@
 /**
  * FormChippy Data Persistence Module
- * Handles saving and retrieving form data from localStorage
+ * Handles saving and retrieving form data through a storage adapter
+ * (localStorage by default, see StorageAdapters.js and the `persist` option)
+ *
+ * If the storage fails (quota exceeded, storage blocked in private browsing), the form
+ * keeps its data in memory for the rest of the visit and triggers 'persistenceFallback'.
+ *
+ * Sensitive fields (data-fc-sensitive) are left out of the saved data, or saved encrypted
+ * under `sealed` next to it (see Sensitive.js).
+ *
+ * Saved data records the form's schema version. When it is loaded, data from an older version
+ * is migrated, and answers are checked against the form's slides and inputs (see Migrations.js).
  */
 
+import { createAdapter, MemoryAdapter } from './storage-adapters.js';
+import { runMigrations, pruneFormData } from './migrations.js';
+
 export class Persistence {
     /**
      * Initialize the persistence module
@@ -10,9 +23,86 @@ export class Persistence {
      */
     constructor(formChippy) {
         this.formChippy = formChippy;
+        this.options = formChippy.options || {};
         this.storageKeyPrefix = 'formchippy_data_';
         // No longer need separate expiry keys as we'll include expiry in the data object
         this.defaultExpiry = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+        // Version of this form's saved data (data-fc-schema-version)
+        this.schemaVersion = Math.max(1, parseInt(this.options.schemaVersion, 10) || 1);
+
+        const persist = this.options.persist === false ? 'none' : (this.options.persist || 'local');
+        try {
+            this.adapter = createAdapter(persist, this.options);
+        } catch (error) {
+            this.adapter = null;
+            this._useMemory(error);
+        }
+        this.adapter.onError = (error) => this._useMemory(error);
+
+        // Decrypted sensitive values of this form, by slide ID
+        this._unsealed = null;
+        // Counts encryptions, so only the latest one is saved
+        this._sealCount = 0;
+        // Counts clears, so values decrypted after a reset are not brought back
+        this._clearCount = 0;
+        // Encrypted values saved by the previous session, read before this session saves over them
+        this._savedSealed = this._getSensitive(this.formChippy.formName)
+            ? this._readEnvelope(this.formChippy.formName)?.sealed || null
+            : null;
+        this._hasSealed = !!this._savedSealed;
+        // True until the saved sensitive values are decrypted
+        this._unsealing = this._hasSealed;
+
+        // Writes made while an asynchronous adapter loads, keyed by storage key
+        // (other storage is written straight away, even while sensitive values decrypt)
+        this._pendingWrites = typeof this.adapter.ready === 'function' ? new Map() : null;
+        this._ready = null;
+    }
+
+    /**
+     * Check whether the saved data arrives asynchronously (IndexedDB and remote adapters,
+     * or encrypted sensitive fields)
+     * @returns {boolean}
+     */
+    isAsync() {
+        return typeof this.adapter.ready === 'function' || this._hasSealed;
+    }
+
+    /**
+     * Wait for the adapter to load this form's data, and its sensitive fields to be decrypted
+     * Resolves straight away when nothing loads asynchronously, and never rejects (a failing
+     * adapter is replaced by memory)
+     * @param {string} [formName] - The form name
+     * @returns {Promise<void>}
+     */
+    ready(formName) {
+        if (this._ready) return this._ready;
+        if (!this.isAsync()) {
+            this._ready = Promise.resolve();
+            return this._ready;
+        }
+
+        const adapter = this.adapter;
+        const key = this.getStorageKey(formName || this.formChippy.formName);
+        this._ready = Promise.resolve()
+            .then(() => typeof adapter.ready === 'function' ? adapter.ready([key]) : undefined)
+            .then(() => {
+                this.formChippy.debug?.info(`Persistence adapter '${adapter.name}' is ready`);
+            })
+            .catch((error) => {
+                if (this.adapter === adapter) this._useMemory(error);
+            })
+            .then(() => this._unseal(formName || this.formChippy.formName))
+            .then(() => this._writePending());
+        return this._ready;
+    }
+
+    /**
+     * Send any writes the adapter is holding back
+     * @returns {Promise}
+     */
+    flush() {
+        return Promise.resolve(typeof this.adapter.flush === 'function' ? this.adapter.flush() : undefined);
     }
 
     /**
@@ -33,7 +123,7 @@ export class Persistence {
     }
 
     /**
-     * Save form data to localStorage
+     * Save form data to storage
      * @param {string} formName - The form name
      * @param {Object} formData - The form data to save
      * @param {number} expiryMs - Optional: custom expiry time in milliseconds
@@ -55,20 +145,40 @@ export class Persistence {
             // Calculate expiration time
             const expires = Date.now() + (expiryMs || this.defaultExpiry);
             
+            // Sensitive fields are left out, or encrypted separately
+            const sensitive = this._getSensitive(formName);
+            const { data, sealed } = sensitive ? sensitive.split(formData) : { data: formData, sealed: null };
+            
             // Enhanced data structure that includes form name, timestamp, and expiry
             const enhancedData = {
                 formName: formName, // The form name from data-fc-container
                 timestamp: Date.now(), // When the data was saved
                 expires: expires, // When the data expires (replaces separate expiry entry)
-                data: formData // The actual form data
+                data: data // The actual form data
             };
             
+            // Keep the saved journey (visited slides) and encrypted fields alongside the data
+            const previous = this._readEnvelope(formName);
+            // Until the saved sensitive values are decrypted, the saved data keeps its version
+            // (so it is migrated with them) and its encrypted values
+            const decrypting = this._isOwnForm(formName) && this._unsealing;
+            const version = this._isOwnForm(formName) && !decrypting ? this.schemaVersion : previous?.version;
+            if (version) {
+                enhancedData.version = version;
+            }
+            if (previous?.journey) {
+                enhancedData.journey = previous.journey;
+            }
+            if (previous?.sealed && (sealed || decrypting)) {
+                enhancedData.sealed = previous.sealed;
+            }
+            
             // Log the complete object being saved
             this.formChippy.debug?.info(`Saving enhanced data structure:`, enhancedData);
             
-            // Store everything in a single localStorage entry
+            // Store everything in a single entry
             const key = this.getStorageKey(formName);
-            localStorage.setItem(key, JSON.stringify(enhancedData));
+            this._setItem(key, JSON.stringify(enhancedData));
             
             // Trigger a data update event that other components can listen for
             if (typeof document !== 'undefined') {
@@ -83,16 +193,20 @@ export class Persistence {
                 document.dispatchEvent(event);
             }
             
-            this.formChippy.debug?.info(`Form data saved to localStorage: ${key}`);
+            if (sensitive) {
+                this._seal(formName, sealed);
+            }
+            
+            this.formChippy.debug?.info(`Form data saved to ${this.adapter.name} storage: ${key}`);
             return true;
         } catch (error) {
-            this.formChippy.debug?.error('Error saving form data to localStorage:', error);
+            this.formChippy.debug?.error('Error saving form data:', error);
             return false;
         }
     }
 
     /**
-     * Load form data from localStorage
+     * Load form data from storage
      * @param {string} formName - The form name
      * @param {boolean} [rawFormat=false] - Whether to return the raw enhanced data structure or just the form data
      * @returns {Object|null} The retrieved form data or null if not found/expired
@@ -105,9 +219,9 @@ export class Persistence {
             
             
             // Check if data exists
-            const storedData = localStorage.getItem(key);
+            const storedData = this._getItem(key);
             if (!storedData) {
-                this.formChippy.debug?.info(`No form data found in localStorage for: ${key}`);
+                this.formChippy.debug?.info(`No form data found in ${this.adapter.name} storage for: ${key}`);
                 return null;
             }
             
@@ -124,7 +238,7 @@ export class Persistence {
             // Support for old format with separate expiry key
             if (!parsedData.expires) {
                 const oldExpiryKey = `formchippy_expires_${formName}`;
-                const expiryTimestamp = parseInt(localStorage.getItem(oldExpiryKey) || '0', 10);
+                const expiryTimestamp = parseInt(this._getItem(oldExpiryKey) || '0', 10);
                 if (expiryTimestamp && Date.now() > expiryTimestamp) {
                     this.formChippy.debug?.info(`Form data expired for: ${key} (old format)`);
                     this.clearFormData(formName); // Clean up expired data
@@ -144,21 +258,88 @@ export class Persistence {
                 data: parsedData
             };
             
-            this.formChippy.debug?.info(`Form data loaded from localStorage: ${key}`, formData);
+            this.formChippy.debug?.info(`Form data loaded from ${this.adapter.name} storage: ${key}`, formData);
+            
+            // Put back the decrypted sensitive fields
+            let data = this._withUnsealed(formName, isEnhancedFormat ? formData.data : parsedData);
+            
+            // Bring data saved by an older version of the form up to date
+            // (once its sensitive values are decrypted, so they are migrated too)
+            const upgrade = this._isOwnForm(formName) && !this._unsealing;
+            if (upgrade) {
+                data = this._upgrade(formName, formData, data);
+                if (!data) return null;
+            }
             
             // Return either the enhanced structure or just the form data
-            return rawFormat ? formData : (isEnhancedFormat ? formData.data : parsedData);
+            return rawFormat ? { ...formData, data, version: upgrade ? this.schemaVersion : formData.version } : data;
         } catch (error) {
-            this.formChippy.debug?.error('Error loading form data from localStorage:', error);
+            this.formChippy.debug?.error('Error loading form data:', error);
             return null;
         }
     }
 
     /**
-     * Clear form data from localStorage
-     * @param {string} formName - The form name (or null to clear all)
+     * Save the user's journey (e.g. the visited slide history) with the form data
+     * @param {string} formName - The form name
+     * @param {Object} journey - Journey state to merge into the saved journey
+     * @returns {boolean} True if saved
+     */
+    saveJourney(formName, journey) {
+        try {
+            formName = formName || this.formChippy.formName || this.formChippy.name || 'default';
+            const envelope = this._readEnvelope(formName) || {
+                formName: formName,
+                timestamp: Date.now(),
+                expires: Date.now() + this.defaultExpiry,
+                data: {}
+            };
+            if (!envelope.version && this._isOwnForm(formName)) {
+                envelope.version = this.schemaVersion;
+            }
+            
+            envelope.journey = { ...envelope.journey, ...journey };
+            this._setItem(this.getStorageKey(formName), JSON.stringify(envelope));
+            
+            this.formChippy.debug?.info(`Journey saved for form: ${formName}`, envelope.journey);
+            return true;
+        } catch (error) {
+            this.formChippy.debug?.error('Error saving journey:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the user's saved journey
+     * @param {string} formName - The form name
+     * @returns {Object|null} The saved journey or null if not found/expired
      */
+    loadJourney(formName) {
+        const envelope = this.loadFormData(formName, true);
+        return envelope && envelope.journey ? envelope.journey : null;
+    }
 
+    /**
+     * Read the stored envelope without expiry handling or format conversion
+     * @param {string} formName - The form name
+     * @returns {Object|null} The parsed envelope, or null if missing or unreadable
+     * @private
+     */
+    _readEnvelope(formName, savedOnly = false) {
+        try {
+            const key = this.getStorageKey(formName);
+            const storedData = savedOnly ? this.adapter.getItem(key) : this._getItem(key);
+            const parsedData = storedData ? JSON.parse(storedData) : null;
+            return parsedData && parsedData.hasOwnProperty('data') ? parsedData : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Apply saved form data to every instance bound to a form name
+     * @param {string} formName - The form name
+     */
     applySavedDataToAllForms(formName) {
         const savedData = this.loadFormData(formName)
         if (!savedData) return
@@ -181,7 +362,7 @@ export class Persistence {
     }
     
     /**
-     * Clear form data from localStorage
+     * Clear form data from storage
      * @param {string} formName - The form name (or null to clear all)
      */
     clearFormData(formName) {
@@ -189,38 +370,49 @@ export class Persistence {
             if (formName) {
                 // Clear specific form data - now only need to remove the single key
                 const key = this.getStorageKey(formName);
-                localStorage.removeItem(key);
+                this._removeItem(key);
+                this.clearSensitive(formName);
                 
                 // For backward compatibility, also check for old format expiry key
                 const oldExpiryKey = `formchippy_expires_${formName}`;
-                if (localStorage.getItem(oldExpiryKey)) {
-                    localStorage.removeItem(oldExpiryKey);
+                if (this._getItem(oldExpiryKey)) {
+                    this._removeItem(oldExpiryKey);
                 }
                 
                 this.formChippy.debug?.info(`Cleared form data for: ${key}`);
             } else {
                 // Clear all FormChippy data
-                const keysToRemove = [];
-                for (let i = 0; i < localStorage.length; i++) {
-                    const key = localStorage.key(i);
-                    if (key && key.startsWith('formchippy_')) {
-                        keysToRemove.push(key);
-                    }
-                }
+                const keysToRemove = this.adapter.keys().filter(key => key && key.startsWith('formchippy_'));
                 
                 // Remove all matching keys
-                keysToRemove.forEach(key => localStorage.removeItem(key));
+                keysToRemove.forEach(key => this._removeItem(key));
+                if (this._pendingWrites) this._pendingWrites.clear();
+                this.clearSensitive(this.formChippy.formName);
                 this.formChippy.debug?.info(`Cleared all FormChippy data (${keysToRemove.length} items)`);
             }
             return true;
         } catch (error) {
-            this.formChippy.debug?.error('Error clearing form data from localStorage:', error);
+            this.formChippy.debug?.error('Error clearing form data:', error);
             return false;
         }
     }
     
     /**
-     * Check if form data exists in localStorage
+     * Forget this form's decrypted sensitive values, including any still being decrypted
+     * (e.g. when the form is reset), so the next save drops them
+     * @param {string} [formName] - The form name
+     */
+    clearSensitive(formName) {
+        if (!this._getSensitive(formName)) return;
+        this._unsealed = null;
+        this._savedSealed = null;
+        this._unsealing = false;
+        this._sealCount++;
+        this._clearCount++;
+    }
+    
+    /**
+     * Check if form data exists in storage
      * @param {string} formName - The form name
      * @returns {boolean} True if form data exists and is not expired
      */
@@ -228,7 +420,12 @@ export class Persistence {
         const key = this.getStorageKey(formName);
         
         // Check if data exists
-        const storedData = localStorage.getItem(key);
+        let storedData = null;
+        try {
+            storedData = this._getItem(key);
+        } catch (error) {
+            this.formChippy.debug?.error('Error reading form data:', error);
+        }
         if (!storedData) return false;
         
         try {
@@ -244,7 +441,7 @@ export class Persistence {
             // Support for old format with separate expiry key
             if (!parsedData.expires) {
                 const oldExpiryKey = `formchippy_expires_${formName}`;
-                const expiryTimestamp = parseInt(localStorage.getItem(oldExpiryKey) || '0', 10);
+                const expiryTimestamp = parseInt(this._getItem(oldExpiryKey) || '0', 10);
                 if (expiryTimestamp && Date.now() > expiryTimestamp) {
                     this.clearFormData(formName); // Clean up expired data
                     return false;
@@ -266,8 +463,7 @@ export class Persistence {
     getAllForms(rawFormat = false) {
         const forms = {};
         try {
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
+            this.adapter.keys().forEach(key => {
                 if (key && key.startsWith(this.storageKeyPrefix)) {
                     const formName = key.replace(this.storageKeyPrefix, '');
                     // Only include non-expired data
@@ -275,10 +471,288 @@ export class Persistence {
                         forms[formName] = this.loadFormData(formName, rawFormat);
                     }
                 }
-            }
+            });
         } catch (error) {
             this.formChippy.debug?.error('Error retrieving all forms:', error);
         }
         return forms;
     }
+
+    /**
+     * Read an entry, including a write still waiting for the adapter to load
+     * @private
+     */
+    _getItem(key) {
+        if (this._pendingWrites && this._pendingWrites.has(key)) {
+            return this._pendingWrites.get(key);
+        }
+        return this.adapter.getItem(key);
+    }
+
+    /**
+     * Write an entry, moving to memory if the storage refuses it
+     * @private
+     */
+    _setItem(key, value) {
+        if (this._pendingWrites) {
+            this._pendingWrites.set(key, value);
+            return;
+        }
+        try {
+            this.adapter.setItem(key, value);
+        } catch (error) {
+            this._useMemory(error);
+            this.adapter.setItem(key, value);
+        }
+    }
+
+    /**
+     * Remove an entry
+     * @private
+     */
+    _removeItem(key) {
+        if (this._pendingWrites) this._pendingWrites.delete(key);
+        this.adapter.removeItem(key);
+    }
+
+    /**
+     * Check whether a form name is this instance's form
+     * @private
+     */
+    _isOwnForm(formName) {
+        return !formName || formName === this.formChippy.formName;
+    }
+
+    /**
+     * Get the sensitive fields of a form, if it is this instance's form
+     * @private
+     */
+    _getSensitive(formName) {
+        const sensitive = this.formChippy.sensitive;
+        if (!sensitive || sensitive.fields.size === 0) return null;
+        return this._isOwnForm(formName) ? sensitive : null;
+    }
+
+    /**
+     * Migrate saved data to the form's schema version and drop answers the form no longer has,
+     * saving the result so it is only done once
+     * @param {string} formName - The form name
+     * @param {Object} envelope - The saved envelope
+     * @param {Object} data - The saved data (with decrypted sensitive fields)
+     * @returns {Object|null} The data to restore, or null if it was discarded
+     * @private
+     */
+    _upgrade(formName, envelope, data) {
+        const from = parseInt(envelope.version, 10) || 1;
+        const to = this.schemaVersion;
+        let upgraded = data;
+
+        if (from < to) {
+            try {
+                const result = runMigrations(formName, data, from, to);
+                upgraded = result.data;
+                if (result.applied.length) {
+                    this.formChippy.debug?.info(`Migrated saved data for ${formName} from version ${from} to ${to}`, { migrations: result.applied });
+                }
+            } catch (error) {
+                this.formChippy.debug?.error(`Could not migrate saved data for ${formName} from version ${from} to ${to}, so it was discarded`, error);
+                this.clearFormData(formName);
+                return null;
+            }
+        } else if (from > to) {
+            this.formChippy.debug?.warn(`Saved data for ${formName} is from a newer version of the form (${from}, this is ${to})`);
+        }
+
+        let changed = from !== to;
+        // Slides and inputs can be renamed without a new version (e.g. in the page editor)
+        if (this.options.pruneSavedData !== false && this.formChippy.slides?.length) {
+            const report = pruneFormData(upgraded, this.formChippy.container);
+            if (report.dropped.length || report.moved.length) {
+                this.formChippy.debug?.warn(`Saved answers that no longer match form ${formName} were dropped or moved`, {
+                    dropped: report.dropped,
+                    moved: report.moved
+                });
+                upgraded = report.data;
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.saveFormData(formName, upgraded, envelope.expires ? envelope.expires - Date.now() : undefined);
+        }
+        return upgraded;
+    }
+
+    /**
+     * Encrypt the sensitive fields and save them under `sealed`
+     * @param {string} formName - The form name
+     * @param {Object|null} sealed - Values to encrypt by slide ID (null if there are none)
+     * @private
+     */
+    _seal(formName, sealed) {
+        const count = ++this._sealCount;
+        this._unsealed = sealed;
+        if (!sealed) return;
+
+        this._getSensitive(formName).encrypt(sealed)
+            .then((cipher) => {
+                if (count !== this._sealCount) return;
+                const envelope = this._readEnvelope(formName);
+                if (!envelope) return;
+                envelope.sealed = cipher;
+                this._setItem(this.getStorageKey(formName), JSON.stringify(envelope));
+            })
+            .catch((error) => {
+                this.formChippy.debug?.warn('Could not encrypt sensitive fields, so they were not saved', error);
+            });
+    }
+
+    /**
+     * Decrypt the sensitive fields saved by a previous session
+     * Fields answered meanwhile keep the new answer
+     * @private
+     */
+    _unseal(formName) {
+        const sensitive = this._getSensitive(formName);
+        // Read what was saved, not a write made while it loaded
+        const sealed = this._savedSealed || this._readEnvelope(formName, true)?.sealed;
+        this._savedSealed = null;
+        if (!sensitive || !sealed) {
+            this._unsealing = false;
+            return undefined;
+        }
+
+        this._unsealing = true;
+        const sealCount = this._sealCount;
+        const clearCount = this._clearCount;
+        return sensitive.decrypt(sealed)
+            .then((values) => {
+                if (clearCount !== this._clearCount) return;
+
+                const unsealed = { ...values };
+                Object.entries(this._unsealed || {}).forEach(([slideId, fields]) => {
+                    unsealed[slideId] = { ...unsealed[slideId], ...fields };
+                });
+                this.formChippy.debug?.info('Decrypted the saved sensitive fields');
+
+                // Encrypt them again with what this session saved meanwhile
+                if (sealCount !== this._sealCount) {
+                    this._seal(formName, unsealed);
+                } else {
+                    this._unsealed = unsealed;
+                }
+            })
+            .catch((error) => {
+                this.formChippy.debug?.warn('Could not decrypt the saved sensitive fields', error);
+            })
+            .then(() => {
+                this._unsealing = false;
+            });
+    }
+
+    /**
+     * Merge the decrypted sensitive fields into loaded form data
+     * @private
+     */
+    _withUnsealed(formName, data) {
+        if (!this._unsealed || !this._getSensitive(formName) || !data || typeof data !== 'object') return data;
+
+        const merged = { ...data };
+        Object.entries(this._unsealed).forEach(([slideId, fields]) => {
+            merged[slideId] = { ...(merged[slideId] || {}), ...fields };
+        });
+        return merged;
+    }
+
+    /**
+     * Write what was saved while the adapter loaded
+     * Answers given meanwhile are merged over the previous session's, which keeps its
+     * journey and schema version (so it can still be resumed and migrated)
+     * @private
+     */
+    _writePending() {
+        const writes = this._pendingWrites;
+        this._pendingWrites = null;
+        if (!writes) return;
+
+        writes.forEach((value, key) => {
+            const saved = this.adapter.getItem(key);
+            this._setItem(key, saved === null ? value : mergeEnvelopes(saved, value));
+        });
+    }
+
+    /**
+     * Replace a failing adapter with memory, keeping whatever can still be read from it
+     * @private
+     */
+    _useMemory(error) {
+        const failed = this.adapter;
+        if (failed instanceof MemoryAdapter) return;
+
+        const memory = new MemoryAdapter();
+        if (failed) {
+            try {
+                failed.keys().filter(key => key && key.startsWith('formchippy_')).forEach(key => {
+                    const value = failed.getItem(key);
+                    if (value !== null) memory.setItem(key, value);
+                });
+            } catch (readError) {
+                // Nothing can be kept
+            }
+            failed.onError = null;
+        }
+
+        this.adapter = memory;
+        this.adapter.onError = null;
+
+        const from = failed ? failed.name : (this.options.persist || 'local');
+        this.formChippy.debug?.warn(`Storage '${from}' is unavailable, keeping form data in memory`, error);
+        if (typeof this.formChippy.trigger === 'function') {
+            this.formChippy.trigger('persistenceFallback', { from, to: 'memory', error });
+        }
+    }
+
+    /**
+     * Clean up when destroying the form (sends any writes still waiting)
+     */
+    destroy() {
+        this.flush();
+    }
+}
+
+/**
+ * Merge an envelope written while the adapter loaded over the one it loaded, field by field
+ * @param {string} saved - The stored envelope
+ * @param {string} pending - The envelope written meanwhile
+ * @returns {string} The merged envelope
+ * @private
+ */
+function mergeEnvelopes(saved, pending) {
+    let previous;
+    let latest;
+    try {
+        previous = JSON.parse(saved);
+        latest = JSON.parse(pending);
+    } catch (error) {
+        return saved;
+    }
+
+    const isEnvelope = (envelope) => !!envelope && envelope.hasOwnProperty('data');
+    if (!isEnvelope(latest)) return saved;
+    if (!isEnvelope(previous) || (previous.expires && Date.now() > previous.expires)) return pending;
+
+    const isSlide = (fields) => !!fields && typeof fields === 'object' && !Array.isArray(fields);
+    const data = { ...previous.data };
+    Object.entries(latest.data || {}).forEach(([slideId, fields]) => {
+        data[slideId] = isSlide(fields) && isSlide(data[slideId]) ? { ...data[slideId], ...fields } : fields;
+    });
+
+    return JSON.stringify({
+        ...previous,
+        timestamp: latest.timestamp,
+        expires: latest.expires,
+        data,
+        journey: previous.journey || latest.journey,
+        sealed: latest.sealed || previous.sealed
+    });
 }
@@ -11,6 +11,9 @@
  * - Progress bar: Add an element with [data-fc-progress] attribute
  * - Navigation dots: Add an element with [data-fc-dots] attribute
  * - Progress fraction: Add an element with [data-fc-progress-fraction-container] attribute
+ *
+ * All three count only the slides on the active branching path, so skipped
+ * slides never inflate the total. Dots for off-path slides get the `hidden` attribute.
  */
 
 export class Progress {
@@ -18,6 +21,12 @@ export class Progress {
         this.formChippy = formChippy;
         this.options = formChippy.options;
         this.dots = [];
+
+        // Answers can change the active path, so recount whenever data changes
+        this._handleFormDataChanged = () => {
+            this.updateProgress(this.formChippy.currentSlideIndex);
+        };
+        this.formChippy.on('formDataChanged', this._handleFormDataChanged);
     }
 
     /**
@@ -62,7 +71,7 @@ export class Progress {
             dot.setAttribute('data-slide', slide.getAttribute('data-fc-slide') || `slide-${index + 1}`);
             dot.setAttribute('role', 'button');
             dot.setAttribute('tabindex', '0');
-            dot.setAttribute('aria-label', `Go to slide ${index + 1}`);
+            dot.setAttribute('aria-label', this.formChippy.i18n.t('go-to-slide', { number: index + 1 }));
             
             // Add click event
             dot.addEventListener('click', (e) => {
@@ -112,6 +121,7 @@ export class Progress {
         progressWrap.setAttribute('aria-valuemin', '0');
         progressWrap.setAttribute('aria-valuemax', '100');
         progressWrap.setAttribute('aria-valuenow', '0');
+        progressWrap.setAttribute('aria-label', this.formChippy.i18n.t('progress-label', {}, progressContainer));
         
         const progressBar = document.createElement('div');
         progressBar.classList.add('fc-progress-bar');
@@ -151,23 +161,26 @@ export class Progress {
             // Clear existing content
             fractionContainer.innerHTML = '';
             
-            // Create structure: Step <span>1</span> of <span>5</span>
-            const prefix = document.createTextNode('Step ');
+            // Create structure: Step <span>1</span> of <span>5</span>, in the form's language
             const numerator = document.createElement('span');
             numerator.setAttribute('data-fc-progress-fraction', 'numerator');
             numerator.textContent = '1'; // Default value, will be updated
             
-            const separator = document.createTextNode(' of ');
-            
             const denominator = document.createElement('span');
             denominator.setAttribute('data-fc-progress-fraction', 'denominator');
-            denominator.textContent = this.formChippy.totalSlides.toString();
+            denominator.textContent = this.formChippy.branching.getPath().length.toString();
             
-            // Assemble the elements
-            fractionContainer.appendChild(prefix);
-            fractionContainer.appendChild(numerator);
-            fractionContainer.appendChild(separator);
-            fractionContainer.appendChild(denominator);
+            // Assemble the elements around the message's text ("Step {current} of {total}")
+            const parts = { '{current}': numerator, '{total}': denominator };
+            const template = this.formChippy.i18n.template('step-of', fractionContainer) || '';
+            template.split(/(\{current\}|\{total\})/).forEach((part) => {
+                const element = parts[part];
+                if (element) {
+                    fractionContainer.appendChild(element);
+                } else if (part) {
+                    fractionContainer.appendChild(document.createTextNode(part));
+                }
+            });
             
             this.formChippy.debug.info('Created progress fraction elements', {
                 container: fractionContainer,
@@ -181,9 +194,23 @@ export class Progress {
      * @param {number} index - Current slide index
      */
     updateProgress(index) {
+        // Work out the position on the active path (skipped slides are not counted)
+        const path = this.formChippy.branching.getPath();
+
         // Update dots
         if (this.dots && this.dots.length > 0) {
             this.dots.forEach((dot, i) => {
+                // Hide dots for slides that are not on the active path
+                const pathPosition = path.indexOf(i);
+                if (pathPosition === -1) {
+                    dot.setAttribute('hidden', '');
+                    dot.setAttribute('aria-hidden', 'true');
+                } else {
+                    dot.removeAttribute('hidden');
+                    dot.removeAttribute('aria-hidden');
+                    dot.setAttribute('aria-label', this.formChippy.i18n.t('go-to-step', { number: pathPosition + 1 }));
+                }
+
                 if (i === index) {
                     // Set active class and ARIA attributes for the active dot
                     dot.classList.add(this.options.activeClass);
@@ -204,32 +231,26 @@ export class Progress {
                     // Remove active class and attributes from inactive dots
                     dot.classList.remove(this.options.activeClass);
                     dot.removeAttribute('aria-current');
-                    dot.setAttribute('tabindex', '0'); // Keep tabbable but not current
+                    dot.setAttribute('tabindex', pathPosition === -1 ? '-1' : '0'); // Keep on-path dots tabbable but not current
                 }
             });
         }
 
-        // Update progress bar using the position tracker as source of truth
+        // Use the position tracker as source of truth for the current slide
+        const slideTracker = this.formChippy._slidePositionTracker;
+        const currentIndex = slideTracker ? slideTracker.currentIndex : index;
+        const pathPosition = path.indexOf(currentIndex);
+        const position = pathPosition !== -1 ? pathPosition : currentIndex;
+        const totalSteps = path.length || this.formChippy.totalSlides;
+        const progress = ((position + 1) / totalSteps) * 100;
+
+        // Update progress bar
         if (this.formChippy.progressBar) {
-            // Get the true progress percentage based on current index
-            const slideTracker = this.formChippy._slidePositionTracker;
-            const totalSlides = this.formChippy.totalSlides;
-            
-            // Calculate progress based on true current slide position
-            let currentIndex, progress;
-            if (slideTracker) {
-                // Use the position tracker for more accurate progress
-                currentIndex = slideTracker.currentIndex;
-                progress = ((currentIndex + 1) / totalSlides) * 100;
-                this.formChippy.debug.info(`Progress updated from tracker: ${progress.toFixed(1)}%`, {
-                    currentIndex: currentIndex,
-                    totalSlides: totalSlides
-                });
-            } else {
-                // Fallback to standard calculation
-                currentIndex = index;
-                progress = ((currentIndex + 1) / totalSlides) * 100;
-            }
+            this.formChippy.debug.info(`Progress updated: ${progress.toFixed(1)}%`, {
+                currentIndex: currentIndex,
+                pathPosition: position,
+                totalSteps: totalSteps
+            });
             
             // Get the correct elements (specifically targeting the fill element)
             let progressFill = this.formChippy.progressBar;
@@ -249,27 +270,31 @@ export class Progress {
                 this.formChippy.debug.info(`Setting progress fill width to ${progress}%`);
             }
             
-            // Also update ARIA attributes on the wrapper
-            const progressWrap = this.formChippy.container.querySelector('[data-fc-progress-wrap]');
-            if (progressWrap) {
-                progressWrap.setAttribute('aria-valuenow', progress);
-            }
-            
-            // Update the progress fraction (step counter)
-            this.updateProgressFraction(currentIndex, totalSlides);
-            
             // Update the donut progress indicator if available
             if (this.formChippy.donutProgress && this.formChippy.donutProgress.initialized) {
                 this.formChippy.donutProgress.updateProgress(progress);
                 this.formChippy.debug.info(`Donut progress synced with main progress: ${progress.toFixed(1)}%`);
             }
         }
+
+        // Keep the progressbar's ARIA values in step with the bar
+        const progressWrap = this.formChippy.container.querySelector('[data-fc-progress-wrap]');
+        if (progressWrap) {
+            progressWrap.setAttribute('aria-valuenow', String(Math.round(progress)));
+            progressWrap.setAttribute(
+                'aria-valuetext',
+                this.formChippy.i18n.t('step-of', { current: position + 1, total: totalSteps })
+            );
+        }
+
+        // Update the progress fraction (step counter)
+        this.updateProgressFraction(position, totalSteps);
     }
     
     /**
      * Update the progress fraction (step counter) elements
-     * @param {number} currentIndex - Current slide index (0-based)
-     * @param {number} totalSlides - Total number of slides
+     * @param {number} currentIndex - Current step on the active path (0-based)
+     * @param {number} totalSlides - Total number of steps on the active path
      */
     updateProgressFraction(currentIndex, totalSlides) {
         // Find the fraction elements
@@ -296,6 +321,8 @@ export class Progress {
      * Clean up when destroying the form
      */
     destroy() {
+        this.formChippy.off('formDataChanged', this._handleFormDataChanged);
+
         // Remove dots
         if (this.formChippy.dotsContainer) {
             this.formChippy.dotsContainer.innerHTML = '';
@@ -0,0 +1,193 @@
+/**
+ * QuestionTypes.js
+ * Registry of question types, and the handlers each form creates from it
+ *
+ * Usage:
+ * - FormChippy.registerQuestionType('ltv-slider', LtvSlider)
+ * - <input type="range" name="ltv" data-fc-question-type="ltv-slider">
+ *
+ * A question type is a class constructed with the FormChippy instance, like the built-in
+ * handlers in ../questions. The inputs it owns are matched by its static `selector`
+ * (by default [data-fc-question-type="<name>"]); an input's data-fc-question-type always
+ * wins over another type's selector. Every hook is optional:
+ * - init(): runs once the form is set up, after saved answers are restored
+ * - getValue(input): the value stored for the input, instead of input.value
+ * - setValue(input, value): show a stored or setValue() value, instead of setting input.value
+ *   (also called by init for saved answers)
+ * - validate(input, value): runs after the required and data-fc-rule checks on the trimmed
+ *   value. Return true if valid, false or an error message if not
+ * - destroy(): remove listeners and markup when the form is destroyed
+ *
+ * Register types before the forms initialize. A new name registered later is also added to
+ * forms already on the page; replacing an existing type only applies to forms created after.
+ */
+
+import { TextInput } from '../questions/text.js';
+import { RadioInput } from '../questions/radio.js';
+import { ToggleInput } from '../questions/toggle.js';
+import { FileInput } from '../questions/file.js';
+import { TextareaInput } from '../questions/textarea.js';
+import { DateInput } from '../questions/date.js';
+import { SelectInput } from '../questions/select.js';
+
+// Question type classes keyed by name, shared by every form
+const registry = {
+    text: TextInput,
+    radio: RadioInput,
+    toggle: ToggleInput,
+    file: FileInput,
+    textarea: TextareaInput,
+    date: DateInput,
+    select: SelectInput
+};
+
+/**
+ * Add (or replace) a question type
+ * @param {string} name - Type name, used in data-fc-question-type
+ * @param {Function} QuestionType - Class constructed with the FormChippy instance
+ * @returns {boolean} True if the type was registered
+ */
+export function registerQuestionType(name, QuestionType) {
+    if (!name || typeof QuestionType !== 'function') {
+        console.error(`FormChippy: registerQuestionType('${name}') needs a name and a class`);
+        return false;
+    }
+
+    registry[name] = QuestionType;
+    return true;
+}
+
+export class QuestionTypes {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        // Handler instances keyed by type name
+        this.handlers = {};
+        this._selectors = {};
+        this._initialized = false;
+
+        Object.entries(registry).forEach(([name, QuestionType]) => this.add(name, QuestionType));
+    }
+
+    /**
+     * Create this form's handler for a question type
+     * @param {string} name - Type name
+     * @param {Function} QuestionType - The type's class
+     * @returns {boolean} True if the handler was created
+     */
+    add(name, QuestionType) {
+        if (this.handlers[name]) {
+            this.formChippy.debug.warn(`Question type '${name}' already exists on this form, keeping it`);
+            return false;
+        }
+
+        try {
+            const handler = new QuestionType(this.formChippy);
+            this.handlers[name] = handler;
+            this._selectors[name] = QuestionType.selector || `[data-fc-question-type="${name}"]`;
+
+            // Added after the form was set up
+            if (this._initialized) {
+                this._initHandler(name, handler);
+            }
+
+            this.formChippy.debug.info(`Question type added: ${name}`);
+            return true;
+        } catch (error) {
+            this.formChippy.debug.error(`Question type '${name}' failed to start:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Run every handler's init hook (called once the form is set up)
+     */
+    init() {
+        this._initialized = true;
+        Object.entries(this.handlers).forEach(([name, handler]) => this._initHandler(name, handler));
+    }
+
+    /**
+     * Find the handler that owns an input and has a hook
+     * @param {HTMLElement} input - The input
+     * @param {string} hook - Hook name ('getValue', 'setValue' or 'validate')
+     * @returns {Object|null} The handler, or null if no type owns the input with that hook
+     */
+    getHandler(input, hook) {
+        // An explicit data-fc-question-type wins over built-in selectors (e.g. textarea)
+        const explicit = this.handlers[input.getAttribute('data-fc-question-type')];
+        if (explicit && typeof explicit[hook] === 'function') return explicit;
+
+        const name = Object.keys(this.handlers).find(
+            (key) => typeof this.handlers[key][hook] === 'function' && input.matches(this._selectors[key])
+        );
+        return name ? this.handlers[name] : null;
+    }
+
+    /**
+     * Run the validate hook of the type that owns an input
+     * @param {HTMLElement} input - The input
+     * @param {string} value - The trimmed, non-empty value
+     * @returns {string|null} The error message, or null if valid (or no type validates it)
+     */
+    validate(input, value) {
+        const handler = this.getHandler(input, 'validate');
+        if (!handler) return null;
+
+        try {
+            const result = handler.validate(input, value);
+            if (typeof result === 'string') return result;
+            return result === false ? this.formChippy.i18n.t('check-answer', {}, input) : null;
+        } catch (error) {
+            this.formChippy.debug.error(`Question type validation failed for ${input.name || input.id || 'unnamed input'}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Run a handler's init hook and show saved answers in its inputs
+     * @private
+     */
+    _initHandler(name, handler) {
+        try {
+            if (typeof handler.init === 'function') {
+                handler.init();
+            }
+            if (typeof handler.setValue === 'function') {
+                this._restoreValues(name, handler);
+            }
+        } catch (error) {
+            this.formChippy.debug.error(`Question type '${name}' failed to initialize:`, error);
+        }
+    }
+
+    /**
+     * Pass stored answers to a handler's setValue hook
+     * @private
+     */
+    _restoreValues(name, handler) {
+        const data = this.formChippy.formStore.getFlatData();
+
+        this.formChippy.container.querySelectorAll(this._selectors[name]).forEach((input) => {
+            const field = input.getAttribute('data-input') || input.name;
+            if (field && data[field] !== undefined) {
+                handler.setValue(input, data[field]);
+            }
+        });
+    }
+
+    /**
+     * Run every handler's destroy hook
+     */
+    destroy() {
+        Object.entries(this.handlers).forEach(([name, handler]) => {
+            if (typeof handler.destroy !== 'function') return;
+            try {
+                handler.destroy();
+            } catch (error) {
+                this.formChippy.debug.error(`Question type '${name}' failed to clean up:`, error);
+            }
+        });
+    }
+}
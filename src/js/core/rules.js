@@ -0,0 +1,166 @@
+/**
+ * Rules.js
+ * Built-in validation rules for the data-fc-rule attribute
+ *
+ * Usage:
+ * - <input data-fc-rule="email">
+ * - <input data-fc-rule="uk-postcode">
+ * - <input data-fc-rule="minlength:2|maxlength:50">
+ * - <input data-fc-rule="pattern" data-fc-pattern="[A-Z]{2}[0-9]{6}[A-D]">
+ * - <input type="date" data-fc-rule="age-min:18">
+ *
+ * Separate several rules with "|". A rule's argument follows a ":".
+ * Rules only check fields that have a value. Whether an empty field is an error
+ * is still decided by data-fc-required.
+ *
+ * Each rule has a default message ({arg} is replaced with the argument), taken from the
+ * form's language for the built-in rules (see I18n.js). Override it with
+ * data-fc-rule-message-<rule> for one rule, or data-fc-rule-message for all of them.
+ *
+ * Add your own rules with FormChippy.registerValidator(name, test, { message }).
+ */
+
+import { translate, DEFAULT_LOCALE } from './i18n.js';
+
+const EMAIL_PATTERN =
+    /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/;
+
+const UK_POSTCODE_PATTERN =
+    /^(GIR ?0AA|[A-PR-UWYZ]([0-9]{1,2}|[A-HK-Y][0-9]([0-9ABEHMNPRV-Y])?|[0-9][A-HJKPS-UW]) ?[0-9][ABD-HJLNP-UW-Z]{2})$/i;
+
+// Spaces, dashes and brackets are removed first
+const UK_PHONE_PATTERN = /^(?:(?:\+44|0044)[1-9][0-9]{8,9}|0[1-9][0-9]{8,9})$/;
+
+export const rules = {
+    email: {
+        messageKey: 'rule-email',
+        test: (value) => EMAIL_PATTERN.test(value.toLowerCase())
+    },
+    'uk-postcode': {
+        messageKey: 'rule-uk-postcode',
+        test: (value) => UK_POSTCODE_PATTERN.test(value)
+    },
+    'uk-phone': {
+        messageKey: 'rule-uk-phone',
+        test: (value) => UK_PHONE_PATTERN.test(value.replace(/[\s\-()]/g, ''))
+    },
+    pattern: {
+        messageKey: 'rule-pattern',
+        test: (value, arg, input) => {
+            const source = arg || input.getAttribute('data-fc-pattern') || input.getAttribute('pattern');
+            return !source || new RegExp(`^(?:${source})$`).test(value);
+        }
+    },
+    minlength: {
+        messageKey: 'rule-minlength',
+        test: (value, arg) => value.length >= Number(arg)
+    },
+    maxlength: {
+        messageKey: 'rule-maxlength',
+        test: (value, arg) => value.length <= Number(arg)
+    },
+    integer: {
+        messageKey: 'rule-integer',
+        test: (value) => /^-?[0-9]+$/.test(value.replace(/,/g, ''))
+    },
+    'age-min': {
+        messageKey: 'rule-age-min',
+        test: (value, arg) => {
+            const birthDate = parseDate(value);
+            return !!birthDate && getAge(birthDate) >= Number(arg);
+        }
+    }
+};
+
+/**
+ * Add (or replace) a rule for every form
+ * @param {string} name - Rule name, used in data-fc-rule
+ * @param {Function} test - (value, arg, input) => true if valid, false or an error message if not
+ * @param {Object} [options]
+ * @param {string} [options.message] - Default message ({arg} is replaced with the argument),
+ *   'Please check this answer' in the form's language if not given
+ * @returns {boolean} True if the rule was registered
+ */
+export function registerValidator(name, test, options = {}) {
+    if (!name || typeof test !== 'function') {
+        console.error(`FormChippy: registerValidator('${name}') needs a name and a test function`);
+        return false;
+    }
+
+    rules[name] = options.message
+        ? { message: options.message, test }
+        : { messageKey: 'check-answer', test };
+    return true;
+}
+
+/**
+ * Parse a data-fc-rule attribute
+ * @param {string} ruleString - e.g. "minlength:2|maxlength:50"
+ * @returns {Array<{name: string, arg: string|undefined}>}
+ */
+export function parseRules(ruleString) {
+    return (ruleString || '')
+        .split('|')
+        .map((rule) => rule.trim())
+        .filter(Boolean)
+        .map((rule) => {
+            const separator = rule.indexOf(':');
+            return separator === -1
+                ? { name: rule, arg: undefined }
+                : { name: rule.slice(0, separator).trim(), arg: rule.slice(separator + 1).trim() };
+        });
+}
+
+/**
+ * Get the message for a failed rule
+ * @param {{name: string, arg: string|undefined}} rule - The parsed rule
+ * @param {HTMLElement} input - The input, which may override the message
+ * @param {string} [failedMessage] - Message returned by the rule's test, used instead of the default
+ * @param {string} [locale=DEFAULT_LOCALE] - Language of the built-in messages
+ * @returns {string}
+ */
+export function getRuleMessage(rule, input, failedMessage, locale = DEFAULT_LOCALE) {
+    const { message: defaultMessage, messageKey } = rules[rule.name];
+    const message =
+        input.getAttribute(`data-fc-rule-message-${rule.name}`) ||
+        input.getAttribute('data-fc-rule-message') ||
+        failedMessage ||
+        defaultMessage ||
+        translate(messageKey, {}, locale);
+    return message.replace('{arg}', rule.arg ?? '');
+}
+
+/**
+ * Parse a date typed as YYYY-MM-DD (date inputs) or DD/MM/YYYY
+ * Also used by ValueTypes for data-fc-type="date"
+ * @param {string} value - The date
+ * @returns {Date|null}
+ */
+export function parseDate(value) {
+    let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let [year, month, day] = match ? [match[1], match[2], match[3]] : [];
+
+    if (!match) {
+        match = value.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})$/);
+        if (!match) return null;
+        [day, month, year] = [match[1], match[2], match[3]];
+    }
+
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    // Reject dates that rolled over, such as 31/02
+    return date.getMonth() === Number(month) - 1 ? date : null;
+}
+
+/**
+ * Get someone's age today in whole years
+ * @param {Date} birthDate
+ * @returns {number}
+ */
+function getAge(birthDate) {
+    const today = new Date();
+    const age = today.getFullYear() - birthDate.getFullYear();
+    const hadBirthday =
+        today.getMonth() > birthDate.getMonth() ||
+        (today.getMonth() === birthDate.getMonth() && today.getDate() >= birthDate.getDate());
+    return hadBirthday ? age : age - 1;
+}
@@ -0,0 +1,353 @@
+/**
+ * Sensitive.js
+ * Keeps sensitive answers (income, contact details...) out of storage and logs
+ *
+ * Usage:
+ * - <input type="text" name="income" data-input="income" data-fc-sensitive>
+ * - <div data-fc-question data-fc-sensitive="encrypt">  (every field inside)
+ * - <div data-fc-container="mortgage" data-fc-sensitive-storage="encrypt">  (the default for the form)
+ *
+ * 'exclude' (the default) never saves the field, so a returning user answers it again.
+ * 'encrypt' saves it encrypted with AES-GCM (Web Crypto). The key is created per form and
+ * browser, and kept in IndexedDB as a key that scripts cannot export, so the saved data
+ * (including drafts sent to a remote adapter) cannot be read without this browser.
+ * Where Web Crypto or IndexedDB is unavailable, 'encrypt' fields are excluded instead.
+ *
+ * Sensitive values are replaced with "[redacted]" in debug logs (and Debug.getLogs()),
+ * including the payloads of events the debug log records. Events given to your own
+ * handlers, and getFormData(), still hold the real values.
+ */
+
+export const REDACTED = '[redacted]';
+
+const MODES = ['exclude', 'encrypt'];
+
+// Keys used in logged objects to name the field a value belongs to
+const NAME_KEYS = ['name', 'input', 'field', 'fieldName', 'inputName'];
+const VALUE_KEYS = ['value', 'previousValue', 'initialValue', 'savedValue'];
+
+const KEY_DATABASE = 'formchippy-keys';
+const KEY_STORE = 'keys';
+
+// Every form's sensitive fields, so code without an instance (e.g. hooks) can redact too
+const forms = new Set();
+
+/**
+ * Replace sensitive values in data about to be logged
+ * Values are found by field name: keys named after a sensitive field, and the value next to
+ * a name key (e.g. { name: 'income', value: 55000 }). Plain objects and arrays are copied;
+ * other objects (elements, errors) are kept as they are
+ * @param {any} data - Data to log
+ * @returns {any} A redacted copy
+ */
+export function redactSensitive(data) {
+    const names = collectNames();
+    if (names.size === 0) return data;
+    return redactValue(data, names, new WeakSet());
+}
+
+/**
+ * Replace sensitive values in a log message
+ * Messages have no field names to go by, so the current sensitive answers are looked for
+ * @param {string} text - The message
+ * @returns {string}
+ */
+export function redactSensitiveText(text) {
+    if (typeof text !== 'string') return text;
+
+    const values = collectValues();
+    let redacted = text;
+    values.forEach((value) => {
+        // Short values ("1", "no") would redact unrelated text
+        if (value.length < 3) return;
+        redacted = redacted.split(value).join(REDACTED);
+    });
+    return redacted;
+}
+
+export class SensitiveFields {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        this.defaultMode = MODES.includes(this.options.sensitiveStorage) ? this.options.sensitiveStorage : 'exclude';
+
+        // Storage mode keyed by field name
+        this.fields = new Map();
+        this.inputs = [];
+        this._warnedEncryption = false;
+        this._key = null;
+
+        this.refresh();
+        forms.add(this);
+
+        this._handleSlidesListUpdated = () => this.refresh();
+        this.formChippy.on('slidesListUpdated', this._handleSlidesListUpdated);
+    }
+
+    /**
+     * Read the data-fc-sensitive fields again (call after adding fields)
+     */
+    refresh() {
+        this.fields.clear();
+        this.inputs = [];
+        this.formChippy.container.querySelectorAll('[data-fc-sensitive]').forEach((element) => {
+            const inputs = element.matches('input, select, textarea')
+                ? [element]
+                : Array.from(element.querySelectorAll('input, select, textarea'));
+
+            inputs.forEach((input) => {
+                const name = input.getAttribute('data-input') || input.name;
+                if (!name) return;
+                this.fields.set(name, this.getMode(input));
+                this.inputs.push(input);
+            });
+        });
+    }
+
+    /**
+     * Get how a sensitive input is stored, from the nearest data-fc-sensitive or the form's default
+     * @param {HTMLElement} input - The input
+     * @returns {string} 'exclude' or 'encrypt'
+     */
+    getMode(input) {
+        const element = input.closest('[data-fc-sensitive]');
+        const mode = element ? element.getAttribute('data-fc-sensitive') : '';
+        return MODES.includes(mode) ? mode : this.defaultMode;
+    }
+
+    /**
+     * Check whether a field is sensitive
+     * @param {string} name - Field name (data-input or name attribute)
+     * @returns {boolean}
+     */
+    isSensitive(name) {
+        return this.fields.has(name);
+    }
+
+    /**
+     * Check whether this browser can encrypt fields
+     * @returns {boolean}
+     */
+    canEncrypt() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle &&
+            typeof crypto.getRandomValues === 'function' &&
+            typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Split form data into what may be saved as it is and what must be encrypted
+     * Excluded fields are left out of both
+     * @param {Object} formData - Form data organized by slide ID
+     * @returns {{data: Object, sealed: Object|null}} sealed holds the fields to encrypt, by slide ID
+     */
+    split(formData) {
+        if (this.fields.size === 0 || !formData || typeof formData !== 'object') {
+            return { data: formData, sealed: null };
+        }
+
+        const canEncrypt = this.canEncrypt();
+        if (!canEncrypt && !this._warnedEncryption && Array.from(this.fields.values()).includes('encrypt')) {
+            this._warnedEncryption = true;
+            this.formChippy.debug?.warn('Web Crypto or IndexedDB is unavailable, so encrypted fields are not saved');
+        }
+
+        const data = {};
+        let sealed = null;
+        Object.entries(formData).forEach(([slideId, fields]) => {
+            if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+                data[slideId] = fields;
+                return;
+            }
+
+            data[slideId] = {};
+            Object.entries(fields).forEach(([name, value]) => {
+                if (!this.fields.has(name)) {
+                    data[slideId][name] = value;
+                } else if (this.fields.get(name) === 'encrypt' && canEncrypt) {
+                    sealed = sealed || {};
+                    sealed[slideId] = { ...sealed[slideId], [name]: value };
+                }
+            });
+        });
+
+        return { data, sealed };
+    }
+
+    /**
+     * Encrypt values for storage
+     * @param {Object} values - Values to encrypt
+     * @returns {Promise<{iv: string, data: string}>}
+     */
+    encrypt(values) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plain = new TextEncoder().encode(JSON.stringify(values));
+        return this._getKey()
+            .then((key) => crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain))
+            .then((cipher) => ({ iv: toBase64(iv), data: toBase64(new Uint8Array(cipher)) }));
+    }
+
+    /**
+     * Decrypt values saved by encrypt()
+     * @param {{iv: string, data: string}} sealed - The saved values
+     * @returns {Promise<Object>}
+     */
+    decrypt(sealed) {
+        return this._getKey()
+            .then((key) => crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data)))
+            .then((plain) => JSON.parse(new TextDecoder().decode(plain)));
+    }
+
+    /**
+     * Get the current values of this form's sensitive fields
+     * Read from the inputs as well as the store, as input events are logged before the store updates
+     * @returns {Array<string>}
+     */
+    getValues() {
+        if (this.fields.size === 0) return [];
+
+        const values = new Set();
+        const add = (value) => {
+            (Array.isArray(value) ? value : [value]).forEach((item) => {
+                if (typeof item === 'string' || typeof item === 'number') {
+                    const text = String(item).trim();
+                    if (text) values.add(text);
+                }
+            });
+        };
+
+        this.inputs.forEach((input) => {
+            if ((input.type === 'radio' || input.type === 'checkbox') && !input.checked) return;
+            add(input.value);
+        });
+
+        const store = this.formChippy.formStore;
+        if (store) {
+            const flat = store.getFlatData();
+            this.fields.forEach((mode, name) => add(flat[name]));
+        }
+        return Array.from(values);
+    }
+
+    /**
+     * Load (or create) this form's encryption key
+     * @private
+     */
+    _getKey() {
+        if (!this._key) {
+            const id = this.formChippy.formName || 'form';
+            this._key = openKeyDatabase()
+                .then((db) => request(db.transaction(KEY_STORE, 'readonly').objectStore(KEY_STORE).get(id))
+                    .then((key) => key || crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+                        .then((created) => request(db.transaction(KEY_STORE, 'readwrite').objectStore(KEY_STORE).put(created, id))
+                            .then(() => created))));
+            // Try again next time rather than failing for good
+            this._key.catch(() => {
+                this._key = null;
+            });
+        }
+        return this._key;
+    }
+
+    /**
+     * Stop redacting this form's fields
+     */
+    destroy() {
+        forms.delete(this);
+        this.formChippy.off('slidesListUpdated', this._handleSlidesListUpdated);
+    }
+}
+
+/**
+ * Gather the sensitive field names of every form
+ * @private
+ */
+function collectNames() {
+    const names = new Set();
+    forms.forEach((form) => {
+        form.fields.forEach((mode, name) => names.add(name));
+    });
+    return names;
+}
+
+/**
+ * Gather the current sensitive values of every form
+ * @private
+ */
+function collectValues() {
+    const values = new Set();
+    forms.forEach((form) => {
+        form.getValues().forEach((value) => values.add(value));
+    });
+    return values;
+}
+
+/**
+ * Copy a value with sensitive parts replaced
+ * @private
+ */
+function redactValue(value, names, seen) {
+    if (!value || typeof value !== 'object' || seen.has(value)) return value;
+
+    if (Array.isArray(value)) {
+        seen.add(value);
+        return value.map((item) => redactValue(item, names, seen));
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) return value;
+
+    seen.add(value);
+    const namesField = NAME_KEYS.some((key) => typeof value[key] === 'string' && names.has(value[key]));
+    const copy = {};
+    Object.keys(value).forEach((key) => {
+        if (names.has(key) || (namesField && VALUE_KEYS.includes(key))) {
+            copy[key] = REDACTED;
+        } else {
+            copy[key] = redactValue(value[key], names, seen);
+        }
+    });
+    return copy;
+}
+
+/**
+ * Open the database encryption keys are kept in
+ * @private
+ */
+function openKeyDatabase() {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(KEY_DATABASE, 1);
+        open.onupgradeneeded = () => open.result.createObjectStore(KEY_STORE);
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+    });
+}
+
+/**
+ * Wait for an IndexedDB request
+ * @private
+ */
+function request(idbRequest) {
+    return new Promise((resolve, reject) => {
+        idbRequest.onsuccess = () => resolve(idbRequest.result);
+        idbRequest.onerror = () => reject(idbRequest.error);
+    });
+}
+
+/**
+ * @private
+ */
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+/**
+ * @private
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
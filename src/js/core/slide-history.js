@@ -0,0 +1,263 @@
+/**
+ * SlideHistory.js
+ * Keeps a stack of the slides the user actually visited, so going back
+ * follows the path they took instead of the previous slide in document order.
+ *
+ * - Back buttons, the browser Back button and formChippy.back() all walk the stack
+ * - Revisiting a slide already on the stack (e.g. via a navigation dot) trims the stack back to it
+ * - The stack is persisted with the form data, so a session resumed on the
+ *   same slide goes back along the same path
+ */
+
+export class SlideHistory {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        // Slide IDs, oldest first. The last entry is the current slide.
+        this.stack = [];
+
+        // Stack from a previous session, adopted once the user is back on its last slide
+        this._restoredStack = null;
+
+        // Browser history state
+        this._ignoreNextPop = false;
+        this._pendingBrowserBack = null;
+        this._handlePopState = null;
+        this._handleSlideChanged = (data) => this.record(data.slideId);
+    }
+
+    /**
+     * Restore the persisted stack and start listening for slide changes
+     */
+    init() {
+        this.restore();
+        this.formChippy.on('slideChanged', this._handleSlideChanged);
+
+        if (this.options.browserHistory && typeof window !== 'undefined' && window.history) {
+            this._handlePopState = (e) => this._onPopState(e);
+            window.addEventListener('popstate', this._handlePopState);
+        }
+    }
+
+    /**
+     * Read the stack saved by a previous session, adopted once the user is back on its last slide
+     * (called again when an asynchronous storage adapter has loaded)
+     */
+    restore() {
+        const journey = this.formChippy.persistence.loadJourney(this.formChippy.formName);
+        if (journey && Array.isArray(journey.history) && journey.history.length > 0) {
+            const knownIds = this.formChippy.slides.map((slide) => slide.getAttribute('data-fc-slide'));
+            const restored = journey.history.filter((slideId) => knownIds.includes(slideId));
+            if (restored.length > 0) {
+                this._restoredStack = restored;
+                this.formChippy.debug.info('Restored slide history from previous session', restored);
+            }
+        }
+    }
+
+    /**
+     * Record that a slide became active
+     * @param {string} slideId - The slide ID
+     */
+    record(slideId) {
+        if (!slideId) return;
+
+        // Only step the browser back once the slide back() went to is actually shown
+        const stepBrowserBack = this._pendingBrowserBack === slideId;
+        this._pendingBrowserBack = null;
+
+        if (this.stack[this.stack.length - 1] === slideId) return;
+
+        // Resuming where the last session left off: adopt its path
+        if (
+            this._restoredStack &&
+            this.stack.length <= 1 &&
+            this._restoredStack[this._restoredStack.length - 1] === slideId
+        ) {
+            this.stack = this._restoredStack;
+            this._restoredStack = null;
+            this.formChippy.debug.info(`Resumed slide history at ${slideId}`, this.stack);
+            this._save();
+            return;
+        }
+
+        const existingIndex = this.stack.indexOf(slideId);
+        if (existingIndex !== -1) {
+            // Keep the browser history in step with in-form back navigation
+            if (stepBrowserBack && this._getBrowserDepth() >= this.stack.length) {
+                this._ignoreNextPop = true;
+                window.history.back();
+            }
+
+            // Jumped back to a visited slide: forget everything after it
+            this.stack = this.stack.slice(0, existingIndex + 1);
+        } else {
+            this.stack.push(slideId);
+            if (this.stack.length > 1) {
+                this._pushBrowserEntry();
+            }
+        }
+
+        this.formChippy.debug.info('Slide history updated', this.stack);
+        this._save();
+    }
+
+    /**
+     * Check whether there is a slide to go back to
+     * @returns {boolean}
+     */
+    canGoBack() {
+        return this.getBackIndex() !== -1;
+    }
+
+    /**
+     * Get the index of the slide back() would go to
+     * Falls back to the previous slide on the active path when the stack is empty
+     * @returns {number} Slide index, or -1 if there is nowhere to go back to
+     */
+    getBackIndex() {
+        if (this.stack.length > 1) {
+            return this._indexOfSlideId(this.stack[this.stack.length - 2]);
+        }
+
+        const path = this.formChippy.branching.getPath();
+        const position = path.indexOf(this.formChippy.currentSlideIndex);
+        return position > 0 ? path[position - 1] : -1;
+    }
+
+    /**
+     * Go back to the previously visited slide
+     * @param {Object} [options]
+     * @param {boolean} [options.fromBrowser=false] - Set when triggered by the browser Back button
+     * @returns {Promise<boolean>} False if there is nowhere to go back to or a hook refused the move
+     */
+    back(options = {}) {
+        const targetIndex = this.getBackIndex();
+        if (targetIndex === -1) {
+            this.formChippy.debug.info('Back: No previous slide in history');
+            return Promise.resolve(false);
+        }
+
+        // record() trims the stack, and steps the browser back, once the slide becomes active
+        const targetId = this.formChippy.slides[targetIndex].getAttribute('data-fc-slide');
+        this._pendingBrowserBack = options.fromBrowser ? null : targetId;
+
+        this.formChippy.debug.info(`Back: Navigating to slide index ${targetIndex}`, this.stack);
+        return this.formChippy.goToSlide(targetIndex).then((moved) => {
+            if (!moved && this._pendingBrowserBack === targetId) {
+                this._pendingBrowserBack = null;
+            }
+            return moved;
+        });
+    }
+
+    /**
+     * Get a copy of the visited slide IDs (oldest first)
+     * @returns {Array<string>}
+     */
+    getStack() {
+        return [...this.stack];
+    }
+
+    /**
+     * Forget the visited slides, keeping only the current one
+     */
+    clear() {
+        const current = this.formChippy.slides[this.formChippy.currentSlideIndex];
+        this.stack = current ? [current.getAttribute('data-fc-slide')] : [];
+        this._restoredStack = null;
+        this._save();
+    }
+
+    /**
+     * Handle the browser Back button
+     * @param {PopStateEvent} e
+     * @private
+     */
+    _onPopState(e) {
+        if (this._ignoreNextPop) {
+            this._ignoreNextPop = false;
+            return;
+        }
+
+        const depth = e.state && e.state.formChippy ? e.state.formChippy[this.formChippy.formName] : undefined;
+        if (depth === undefined) return;
+
+        // Go straight to the slide that was current at that depth
+        if (depth >= 1 && depth < this.stack.length) {
+            const targetIndex = this._indexOfSlideId(this.stack[depth - 1]);
+            if (targetIndex !== -1) {
+                this.formChippy.debug.info(`Browser back: Navigating to slide index ${targetIndex}`);
+                this.formChippy.goToSlide(targetIndex);
+            }
+        }
+    }
+
+    /**
+     * Add a browser history entry for the current stack depth
+     * @private
+     */
+    _pushBrowserEntry() {
+        if (!this._handlePopState) return;
+
+        const formName = this.formChippy.formName;
+        const state = window.history.state && typeof window.history.state === 'object' ? window.history.state : {};
+
+        // Mark the entry we are leaving with its depth, so Back can find it again
+        if (this._getBrowserDepth() === undefined) {
+            window.history.replaceState({
+                ...state,
+                formChippy: { ...state.formChippy, [formName]: this.stack.length - 1 }
+            }, '');
+        }
+
+        const current = window.history.state || {};
+        window.history.pushState({
+            ...current,
+            formChippy: { ...current.formChippy, [formName]: this.stack.length }
+        }, '');
+    }
+
+    /**
+     * Get this form's depth stored on the current browser history entry
+     * @returns {number|undefined}
+     * @private
+     */
+    _getBrowserDepth() {
+        if (!this._handlePopState) return undefined;
+        const state = window.history.state;
+        return state && state.formChippy ? state.formChippy[this.formChippy.formName] : undefined;
+    }
+
+    /**
+     * Persist the stack
+     * @private
+     */
+    _save() {
+        this.formChippy.persistence.saveJourney(this.formChippy.formName, {
+            history: this.stack
+        });
+    }
+
+    /**
+     * Find a slide index by its ID
+     * @private
+     */
+    _indexOfSlideId(slideId) {
+        return this.formChippy.slides.findIndex(
+            (slide) => slide.getAttribute('data-fc-slide') === slideId
+        );
+    }
+
+    /**
+     * Clean up when destroying the form
+     */
+    destroy() {
+        this.formChippy.off('slideChanged', this._handleSlideChanged);
+        if (this._handlePopState) {
+            window.removeEventListener('popstate', this._handlePopState);
+            this._handlePopState = null;
+        }
+    }
+}
@@ -0,0 +1,388 @@
+/**
+ * StorageAdapters.js
+ * Where Persistence keeps saved form data
+ *
+ * Usage:
+ * - <div data-fc-container="mortgage" data-fc-persist="session">  (or new FormChippy({ persist: 'session' }))
+ * - <div data-fc-container="mortgage" data-fc-persist="remote" data-fc-persist-endpoint="/api/drafts">
+ * - FormChippy.registerPersistenceAdapter('cookie', (options) => new CookieAdapter(options))
+ *
+ * Built in: 'local' (localStorage, the default), 'session' (sessionStorage), 'memory' (until
+ * the page is left), 'indexeddb', 'remote' and 'none'.
+ *
+ * An adapter is an object with getItem(key), setItem(key, value), removeItem(key) and keys(),
+ * like the Web Storage API. Values are strings. Reads are synchronous, so adapters backed by
+ * something asynchronous keep a copy in memory and load it in ready(keys), which returns a
+ * Promise. Adapters report failed background writes to their onError(error) callback.
+ *
+ * The remote adapter talks to `<endpoint>/<key>`: GET returns the saved value (404 if there
+ * is none), PUT saves the request body and DELETE removes it. Writes are sent after
+ * `delay` ms (500 by default), so typing does not send a request per key press.
+ */
+
+const IDB_STORE = 'entries';
+
+// Shared by every memory adapter, so forms with the same name see the same data
+const memoryStore = new Map();
+
+/**
+ * Keeps data until the page is left
+ */
+export class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+    }
+
+    getItem(key) {
+        return memoryStore.has(key) ? memoryStore.get(key) : null;
+    }
+
+    setItem(key, value) {
+        memoryStore.set(key, String(value));
+    }
+
+    removeItem(key) {
+        memoryStore.delete(key);
+    }
+
+    keys() {
+        return Array.from(memoryStore.keys());
+    }
+}
+
+/**
+ * Keeps nothing (data-fc-persist="none")
+ */
+export class NoStorageAdapter {
+    constructor() {
+        this.name = 'none';
+    }
+
+    getItem() {
+        return null;
+    }
+
+    setItem() {}
+
+    removeItem() {}
+
+    keys() {
+        return [];
+    }
+}
+
+/**
+ * localStorage or sessionStorage
+ * Throws if the storage cannot be written (blocked cookies, some private browsing modes)
+ */
+export class WebStorageAdapter {
+    /**
+     * @param {Storage} storage - window.localStorage or window.sessionStorage
+     * @param {string} name - Adapter name
+     */
+    constructor(storage, name) {
+        this.name = name;
+        this.storage = storage;
+
+        const probe = '__formchippy_probe__';
+        storage.setItem(probe, probe);
+        storage.removeItem(probe);
+    }
+
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+
+    keys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            keys.push(this.storage.key(i));
+        }
+        return keys;
+    }
+}
+
+/**
+ * IndexedDB, read into memory by ready() and written in the background
+ */
+export class IndexedDBAdapter {
+    /**
+     * @param {Object} [options] - { databaseName }
+     */
+    constructor(options = {}) {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available');
+        }
+
+        this.name = 'indexeddb';
+        this.databaseName = options.databaseName || 'formchippy';
+        this.onError = null;
+
+        this._cache = new Map();
+        // Keys changed before the database was read, which keep their newer value
+        this._changed = new Set();
+        this._ready = null;
+    }
+
+    ready() {
+        if (!this._ready) {
+            this._ready = this._open().then((db) => this._readAll(db).then((entries) => {
+                entries.forEach(([key, value]) => {
+                    if (!this._changed.has(key)) this._cache.set(key, value);
+                });
+                return db;
+            }));
+        }
+        return this._ready;
+    }
+
+    getItem(key) {
+        return this._cache.has(key) ? this._cache.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this._cache.set(key, String(value));
+        this._changed.add(key);
+        this._write((store) => store.put(String(value), key));
+    }
+
+    removeItem(key) {
+        this._cache.delete(key);
+        this._changed.add(key);
+        this._write((store) => store.delete(key));
+    }
+
+    keys() {
+        return Array.from(this._cache.keys());
+    }
+
+    /**
+     * Open (and create) the database
+     * @private
+     */
+    _open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Read every saved entry as [key, value] pairs
+     * @private
+     */
+    _readAll(db) {
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const request = db.transaction(IDB_STORE, 'readonly').objectStore(IDB_STORE).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(entries);
+                    return;
+                }
+                entries.push([cursor.key, cursor.value]);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a write once the database is open
+     * @private
+     */
+    _write(operation) {
+        this.ready()
+            .then((db) => new Promise((resolve, reject) => {
+                const transaction = db.transaction(IDB_STORE, 'readwrite');
+                operation(transaction.objectStore(IDB_STORE));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            }))
+            .catch((error) => this.onError && this.onError(error));
+    }
+}
+
+/**
+ * Drafts saved to a server endpoint, read by ready(keys) and written in the background
+ */
+export class RemoteAdapter {
+    /**
+     * @param {Object} options - { endpoint, headers, delay }
+     */
+    constructor(options = {}) {
+        if (!options.endpoint) {
+            throw new Error('The remote adapter needs an endpoint (data-fc-persist-endpoint)');
+        }
+        if (typeof fetch !== 'function') {
+            throw new Error('fetch is not available');
+        }
+
+        this.name = 'remote';
+        this.endpoint = String(options.endpoint).replace(/\/+$/, '');
+        this.headers = options.headers || {};
+        this.delay = typeof options.delay === 'number' ? options.delay : 500;
+        this.onError = null;
+
+        this._cache = new Map();
+        this._changed = new Set();
+        // Writes waiting to be sent, keyed by storage key
+        this._pending = new Map();
+        this._timer = null;
+        this._ready = null;
+    }
+
+    /**
+     * Load the saved values of some keys
+     * @param {Array<string>} keys - Storage keys
+     * @returns {Promise}
+     */
+    ready(keys = []) {
+        if (!this._ready) {
+            this._ready = Promise.all(keys.map((key) =>
+                this._request('GET', key).then((response) => {
+                    if (response.status === 404) return;
+                    if (!response.ok) throw new Error(`GET ${this._url(key)} returned ${response.status}`);
+                    return response.text().then((value) => {
+                        if (!this._changed.has(key) && value !== '') this._cache.set(key, value);
+                    });
+                })
+            ));
+        }
+        return this._ready;
+    }
+
+    getItem(key) {
+        return this._cache.has(key) ? this._cache.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this._cache.set(key, String(value));
+        this._changed.add(key);
+        this._queue(key, String(value));
+    }
+
+    removeItem(key) {
+        this._cache.delete(key);
+        this._changed.add(key);
+        this._queue(key, null);
+    }
+
+    keys() {
+        return Array.from(this._cache.keys());
+    }
+
+    /**
+     * Send every waiting write now
+     * @returns {Promise}
+     */
+    flush() {
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        const writes = Array.from(this._pending.entries());
+        this._pending.clear();
+
+        return Promise.all(writes.map(([key, value]) => {
+            const request = value === null ? this._request('DELETE', key) : this._request('PUT', key, value);
+            return request.then((response) => {
+                if (!response.ok && !(value === null && response.status === 404)) {
+                    throw new Error(`${value === null ? 'DELETE' : 'PUT'} ${this._url(key)} returned ${response.status}`);
+                }
+            });
+        })).catch((error) => this.onError && this.onError(error));
+    }
+
+    /**
+     * Wait for more changes before sending a write
+     * @private
+     */
+    _queue(key, value) {
+        this._pending.set(key, value);
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => this.flush(), this.delay);
+    }
+
+    /**
+     * @private
+     */
+    _request(method, key, body) {
+        const init = {
+            method,
+            headers: { ...this.headers },
+            credentials: 'same-origin',
+            keepalive: method !== 'GET'
+        };
+        if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = body;
+        }
+        return fetch(this._url(key), init);
+    }
+
+    /**
+     * @private
+     */
+    _url(key) {
+        return `${this.endpoint}/${encodeURIComponent(key)}`;
+    }
+}
+
+// Adapter factories keyed by data-fc-persist value
+const registry = {
+    local: () => new WebStorageAdapter(window.localStorage, 'local'),
+    session: () => new WebStorageAdapter(window.sessionStorage, 'session'),
+    memory: () => new MemoryAdapter(),
+    none: () => new NoStorageAdapter(),
+    indexeddb: (options) => new IndexedDBAdapter({ databaseName: options.persistDatabase }),
+    remote: (options) => new RemoteAdapter({
+        endpoint: options.persistEndpoint,
+        headers: options.persistHeaders,
+        delay: options.persistDelay
+    })
+};
+
+/**
+ * Add (or replace) a persistence adapter
+ * @param {string} name - Adapter name, used in data-fc-persist
+ * @param {Function} create - (options) => adapter, called with the form's options
+ * @returns {boolean} True if the adapter was registered
+ */
+export function registerPersistenceAdapter(name, create) {
+    if (!name || typeof create !== 'function') {
+        console.error(`FormChippy: registerPersistenceAdapter('${name}') needs a name and a function`);
+        return false;
+    }
+
+    registry[name] = create;
+    return true;
+}
+
+/**
+ * Create the adapter a form asked for
+ * @param {string|Object} persist - Adapter name, or an adapter object
+ * @param {Object} options - The form's options
+ * @returns {Object} The adapter
+ * @throws {Error} If the adapter is unknown or its storage is unavailable
+ */
+export function createAdapter(persist, options) {
+    if (persist && typeof persist === 'object') return persist;
+
+    const create = registry[persist];
+    if (!create) {
+        throw new Error(`Unknown persistence adapter '${persist}'`);
+    }
+    return create(options);
+}
@@ -0,0 +1,235 @@
+/**
+ * TabSync.js
+ * Keeps a form's answers in step across the user's tabs
+ *
+ * Usage:
+ * - On by default. <div data-fc-container="mortgage" data-fc-tab-sync="false"> turns it off
+ * - formchippy.on('formDataSynced', ({ changes }) => refreshResults())
+ *
+ * Each answer the user changes is sent to the same form in their other tabs (BroadcastChannel),
+ * which applies it as setValue() would (its formDataChanged events have source 'sync').
+ * If two tabs change the same field, the later change wins.
+ *
+ * Browsers without BroadcastChannel fall back to the `storage` event, which needs the 'local'
+ * adapter: each save from another tab is compared with this tab's answers, and a field that
+ * differs is taken from it unless it was changed here more recently.
+ *
+ * After each merge, 'formDataSynced' is triggered with
+ * { formName, changes: [{ name, value, previousValue, slideId }], timestamp }, and
+ * formchippy:formDataSynced is dispatched on the container. Sensitive fields
+ * (data-fc-sensitive) are never shared between tabs.
+ */
+
+import { WARNINGS_KEY } from './form-store.js';
+
+const CHANNEL_PREFIX = 'formchippy_';
+
+// Changes each tab works out for itself
+const LOCAL_SOURCES = ['sync', 'condition', 'validation'];
+
+export class TabSync {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        this.enabled = this.options.tabSync !== false;
+        this.tabId = Math.random().toString(36).slice(2, 10);
+        this.channel = null;
+
+        // When the value this tab holds for each field was set, here or in another tab
+        this._updatedAt = new Map();
+        // Changes waiting to be sent together
+        this._outbox = [];
+
+        this._handleFormDataChanged = (data) => this._onLocalChange(data);
+        this._handleMessage = (e) => this._onMessage(e.data);
+        this._handleStorage = (e) => this._onStorage(e);
+    }
+
+    /**
+     * Start sharing changes with other tabs
+     */
+    init() {
+        if (!this.enabled) return;
+
+        this.formChippy.on('formDataChanged', this._handleFormDataChanged);
+
+        if (typeof BroadcastChannel === 'function') {
+            this.channel = new BroadcastChannel(CHANNEL_PREFIX + this.formChippy.formName);
+            this.channel.addEventListener('message', this._handleMessage);
+        } else {
+            window.addEventListener('storage', this._handleStorage);
+            this.formChippy.debug.info('BroadcastChannel is unavailable, syncing tabs through storage events');
+        }
+    }
+
+    /**
+     * Record a change made in this tab, and send it to the other tabs
+     * Changes from one update (e.g. a reset) are sent together
+     * @private
+     */
+    _onLocalChange(data) {
+        if (LOCAL_SOURCES.includes(data.source) || data.name === WARNINGS_KEY) return;
+
+        const timestamp = Date.now();
+        this._updatedAt.set(data.name, timestamp);
+        if (!this.channel || this._isSensitive(data.name)) return;
+
+        this._outbox.push({ name: data.name, value: data.value ?? null, slideId: data.slideId });
+        if (this._outbox.length === 1) {
+            Promise.resolve().then(() => this._send(timestamp));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _send(timestamp) {
+        const changes = this._outbox;
+        this._outbox = [];
+        if (!this.channel || changes.length === 0) return;
+
+        try {
+            this.channel.postMessage({ tabId: this.tabId, timestamp, changes });
+        } catch (error) {
+            this.formChippy.debug.warn('Could not send changes to other tabs', error);
+        }
+    }
+
+    /**
+     * Merge changes sent by another tab
+     * @private
+     */
+    _onMessage(message) {
+        if (!message || message.tabId === this.tabId || !Array.isArray(message.changes)) return;
+        this._merge(message.changes, Number(message.timestamp) || 0, message.tabId);
+    }
+
+    /**
+     * Compare a save from another tab with this tab's answers (without BroadcastChannel)
+     * @private
+     */
+    _onStorage(e) {
+        const persistence = this.formChippy.persistence;
+        if (e.key !== persistence.getStorageKey(this.formChippy.formName)) return;
+        if (e.storageArea && e.storageArea !== window.localStorage) return;
+        if (persistence.adapter.name !== 'local') return;
+
+        let envelope = null;
+        try {
+            envelope = e.newValue ? JSON.parse(e.newValue) : null;
+        } catch (error) {
+            return;
+        }
+
+        // Cleared in the other tab
+        const incoming = this._flatten(envelope && envelope.hasOwnProperty('data') ? envelope.data : {});
+        const current = this._flatten(this.formChippy.formStore.getData());
+
+        const changes = [];
+        new Set([...Object.keys(current), ...Object.keys(incoming)]).forEach((name) => {
+            if (!isEqual(current[name], incoming[name])) {
+                changes.push({ name, value: incoming[name] ?? null });
+            }
+        });
+
+        this._merge(changes, (envelope && Number(envelope.timestamp)) || Date.now(), '');
+    }
+
+    /**
+     * Apply changes from another tab, keeping this tab's answers where they are newer
+     * @param {Array<Object>} changes - { name, value, slideId }
+     * @param {number} timestamp - When the other tab made the changes
+     * @param {string} from - The other tab's ID (breaks ties)
+     * @private
+     */
+    _merge(changes, timestamp, from) {
+        const store = this.formChippy.formStore;
+        const applied = [];
+        const kept = [];
+
+        changes.forEach(({ name, value, slideId }) => {
+            if (!name || name === WARNINGS_KEY || this._isSensitive(name)) return;
+
+            const updatedAt = this._updatedAt.get(name);
+            if (updatedAt !== undefined && (updatedAt > timestamp || (updatedAt === timestamp && this.tabId > from))) {
+                kept.push(name);
+                return;
+            }
+
+            const previousValue = store.get(name);
+            if (isEqual(previousValue, value ?? undefined)) return;
+
+            if (store.set(name, value, { source: 'sync' })) {
+                this._updatedAt.set(name, timestamp);
+                applied.push({ name, value, previousValue, slideId: slideId || null });
+            }
+        });
+
+        if (kept.length > 0) {
+            this.formChippy.debug.info('Kept answers changed more recently in this tab', kept);
+        }
+        if (applied.length === 0) return;
+
+        this.formChippy.debug.info(`Merged ${applied.length} change(s) from another tab`, applied.map((change) => change.name));
+
+        const detail = {
+            formName: this.formChippy.formName,
+            changes: applied,
+            timestamp
+        };
+        this.formChippy.trigger('formDataSynced', detail);
+        this.formChippy.container.dispatchEvent(
+            new CustomEvent('formchippy:formDataSynced', { detail, bubbles: true })
+        );
+    }
+
+    /**
+     * Flatten data by slide ID into values by field name, leaving out warnings and sensitive fields
+     * @private
+     */
+    _flatten(data) {
+        const flat = {};
+        Object.entries(data || {}).forEach(([slideId, fields]) => {
+            if (slideId === WARNINGS_KEY) return;
+            if (fields && typeof fields === 'object' && !Array.isArray(fields)) {
+                Object.assign(flat, fields);
+            } else {
+                flat[slideId] = fields;
+            }
+        });
+        Object.keys(flat).forEach((name) => {
+            if (this._isSensitive(name)) delete flat[name];
+        });
+        return flat;
+    }
+
+    /**
+     * @private
+     */
+    _isSensitive(name) {
+        return !!this.formChippy.sensitive && this.formChippy.sensitive.isSensitive(name);
+    }
+
+    /**
+     * Stop syncing when destroying the form
+     */
+    destroy() {
+        this.formChippy.off('formDataChanged', this._handleFormDataChanged);
+        window.removeEventListener('storage', this._handleStorage);
+        if (this.channel) {
+            this.channel.removeEventListener('message', this._handleMessage);
+            this.channel.close();
+            this.channel = null;
+        }
+        this._outbox = [];
+    }
+}
+
+/**
+ * Compare two stored values
+ * @private
+ */
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
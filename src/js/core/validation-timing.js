@@ -0,0 +1,84 @@
+/**
+ * ValidationTiming.js
+ * Decides when each field is validated and its error shown
+ *
+ * Set for the whole form with the `validateOn` option (data-fc-validate-on on the container),
+ * or for part of it with data-fc-validate-on on a slide, question, field or input:
+ * - 'input': as the user types
+ * - 'blur': when the user leaves the field
+ * - 'next' (default): when the user presses Next
+ * - 'submit': when the form is submitted. These fields never block Next
+ *
+ * Radios, checkboxes, selects and file inputs have no typing, so the input and blur modes
+ * check them when they change. Once a field has been validated it is checked again as the
+ * user types, whatever its mode, so its error clears as soon as the answer is fixed.
+ */
+
+// From the most eager to the most lazy
+const MODES = ['input', 'blur', 'next', 'submit'];
+
+export class ValidationTiming {
+    constructor(formChippy) {
+        this.formChippy = formChippy;
+        this.options = formChippy.options;
+
+        this.defaultMode = MODES.includes(this.options.validateOn) ? this.options.validateOn : 'next';
+        if (this.options.validateOn && this.defaultMode !== this.options.validateOn) {
+            this.formChippy.debug.warn(`Unknown validateOn '${this.options.validateOn}', using 'next'`);
+        }
+
+        // Fields that have been validated, so typing checks them again
+        this._validated = new Set();
+    }
+
+    /**
+     * Get a field's mode, from the nearest data-fc-validate-on or the form's default
+     * @param {HTMLElement} input - The input (any radio for a group)
+     * @returns {string} 'input', 'blur', 'next' or 'submit'
+     */
+    getMode(input) {
+        const element = input.closest('[data-fc-validate-on]');
+        if (!element) return this.defaultMode;
+
+        const mode = element.getAttribute('data-fc-validate-on');
+        if (MODES.includes(mode)) return mode;
+
+        this.formChippy.debug.warn(`Unknown data-fc-validate-on '${mode}', using '${this.defaultMode}'`);
+        return this.defaultMode;
+    }
+
+    /**
+     * Check whether a field should be validated at a moment
+     * A moment validates its own mode and every more eager one (Next checks input, blur and next fields)
+     * @param {HTMLElement} input - The input (any radio for a group)
+     * @param {string} moment - 'input', 'blur', 'next' or 'submit'
+     * @returns {boolean}
+     */
+    isDue(input, moment) {
+        return this._validated.has(this._key(input)) ||
+            MODES.indexOf(moment) >= MODES.indexOf(this.getMode(input));
+    }
+
+    /**
+     * Remember that a field has been validated, so typing checks it again
+     * @param {HTMLElement} input - The input (any radio for a group)
+     */
+    markValidated(input) {
+        this._validated.add(this._key(input));
+    }
+
+    /**
+     * Forget which fields have been validated (e.g. when the form is reset)
+     */
+    clear() {
+        this._validated.clear();
+    }
+
+    /**
+     * Get the key a field is tracked by (radios share their group's name)
+     * @private
+     */
+    _key(input) {
+        return input.type === 'radio' ? input.name : this.formChippy.validation._fieldName(input);
+    }
+}
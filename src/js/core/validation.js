@@ -13,6 +13,11 @@
  *   - On radio: <input type="radio" name="group" data-fc-required="false">
  */
 
+import { rules, parseRules, getRuleMessage } from './rules.js'
+import { getValueType, toStoredValue } from './value-types.js'
+
+const DATE_INPUT_TYPES = ['date', 'time', 'datetime-local']
+
 export class Validation {
     /**
      * @param {FormChippy} formChippy - The main FormChippy instance
@@ -21,29 +26,49 @@ export class Validation {
         this.formChippy = formChippy
         this.options = formChippy.options
 
-        // Initialize the form data object
-        this.formData = {}
+        // Failing fields from the latest validation, keyed by slide ID
+        this.slideErrors = {}
+
+        // Warnings shown on inputs: input -> { slideId, field, message, source }
+        this._warnings = new Map()
 
         // Set up input change listeners for all input types
         this.setupInputChangeListeners()
     }
 
+    /**
+     * Form data organized by slide ID
+     * Backed by the instance's FormStore so every module reads and writes the same object
+     */
+    get formData() {
+        return this.formChippy.formStore.getData()
+    }
+
+    set formData(data) {
+        this.formChippy.formStore.replace(data)
+    }
+
     /**
      * Validate a slide's inputs
      * @param {HTMLElement} slide - The slide to validate
+     * @param {Object} [options]
+     * @param {string} [options.moment='next'] - Why the slide is validated ('next' or 'submit').
+     *   Fields whose data-fc-validate-on mode is lazier are skipped (see ValidationTiming.js)
      * @returns {boolean} - True if valid, false otherwise
      */
-    validateSlide(slide) {
+    validateSlide(slide, options = {}) {
         this.formChippy.debug.info(`[validateSlide] Starting validation for slide: ${slide.getAttribute('data-fc-slide') || 'Unnamed Slide'}`)
-        let isSlideValid = true
-        let firstErrorInput = null
+        const moment = options.moment || 'next'
+        const timing = this.formChippy.validationTiming
 
         const slideId = slide.getAttribute('data-fc-slide')
+        this.slideErrors[slideId] = []
 
         if (!this.formChippy.validationEnabled) {
             this.formChippy.debug.info(
                 `Validation skipped (disabled) for slide: ${slideId}`
             )
+            this.formChippy.errorSummary.render(slide)
             return true
         }
 
@@ -53,9 +78,11 @@ export class Validation {
         // Radio groups have special logic, including conditional validation of nested inputs.
         // Handle them first to ensure their state is correct before general input validation.
         let isRadioGroupsValid = true
-        const hasAnyRadios = slide.querySelector('input[type="radio"]') !== null
+        const hasAnyRadios = Array.from(slide.querySelectorAll('input[type="radio"]')).some(
+            (radio) => !this._isConditionallyHidden(radio)
+        )
         if (hasAnyRadios) {
-            isRadioGroupsValid = this.validateRadioGroup(slide) // This function now handles inputs within selected radiofields
+            isRadioGroupsValid = this.validateRadioGroup(slide, { moment }) // This function now handles inputs within selected radiofields
             this.formChippy.debug.info(
                 `Radio group validation result for slide ${slideId}: ${
                     isRadioGroupsValid ? 'Passed' : 'Failed'
@@ -76,7 +103,10 @@ export class Validation {
             'input:not([type="radio"]), textarea, select'
         const allPotentialInputs = slide.querySelectorAll(otherInputsSelector)
         const inputsToValidate = Array.from(allPotentialInputs).filter(
-            (input) => !input.closest('[data-fc-element="radiofield"]') // Exclude inputs inside radiofields
+            (input) =>
+                !input.closest('[data-fc-element="radiofield"]') && // Exclude inputs inside radiofields
+                !this._isConditionallyHidden(input) && // Exclude fields hidden by data-fc-show-if
+                timing.isDue(input, moment) // Exclude fields only validated later (e.g. on submit)
         )
 
         this.formChippy.debug.info(
@@ -95,6 +125,7 @@ export class Validation {
                     } (Context: ${contextElement.tagName})`
                 )
 
+                timing.markValidated(input)
                 if (!this.validateInput(input, contextElement)) {
                     // Pass context for error placement
                     isOtherInputsValid = false
@@ -116,12 +147,16 @@ export class Validation {
             )
         }
 
-        // --- Step 3: Determine Overall Slide Validity ---
-        const overallValid = isRadioGroupsValid && isOtherInputsValid
+        // --- Step 3: Cross-field rules (data-fc-validate-expr / addValidationRule) ---
+        const isCrossFieldValid = this.formChippy.crossFieldRules.validateSlide(slide)
+
+        // --- Step 4: Determine Overall Slide Validity ---
+        const overallValid = isRadioGroupsValid && isOtherInputsValid && isCrossFieldValid
+        this.formChippy.errorSummary.render(slide)
 
         // Check if there was anything to validate at all
         const hasAnythingToValidate =
-            hasAnyRadios || inputsToValidate.length > 0
+            hasAnyRadios || inputsToValidate.length > 0 || !isCrossFieldValid
         if (!hasAnythingToValidate) {
             this.formChippy.debug.info(
                 `Slide ${slideId} has NOTHING to validate - marking as automatically valid (overriding initial checks).`
@@ -144,207 +179,7 @@ export class Validation {
      * @returns {boolean} - True if valid, false otherwise
      */
     validateEmail(email) {
-        const re =
-            /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/
-        return re.test(String(email).toLowerCase())
-    }
-
-    /**
-     * Set up change event listeners for all input types to clear errors immediately when a value is entered
-     * and to update the form data object
-     */
-    setupInputChangeListeners() {
-        // Use event delegation on the container to catch all input changes
-        const container = document.querySelector(this.options.containerSelector)
-        if (!container) return
-
-        // Listen for input events (fires as the user types)
-        container.addEventListener('input', (event) => {
-            const input = event.target
-
-            // Handle standard input types immediately for visual error clearing
-            if (
-                input.tagName === 'INPUT' && input.type !== 'radio' && input.type !== 'checkbox' ||
-                input.tagName === 'TEXTAREA' ||
-                input.tagName === 'SELECT'
-            ) {
-                // Log the input value immediately when the event fires
-                this.formChippy.debug.info(`[Input Event] Input on '${input.name || input.type}'. Value: '${input.value}'`);
-
-                // 1. Update the form data
-                this.updateFormData(input)
-
-                // 2. Re-validate the entire slide immediately
-                const slideElement = input.closest('[data-fc-slide]')
-                if (slideElement) {
-                    const isValid = this.validateSlide(slideElement) // This will trigger detailed logs inside validateSlide
-                    this.formChippy.debug.info(`[Input Event] Result of validateSlide after input: ${isValid ? 'Valid' : 'Invalid'}`)
-                } else {
-                    this.formChippy.debug.warn(`[Input Event] Could not find parent slide for input: ${input.name || input.id}`)
-                }
-            }
-        })
-
-        // Listen for change events (fires when input loses focus or radio/checkbox clicked)
-        container.addEventListener('change', (event) => {
-            const input = event.target
-
-            // Special handling for radio buttons
-            if (input.type === 'radio') {
-                // 1. Update form data for the radio button itself (only if checked)
-                this.updateFormData(input)
-
-                // --- Update Associated Inputs in RadioFields ---
-                // When a radio changes, we must explicitly update the data state
-                // for ALL inputs within ANY radiofield belonging to this group.
-                const groupName = input.name
-                const slideElement = input.closest('[data-fc-slide]')
-                if (slideElement && groupName) {
-                    const radiosInGroup = slideElement.querySelectorAll(
-                        `input[type="radio"][name="${groupName}"]`
-                    )
-                    radiosInGroup.forEach((radioInGroup) => {
-                        const radioFieldWrapper = radioInGroup.closest(
-                            '[data-fc-element="radiofield"]'
-                        )
-                        if (radioFieldWrapper) {
-                            const associatedInputs =
-                                radioFieldWrapper.querySelectorAll(
-                                    'input:not([type="radio"]), textarea, select'
-                                )
-                            associatedInputs.forEach((associatedInput) => {
-                                this.formChippy.debug.info(
-                                    `Triggering updateFormData for associated input '${associatedInput.name || associatedInput.dataset.fcInput}' due to radio '${groupName}' change.`
-                                )
-                                this.updateFormData(associatedInput) // This will check the radio's state
-                            })
-                        }
-                    })
-                } else {
-                    this.formChippy.debug.warn(
-                        `Could not find slide or group name to update associated radiofield inputs for:`,
-                        input
-                    )
-                }
-                // ---------------------------------------------
-
-                // 2. Update form data for inputs within the *related* radiofields
-                if (input.checked && input.name) {
-                    // Find all radios in the same group within this slide
-                    const groupName = input.name
-                    const radiosInGroup = slideElement.querySelectorAll(
-                        `input[type="radio"][name="${groupName}"]`
-                    )
-
-                    this.formChippy.debug.info(
-                        `Radio '${input.value}' changed. Updating related radiofield inputs for group '${groupName}'.`
-                    )
-
-                    radiosInGroup.forEach((radioInGroup) => {
-                        const radioFieldWrapper = radioInGroup.closest(
-                            '[data-fc-element="radiofield"]'
-                        )
-                        if (radioFieldWrapper) {
-                            const associatedInputs =
-                                radioFieldWrapper.querySelectorAll(
-                                    'input:not([type="radio"]), textarea, select'
-                                )
-                            associatedInputs.forEach((associatedInput) => {
-                                // Call updateFormData for the associated input.
-                                // This will add/update its value if its radio is checked,
-                                // or remove it if its radio is now unchecked.
-                                this.formChippy.debug.info(
-                                    `  - Triggering updateFormData for associated input '${
-                                        associatedInput.name || 'unnamed'
-                                    }' (parent radio: '${radioInGroup.value}')`
-                                )
-                                this.updateFormData(associatedInput)
-                            })
-                        }
-                    })
-                }
-
-                // 3. Immediately clear errors and revalidate when a radio is selected
-                if (input.checked) {
-                    // Find all related elements
-                    const group = input.closest('[data-fc-input-group]')
-                    const contentElement = input.closest('[data-fc-content]')
-                    const slide = input.closest('[data-fc-slide]')
-
-                    // Always clear any error states when a radio is selected
-                    if (group) {
-                        this.clearInputError(group) // Clear error on the group element
-                    }
-
-                    // Explicitly clear content element errors
-                    if (contentElement) {
-                        contentElement.classList.remove(this.options.errorClass, 'error')
-                        // Remove any error message elements
-                        const errorMessages = contentElement.querySelectorAll('.fc-error-message')
-                        errorMessages.forEach(el => el.remove())
-                        this.formChippy.debug.info(`Radio '${input.value}' selected - cleared content errors for group '${input.name}'`)
-                    }
-
-                    // Revalidate the slide to ensure validation state is updated
-                    if (slide) {
-                        const isValid = this.validateSlide(slide)
-                        this.formChippy.debug.info(`Radio '${input.value}' selected - slide validation result: ${isValid ? 'Valid' : 'Invalid'}`)
-                    }
-                }
-            }
-            // Handle change events for non-radio inputs
-            else if (
-                input.tagName === 'INPUT' ||
-                input.tagName === 'TEXTAREA' ||
-                input.tagName === 'SELECT'
-            ) {
-                // 1. Update the form data (includes logic for inputs inside radiofields)
-                this.updateFormData(input)
-
-                // 2. Re-validate the input to give immediate feedback
-                //    Especially important for inputs inside *selected* radiofields.
-                const radioFieldWrapper = input.closest(
-                    '[data-fc-element="radiofield"]'
-                )
-                if (radioFieldWrapper) {
-                    const associatedRadio = radioFieldWrapper.querySelector(
-                        'input[type="radio"]'
-                    )
-                    // Only re-validate if the associated radio is actually checked
-                    if (associatedRadio && associatedRadio.checked) {
-                        this.formChippy.debug.info(
-                            `Re-validating input '${
-                                input.getAttribute('data-input') || input.name
-                            }' in selected radiofield on change.`
-                        )
-                        // Determine context for error message placement
-                        const fieldElement = input.closest(
-                            '[data-fc-element="field"]'
-                        ) // Check if it's inside a Webflow-style field
-                        const contextElement = fieldElement || input // Use field wrapper if available, otherwise the input itself
-                        this.validateInput(input, contextElement) // Call validation
-                    } else {
-                        this.formChippy.debug.info(
-                            `Input '${
-                                input.getAttribute('data-input') || input.name
-                            }' changed in a NON-selected radiofield, skipping immediate re-validation.`
-                        )
-                    }
-                } else {
-                    // For regular inputs not in radiofields, re-validate on change too
-                    this.formChippy.debug.info(
-                        `Re-validating standard input '${
-                            input.getAttribute('data-input') || input.name
-                        }' on change.`
-                    )
-                    const fieldElement = input.closest(
-                        '[data-fc-element="field"]'
-                    )
-                    const contextElement = fieldElement || input
-                    this.validateInput(input, contextElement)
-                }
-            }
-        })
+        return rules.email.test(String(email))
     }
 
     /**
@@ -358,10 +193,11 @@ export class Validation {
      */
     updateFormData(input) {
         // Determine the key to use for form data: prioritize data-input, fallback to name
-        const dataKey = input.getAttribute('data-input') || input.name
+        // (may be rewritten below for inputs inside a radiofield)
+        let dataKey = input.getAttribute('data-input') || input.name
 
-        // Skip if no key found or if the input is disabled
-        if (!dataKey || input.disabled) {
+        // Skip if no key found, if the input is disabled, or if it is hidden by a data-fc-show-if condition
+        if (!dataKey || input.disabled || this._isConditionallyHidden(input)) {
             // Optionally log why it's skipped
             // if (!dataKey) this.formChippy.debug.warn('Input skipped: No data-input or name attribute found.', input);
             // if (input.disabled) this.formChippy.debug.info('Input skipped: Disabled.', input);
@@ -390,13 +226,13 @@ export class Validation {
                         this.formData[slideId] = {}
                     }
                     // Store with the original radio name, even when nested
-                    this.formData[slideId][input.name] = input.value
+                    this.formData[slideId][input.name] = this._typedValue(input, input.value)
                     this.formChippy.debug.info(
                         `Updated radio value for slide '${slideId}' with nested key '${input.name}': ${input.value}`
                     )
                 } else {
                     // Normal case - different slide ID and input name
-                    this.formData[slideId][input.name] = input.value
+                    this.formData[slideId][input.name] = this._typedValue(input, input.value)
                     this.formChippy.debug.info(
                         `Updated radio group '${input.name}': ${input.value}`
                     )
@@ -451,60 +287,12 @@ export class Validation {
                 'input[type="radio"]'
             )
             
-            // Find the associated radio button within the wrapper
-            const radioName = associatedRadio ? associatedRadio.name : null;
-            const originalDataKey = dataKey;
-            
-            // Only modify the dataKey if both conditions are met:
-            // 1. No explicit data-input was provided
-            // 2. The input field name would conflict with the radio name
-            if (!input.hasAttribute('data-input') && radioName && dataKey === radioName) {
-                // Determine input type for generating proper suffix
-                let inputTypeSuffix = 'field';
-                if (input.type === 'number') {
-                    inputTypeSuffix = 'number';
-                } else if (input.type === 'text') {
-                    inputTypeSuffix = 'text';
-                } else if (input.type === 'email') {
-                    inputTypeSuffix = 'email';
-                } else if (input.type === 'tel') {
-                    inputTypeSuffix = 'tel';
-                } else if (input.type === 'date') {
-                    inputTypeSuffix = 'date';
-                } else if (input.type === 'checkbox') {
-                    inputTypeSuffix = 'checkbox';
-                } else if (input.tagName.toLowerCase() === 'textarea') {
-                    inputTypeSuffix = 'textarea';
-                } else if (input.tagName.toLowerCase() === 'select') {
-                    inputTypeSuffix = 'select';
-                }
-                
-                // Check if we need to add an index (in case of multiple inputs of same type)
-                // First, find all inputs of this type within the radiofield
-                const similarInputs = Array.from(
-                    radioFieldWrapper.querySelectorAll(
-                        input.tagName.toLowerCase() === 'select' ? 'select' :
-                        input.tagName.toLowerCase() === 'textarea' ? 'textarea' :
-                        `input[type="${input.type}"]`
-                    )
-                );
-                
-                // Get the index of this input among similar inputs
-                const index = similarInputs.indexOf(input);
-                
-                // Add index to suffix if there are multiple (index > 0 or totalCount > 1)
-                let suffix = inputTypeSuffix;
-                if (similarInputs.length > 1) {
-                    suffix = `${inputTypeSuffix}-${index + 1}`;
-                }
-                
-                // Create the new key
-                const newDataKey = `${radioName}-${suffix}`;
+            // Inputs sharing the radio's name are stored under a generated key (see getDataKey)
+            const newDataKey = getDataKey(input)
+            if (newDataKey !== dataKey) {
                 this.formChippy.debug.info(
                     `Generated key '${newDataKey}' for input in radiofield to avoid conflict with radio name`
                 );
-                
-                // Override dataKey for the rest of this method
                 dataKey = newDataKey;
             }
 
@@ -553,9 +341,26 @@ export class Validation {
 
         // --- Standard Update Logic --- (Only runs if shouldUpdate is still true)
         if (shouldUpdate) {
+            // (question types are created after saved answers are first applied)
+            const questionTypes = this.formChippy.questionTypes
+            const questionType = questionTypes && questionTypes.getHandler(input, 'getValue')
+
+            // Question type plugins decide their own stored value
+            if (questionType) {
+                value = questionType.getValue(input)
+                this.formData[slideId][dataKey] = value
+                this.formChippy.debug.info(`Updated question type input '${dataKey}':`, value)
+            }
+            // Single yes/no checkboxes (data-fc-type="boolean")
+            else if (input.type === 'checkbox' && getValueType(input) === 'boolean') {
+                value = input.checked
+                this.formData[slideId][dataKey] = value
+                this.formChippy.debug.info(`Updated boolean checkbox '${dataKey}': ${value}`)
+            }
             // Checkboxes (Groups)
-            if (input.type === 'checkbox') {
+            else if (input.type === 'checkbox') {
                 const groupKey = dataKey // Use dataKey derived earlier (data-fc-input or name)
+                value = input.value
                 // Initialize the group array if it doesn't exist
                 if (!this.formData[slideId][groupKey]) {
                     this.formData[slideId][groupKey] = []
@@ -581,16 +386,6 @@ export class Validation {
                         this.formData[slideId][groupKey]
                     )}`
                 )
-            } else if (
-                input.type === 'number' ||
-                input.getAttribute('data-input-type') === 'currency'
-            ) {
-                // Check data-input-type too
-                value = input.value !== '' ? Number(input.value) : '' // Keep empty strings for empty required numbers
-                this.formData[slideId][dataKey] = value
-                this.formChippy.debug.info(
-                    `Updated number/currency input '${dataKey}': ${value}`
-                )
             } else if (input.type === 'file') {
                 value = input.files // Store FileList object
                 this.formData[slideId][dataKey] = value
@@ -598,10 +393,11 @@ export class Validation {
                     `Updated file input '${dataKey}': ${input.files.length} file(s) selected`
                 )
             } else {
-                // Default for text, textarea, select, etc.
-                value = input.value
+                // Default for text, number, textarea, select, etc. (typed by data-fc-type)
+                // Number inputs keep empty strings for empty required numbers
+                value = this._typedValue(input, input.value)
                 this.formData[slideId][dataKey] = value
-                this.formChippy.debug.info(`Updated input '${dataKey}': ${value}`)
+                this.formChippy.debug.info(`Updated input '${dataKey}':`, value)
             }
         }
         // --- End Standard Update Logic ---
@@ -609,25 +405,19 @@ export class Validation {
         // Log the complete, updated form data object AFTER every update attempt, regardless of whether standard update ran
         this.formChippy.debug.info(`Current formData:`, this.formData)
         
-        // Save form data to localStorage using the persistence module
-        if (this.formChippy.persistence) {
-            // Make sure we have the correct form name from the data-fc-container attribute
-            const formName = this.formChippy.formName || this.formChippy.name;
-            this.formChippy.persistence.saveFormData(formName, this.formData);
-            this.formChippy.debug.info(`Form data saved to localStorage for form ${formName}`);
-            
-            // Trigger a custom event that can be listened to by the example HTML
-            if (typeof document !== 'undefined') {
-                const event = new CustomEvent('formchippy:dataSaved', {
-                    detail: {
-                        formName: formName,
-                        formData: this.formData
-                    },
-                    bubbles: true
-                });
-                document.dispatchEvent(event);
-            }
-        }
+        // Persist and emit field-level change events
+        this.formChippy.formStore.commit('input')
+    }
+
+    /**
+     * Convert an input's text to the value it is stored as (data-fc-mask, data-fc-type)
+     * @param {HTMLElement} input - The input element
+     * @param {string} value - The input's text
+     * @returns {any} - The raw, typed value, or the text if the input has no mask or type
+     * @private
+     */
+    _typedValue(input, value) {
+        return toStoredValue(input, value)
     }
 
     /**
@@ -702,9 +492,11 @@ export class Validation {
     }
 
     /**
+     * @param {Object} [options]
+     * @param {boolean} [options.focus=true] - Whether to focus the input if it fails
      * @returns {boolean} - True if valid, false otherwise
      */
-    validateInput(input, fieldElement) {
+    validateInput(input, fieldElement, options = {}) {
         this.formChippy.debug.info(`[validateInput] Validating input: ${input.name || input.id || input.type}, FieldElement: ${fieldElement?.tagName || 'None'}`)
         // Check if input exists and is a valid element
         if (!input || typeof input !== 'object') {
@@ -717,28 +509,20 @@ export class Validation {
         // Clear previous errors
         const elementToApplyError = fieldElement || input
         this.clearInputError(elementToApplyError)
+        this._forgetError(input)
 
         // Safely check if input has a value property
         const inputValue = input.value !== undefined ? input.value : ''
         const trimmedValue =
             typeof inputValue === 'string' ? inputValue.trim() : ''
 
+        // A server check of an older value is no longer needed
+        this.formChippy.asyncValidation.cancelStale(input, trimmedValue)
+
         // Check if input should be treated as optional by checking various parent elements
         // Check the input itself, its parent content element, slide, or associated label
 
-        // Get parent elements
-        const slide = input.closest('[data-fc-slide]')
-        const contentElement = input.closest('[data-fc-content]')
-        const fieldContainer = input.closest('[data-fc-question]')
-        const label = fieldContainer?.querySelector('label')
-
-        // Check hierarchical elements for required=false
-        const isNotRequired =
-            input.getAttribute('data-fc-required') === 'false' ||
-            (contentElement &&
-                contentElement.getAttribute('data-fc-required') === 'false') ||
-            (slide && slide.getAttribute('data-fc-required') === 'false') ||
-            (label && label.getAttribute('data-fc-required') === 'false')
+        const isNotRequired = this.isInputOptional(input)
 
         this.formChippy.debug.info(
             `Validating input ${input.name || input.id || 'unnamed'}: ${
@@ -758,10 +542,7 @@ export class Validation {
             this.formChippy.debug.info(
                 `[validateInput] Required input is empty, validation FAILED`
             )
-            this.showInputError(elementToApplyError, 'This field is required')
-
-            // Also apply error class to the content element
-            this.toggleContentError(input, true, 'This field is required')
+            this._failInput(input, elementToApplyError, this.formChippy.i18n.t('required', {}, input), options)
             return false
         }
 
@@ -772,7 +553,7 @@ export class Validation {
             this.formChippy.debug.info(
                 `[validateInput] Required input is empty, validation FAILED`
             )
-            this.showInputError(elementToApplyError, 'This field is required')
+            this.showInputError(elementToApplyError, this.formChippy.i18n.t('required', {}, input))
             return false
         }
 
@@ -780,8 +561,9 @@ export class Validation {
         const rawValue = trimmedValue.replace(/,/g, '');
         const numberValue = parseFloat(rawValue);
 
-        // Validate number range if the input is of type "number"
-        if (input.hasAttribute('min') && input.hasAttribute('max')) {
+        // Validate the number range (min, max or both)
+        // Date and time ranges are checked by the date question type
+        if (!DATE_INPUT_TYPES.includes(input.type) && (input.hasAttribute('min') || input.hasAttribute('max'))) {
             const min = input.hasAttribute('min') ? parseFloat(input.getAttribute('min')) : -Infinity;
             const max = input.hasAttribute('max') ? parseFloat(input.getAttribute('max')) : Infinity;
             // Check if the value is within the specified range
@@ -789,34 +571,147 @@ export class Validation {
                 this.formChippy.debug.info(
                     `[validateInput] Input value (${numberValue}) is out of range [${min}, ${max}], validation FAILED`
                 );
-                this.showInputError(
-                    elementToApplyError,
-                    `Value must be between ${min} and ${max}`
-                );
-                this.toggleContentError(input, true, `Value must be between ${min} and ${max}`);
+                let messageKey = 'range-between';
+                if (max === Infinity) messageKey = 'range-min';
+                if (min === -Infinity) messageKey = 'range-max';
+                const message = this.formChippy.i18n.t(messageKey, { min, max }, input);
+                this._failInput(input, elementToApplyError, message, options);
                 return false;
             }
         }
 
-        this.formChippy.debug.info(`[validateInput] Input passed basic validation.`) // Assuming more complex validation could go here
-        // All other validation is skipped per requirements
+        // Declarative rules (data-fc-rule)
+        const ruleMessage = this._checkRules(input, trimmedValue)
+        if (ruleMessage) {
+            this._failInput(input, elementToApplyError, ruleMessage, options)
+            return false
+        }
+
+        // Question type plugins (FormChippy.registerQuestionType)
+        const questionTypes = this.formChippy.questionTypes
+        const questionTypeMessage = questionTypes && questionTypes.validate(input, trimmedValue)
+        if (questionTypeMessage) {
+            this._failInput(input, elementToApplyError, questionTypeMessage, options)
+            return false
+        }
+
+        // Server-side checks: use a finished result for this value, or start a debounced check
+        const asyncValidation = this.formChippy.asyncValidation
+        const asyncMessage = asyncValidation.getFailure(input, trimmedValue)
+        if (asyncMessage) {
+            this._failInput(input, elementToApplyError, asyncMessage, options)
+            this.getFieldError(input).async = true
+            return false
+        }
+        asyncValidation.schedule(input, trimmedValue)
+
+        this.formChippy.debug.info(`[validateInput] Input passed validation.`)
         return true
     }
 
+    /**
+     * Check whether an input is optional
+     * Looks for data-fc-required="false" on the input, its content element, its slide or its label
+     * @param {HTMLElement} input - The input element
+     * @returns {boolean} - True if the input may be left empty
+     */
+    isInputOptional(input) {
+        const slide = input.closest('[data-fc-slide]')
+        const contentElement = input.closest('[data-fc-content]')
+        const fieldContainer = input.closest('[data-fc-question]')
+        const label = fieldContainer?.querySelector('label')
+
+        return (
+            input.getAttribute('data-fc-required') === 'false' ||
+            (contentElement &&
+                contentElement.getAttribute('data-fc-required') === 'false') ||
+            (slide && slide.getAttribute('data-fc-required') === 'false') ||
+            (label && label.getAttribute('data-fc-required') === 'false')
+        )
+    }
+
+    /**
+     * Run an input's data-fc-rule rules against its value
+     * @param {HTMLElement} input - The input element
+     * @param {string} value - The trimmed, non-empty value
+     * @returns {string|null} - Message of the first failing rule, or null if all pass
+     * @private
+     */
+    _checkRules(input, value) {
+        const inputRules = parseRules(input.getAttribute('data-fc-rule'))
+
+        for (const rule of inputRules) {
+            // Checked by a registered async validator instead
+            if (this.formChippy.asyncValidation.hasRule(rule.name)) continue
+
+            if (!rules[rule.name]) {
+                this.formChippy.debug.warn(`Unknown validation rule '${rule.name}' on ${input.name || input.id || 'unnamed input'}`)
+                continue
+            }
+
+            let result
+            try {
+                result = rules[rule.name].test(value, rule.arg, input)
+            } catch (error) {
+                // A broken custom rule (registerValidator) should not block the user
+                this.formChippy.debug.error(`Validation rule '${rule.name}' failed to run:`, error)
+                continue
+            }
+
+            if (typeof result === 'string' || !result) {
+                this.formChippy.debug.info(`[validateInput] Rule '${rule.name}' failed for value '${value}'`)
+                return getRuleMessage(
+                    rule,
+                    input,
+                    typeof result === 'string' ? result : undefined,
+                    this.formChippy.i18n.locale
+                )
+            }
+        }
+
+        return null
+    }
+
+    /**
+     * Show an error on an input and remember it for its slide
+     * @param {HTMLElement} input - The input element
+     * @param {HTMLElement} elementToApplyError - The field wrapper (or the input itself)
+     * @param {string} message - The error message
+     * @param {Object} [options] - Passed to showInputError()
+     * @private
+     */
+    _failInput(input, elementToApplyError, message, options = {}) {
+        this.showInputError(elementToApplyError, message, options)
+        this.toggleContentError(input, true, message)
+        this._recordError(input, message)
+    }
+
     /**
      * Validate radio button groups within a specific slide,
      * handling mixed groups of standard radios and radiofields.
      * @param {HTMLElement} slide - The slide containing the radio groups
+     * @param {Object} [options]
+     * @param {string} [options.moment='next'] - Why the groups are validated (see validateSlide)
+     * @param {string} [options.name] - Only validate the group with this name
+     * @param {boolean} [options.focus=true] - Whether to focus a failing input in a selected radiofield
      * @returns {boolean} - True if all radio groups are valid, false otherwise
      */
-    validateRadioGroup(slide) {
+    validateRadioGroup(slide, options = {}) {
         const slideId = slide.getAttribute('data-fc-slide')
+        const moment = options.moment || 'next'
+        const timing = this.formChippy.validationTiming
         this.formChippy.debug.info(
             `Starting unified radio/radiofield group validation for slide: ${slideId}`
         )
 
         // --- Step 1: Collect all radio inputs and their context ---
-        const allRadioInputs = slide.querySelectorAll('input[type="radio"]')
+        const allRadioInputs = Array.from(
+            slide.querySelectorAll('input[type="radio"]')
+        ).filter(
+            (radio) =>
+                !this._isConditionallyHidden(radio) && // Skip radios hidden by data-fc-show-if
+                (!options.name || radio.name === options.name)
+        )
         this.formChippy.debug.info(
             `Found ${allRadioInputs.length} total radio inputs in slide ${slideId}`
         )
@@ -890,6 +785,14 @@ export class Validation {
 
         Object.keys(radiosByName).forEach((groupName) => {
             const groupItems = radiosByName[groupName] // Array of {radio, isRadioField, wrapper, inputFields}
+
+            // Groups only validated later (e.g. on submit) are skipped
+            if (!timing.isDue(groupItems[0].radio, moment)) {
+                this.formChippy.debug.info(`Skipping group '${groupName}' until ${timing.getMode(groupItems[0].radio)}`)
+                return
+            }
+            timing.markValidated(groupItems[0].radio)
+
             this.formChippy.debug.info(
                 `Validating group: '${groupName}' with ${groupItems.length} item(s)`
             )
@@ -979,8 +882,10 @@ export class Validation {
             )
 
             // Find a suitable element to display the "Please select" error (use the first item's context)
+            // The error is shown like any other field's: on the group, its question and its content
             const firstItem = groupItems[0]
             const groupErrorDisplayElement =
+                firstItem.radio.closest('[data-fc-input-group]') ||
                 firstItem.radio.closest('[data-fc-question]') ||
                 firstItem.radio.closest('[data-fc-content]') ||
                 firstItem.wrapper
@@ -990,19 +895,11 @@ export class Validation {
                 this.formChippy.debug.info(
                     `Group '${groupName}' failed: No option selected.`
                 )
-                if (groupErrorDisplayElement) {
-                    this.toggleContentError(
-                        groupErrorDisplayElement,
-                        true,
-                        'Please select an option'
-                    )
-                } else {
-                    
-                    this.formChippy.debug.warn(
-                        `Could not find suitable element to display 'Please select an option' error for group ${groupName}`
-                    )
-                }
+                const message = this.formChippy.i18n.t('select-option', {}, firstItem.radio)
+                this.showInputError(groupErrorDisplayElement, message, { focus: false })
+                this.toggleContentError(groupErrorDisplayElement, true, message)
                 allGroupsValid = false
+                this._recordError(firstItem.radio, message, groupName)
 
                 // Ensure inputs in any radiofields within this failed group are cleared of errors
                 groupItems.forEach((item) => {
@@ -1026,9 +923,8 @@ export class Validation {
             )
 
             // Clear the group-level error ("Please select an option")
-            if (groupErrorDisplayElement) {
-                this.toggleContentError(groupErrorDisplayElement, false)
-            }
+            this.clearInputError(groupErrorDisplayElement)
+            this._forgetError(firstItem.radio, groupName)
 
             // Validate inputs IF the selected item is a radiofield with inputs
             if (
@@ -1041,7 +937,7 @@ export class Validation {
                 let allSelectedInputsValid = true
                 selectedItem.inputFields.forEach((inputField) => {
                     // Use existing validateInput, passing the radiofield wrapper for context
-                    if (!this.validateInput(inputField, selectedItem.wrapper)) {
+                    if (!this.validateInput(inputField, selectedItem.wrapper, { focus: options.focus })) {
                         allSelectedInputsValid = false
                         this.formChippy.debug.info(
                             `Input field validation failed for ${
@@ -1106,15 +1002,16 @@ export class Validation {
      * For radio buttons, it also triggers `updateFormData` for all associated inputs
      * within any radiofield in the same group to ensure data consistency (adding/removing
      * nested input data based on radio selection).
-     * Triggers slide validation after an input changes.
+     * Validates the field that changed or lost focus when its data-fc-validate-on mode
+     * says so (see validateField).
      */
     setupInputChangeListeners() {
-        // Use event delegation on the container to catch all input changes
-        const container = document.querySelector(this.options.containerSelector)
+        // Use event delegation on this instance's container to catch all input changes
+        const container = this.formChippy.container
         if (!container) return
 
         // Listen for input events (fires as the user types)
-        container.addEventListener('input', (event) => {
+        this._inputHandler = (event) => {
             const input = event.target
 
             // Handle all input types
@@ -1129,19 +1026,23 @@ export class Validation {
                 // 1. Update the form data
                 this.updateFormData(input)
 
-                // 2. Re-validate the entire slide immediately
-                const slideElement = input.closest('[data-fc-slide]')
-                if (slideElement) {
-                    const isValid = this.validateSlide(slideElement) // This will trigger detailed logs inside validateSlide
-                    this.formChippy.debug.info(`[Input Event] Result of validateSlide after input: ${isValid ? 'Valid' : 'Invalid'}`)
-                } else {
-                    this.formChippy.debug.warn(`[Input Event] Could not find parent slide for input: ${input.name || input.id}`)
-                }
+                // 2. Validate the field if it is validated as the user types
+                this.validateField(input, 'input')
             }
-        })
+        }
+        container.addEventListener('input', this._inputHandler)
+
+        // Listen for focus leaving a field (focusout bubbles, blur does not)
+        this._blurHandler = (event) => {
+            const input = event.target
+            if (input.matches && input.matches('input, textarea, select')) {
+                this.validateField(input, 'blur')
+            }
+        }
+        container.addEventListener('focusout', this._blurHandler)
 
         // Listen for change events (fires when input loses focus or radio/checkbox clicked)
-        container.addEventListener('change', (event) => {
+        this._changeHandler = (event) => {
             const input = event.target
 
             // Special handling for radio buttons
@@ -1219,32 +1120,10 @@ export class Validation {
                     })
                 }
 
-                // 3. Immediately clear errors and revalidate when a radio is selected
+                // 3. Revalidate the group when a radio is selected (a change is the radio's "blur")
                 if (input.checked) {
-                    // Find all related elements
-                    const group = input.closest('[data-fc-input-group]')
-                    const contentElement = input.closest('[data-fc-content]')
-                    const slide = input.closest('[data-fc-slide]')
-
-                    // Always clear any error states when a radio is selected
-                    if (group) {
-                        this.clearInputError(group) // Clear error on the group element
-                    }
-
-                    // Explicitly clear content element errors
-                    if (contentElement) {
-                        contentElement.classList.remove(this.options.errorClass, 'error')
-                        // Remove any error message elements
-                        const errorMessages = contentElement.querySelectorAll('.fc-error-message')
-                        errorMessages.forEach(el => el.remove())
-                        this.formChippy.debug.info(`Radio '${input.value}' selected - cleared content errors for group '${input.name}'`)
-                    }
-
-                    // Revalidate the slide to ensure validation state is updated
-                    if (slide) {
-                        const isValid = this.validateSlide(slide)
-                        this.formChippy.debug.info(`Radio '${input.value}' selected - slide validation result: ${isValid ? 'Valid' : 'Invalid'}`)
-                    }
+                    const isValid = this.validateField(input, 'blur')
+                    this.formChippy.debug.info(`Radio '${input.value}' selected - group validation result: ${isValid ? 'Valid' : 'Invalid'}`)
                 }
             }
             // Handle change events for non-radio inputs
@@ -1256,58 +1135,80 @@ export class Validation {
                 // 1. Update the form data (includes logic for inputs inside radiofields)
                 this.updateFormData(input)
 
-                // 2. Re-validate the input to give immediate feedback
-                //    Especially important for inputs inside *selected* radiofields.
-                const radioFieldWrapper = input.closest(
-                    '[data-fc-element="radiofield"]'
-                )
-                if (radioFieldWrapper) {
-                    const associatedRadio = radioFieldWrapper.querySelector(
-                        'input[type="radio"]'
-                    )
-                    // Only re-validate if the associated radio is actually checked
-                    if (associatedRadio && associatedRadio.checked) {
-                        this.formChippy.debug.info(
-                            `Re-validating input '${
-                                input.getAttribute('data-input') || input.name
-                            }' in selected radiofield on change.`
-                        )
-                        // Determine context for error message placement
-                        const fieldElement = input.closest(
-                            '[data-fc-element="field"]'
-                        ) // Check if it's inside a Webflow-style field
-                        const contextElement = fieldElement || input // Use field wrapper if available, otherwise the input itself
-                        this.validateInput(input, contextElement) // Call validation
-                    } else {
-                        this.formChippy.debug.info(
-                            `Input '${
-                                input.getAttribute('data-input') || input.name
-                            }' changed in a NON-selected radiofield, skipping immediate re-validation.`
-                        )
-                    }
-                } else {
-                    // For regular inputs not in radiofields, re-validate on change too
-                    this.formChippy.debug.info(
-                        `Re-validating standard input '${
-                            input.getAttribute('data-input') || input.name
-                        }' on change.`
-                    )
-                    const fieldElement = input.closest(
-                        '[data-fc-element="field"]'
-                    )
-                    const contextElement = fieldElement || input
-                    this.validateInput(input, contextElement)
-                }
+                // 2. Validate the field: text fields only change as they lose focus, and selects,
+                //    checkboxes and file inputs have no typing, so a change counts as leaving the field
+                this.validateField(input, 'blur')
             }
-        })
+        }
+        container.addEventListener('change', this._changeHandler)
+    }
+
+    /**
+     * Validate one field as the user works on it, if its data-fc-validate-on mode says it is
+     * due (see ValidationTiming.js). Radios validate their group, and inputs inside a
+     * radiofield are only checked while their radio is selected. Never moves focus.
+     * @param {HTMLElement} input - The input that changed or lost focus
+     * @param {string} moment - 'input' (typing) or 'blur' (leaving the field, or a change)
+     * @returns {boolean} - False if the field was validated and failed
+     */
+    validateField(input, moment) {
+        if (!this.formChippy.validationEnabled || this._isConditionallyHidden(input)) return true
+
+        const slide = input.closest('[data-fc-slide]')
+        if (!slide) return true
+
+        const timing = this.formChippy.validationTiming
+        if (input.type === 'radio') {
+            const isGroupValid = this.validateRadioGroup(slide, { moment, name: input.name, focus: false })
+            this.formChippy.errorSummary.refresh(slide)
+            return isGroupValid
+        }
+        if (!timing.isDue(input, moment)) return true
+
+        let isValid
+        const radioField = input.closest('[data-fc-element="radiofield"]')
+        if (radioField) {
+            const radio = radioField.querySelector('input[type="radio"]')
+            if (!radio || !radio.checked) return true
+            isValid = this.validateInput(input, radioField, { focus: false })
+        } else {
+            const fieldElement = input.closest('[data-fc-element="field"]')
+            isValid = this.validateInput(input, fieldElement || input, { focus: false })
+        }
+        timing.markValidated(input)
+
+        // validateInput clears the field's error, so restore any cross-field rule errors
+        this.formChippy.crossFieldRules.recheck(this._fieldName(input))
+        this.formChippy.errorSummary.refresh(slide)
+        return isValid
+    }
+
+    /**
+     * Remove the delegated input/change listeners from the container
+     */
+    destroy() {
+        const container = this.formChippy.container
+        if (!container) return
+
+        if (this._inputHandler) {
+            container.removeEventListener('input', this._inputHandler)
+        }
+        if (this._changeHandler) {
+            container.removeEventListener('change', this._changeHandler)
+        }
+        if (this._blurHandler) {
+            container.removeEventListener('focusout', this._blurHandler)
+        }
     }
 
     /**
      * Show input error
      * @param {HTMLElement} input - Input element
      * @param {string} message - Error message
+     * @param {Object} [options]
+     * @param {boolean} [options.focus=true] - Whether to focus the input
      */
-    showInputError(input, message) {
+    showInputError(input, message, options = {}) {
         this.formChippy.debug.info(`[showInputError] Called for: ${input.tagName}, Message: ${message}`)
         const isGroup = !input.matches('input, textarea, select')
         const targetElement = isGroup ? input : input.closest('[data-fc-element="field"]') || input
@@ -1368,7 +1269,7 @@ export class Validation {
         }
 
         // Focus the input only for standard inputs
-        if (input.matches('input, textarea, select')) {
+        if (options.focus !== false && input.matches('input, textarea, select')) {
             input.focus()
         }
     }
@@ -1379,6 +1280,10 @@ export class Validation {
      */
     clearInputError(input) {
         this.formChippy.debug.info(`[clearInputError] Called for: ${input.tagName}${input.id ? '#' + input.id : ''}`)
+        if (input.matches('input, textarea, select')) {
+            this.formChippy.accessibility.markValid(input)
+        }
+
         // Clear error message associated with the content element
         const errorMessageElement = input
             .closest('[data-fc-content]')
@@ -1468,6 +1373,248 @@ export class Validation {
         this.toggleContentError(input, false)
     }
 
+    /**
+     * Show a warning on an input
+     * Warnings flag answers that are allowed but unusual, and never block navigation
+     * @param {HTMLElement} input - Input element
+     * @param {string} message - Warning message
+     * @param {Object} [options]
+     * @param {Object} [options.source] - What raised the warning. A field already warned by
+     *   another source keeps that warning
+     */
+    showInputWarning(input, message, options = {}) {
+        const existing = this._warnings.get(input)
+        if (existing && existing.source !== options.source) return
+        if (existing && existing.message === message) return
+
+        const slide = input.closest('[data-fc-slide]')
+        this._warnings.set(input, {
+            slideId: slide ? slide.getAttribute('data-fc-slide') : null,
+            field: this._fieldName(input),
+            message,
+            source: options.source,
+        })
+
+        const targetElement = input.closest('[data-fc-element="field"]') || input
+        targetElement.classList.add('fc-warning', 'warning')
+        input.classList.add('fc-warning', 'warning')
+
+        const questionContainer =
+            input.closest('[data-fc-question]') ||
+            input.closest('[data-fc-content]') ||
+            input.parentNode
+        questionContainer.classList.add('fc-has-warning', 'has-warning')
+
+        // Only create a warning message if there's no custom warning element
+        if (!questionContainer.querySelector('[data-fc-content-warning]')) {
+            let warningElement = questionContainer.querySelector('.fc-warning-message')
+            if (!warningElement) {
+                warningElement = document.createElement('div')
+                warningElement.className = 'fc-warning-message'
+                questionContainer.appendChild(warningElement)
+            }
+            warningElement.textContent = message
+        }
+
+        this.toggleContentWarning(input, true)
+        this.formChippy.debug.logWarning(input, message)
+        this._syncWarnings()
+    }
+
+    /**
+     * Clear the warning on an input
+     * @param {HTMLElement} input - Input element
+     * @param {Object} [options]
+     * @param {Object} [options.source] - Only clear the warning if this source raised it
+     */
+    clearInputWarning(input, options = {}) {
+        const existing = this._warnings.get(input)
+        if (!existing) return
+        if (options.source && existing.source !== options.source) return
+
+        this._warnings.delete(input)
+
+        const targetElement = input.closest('[data-fc-element="field"]') || input
+        targetElement.classList.remove('fc-warning', 'warning')
+        input.classList.remove('fc-warning', 'warning')
+
+        const questionContainer =
+            input.closest('[data-fc-question]') ||
+            input.closest('[data-fc-content]') ||
+            input.parentNode
+
+        // Other fields in the same question may still have warnings
+        const stillWarned = Array.from(this._warnings.keys()).some((other) =>
+            questionContainer.contains(other)
+        )
+        if (!stillWarned) {
+            questionContainer.classList.remove('fc-has-warning', 'has-warning')
+            const warningElement = questionContainer.querySelector('.fc-warning-message')
+            if (warningElement) {
+                warningElement.remove()
+            }
+            this.toggleContentWarning(input, false)
+        }
+
+        this.formChippy.debug.info(`[clearInputWarning] Cleared warning for: ${existing.field}`)
+        this._syncWarnings()
+    }
+
+    /**
+     * Toggle the warning class on an input's content element
+     * @param {HTMLElement} element - The element to find the content parent for
+     * @param {boolean} hasWarning - Whether to add or remove the warning class
+     */
+    toggleContentWarning(element, hasWarning) {
+        const contentElement = element.closest('[data-fc-content]')
+        if (!contentElement) return
+
+        if (hasWarning) {
+            contentElement.classList.add('warning')
+        } else if (
+            !Array.from(this._warnings.keys()).some((input) => contentElement.contains(input))
+        ) {
+            contentElement.classList.remove('warning')
+        }
+    }
+
+    /**
+     * Get every warning currently shown
+     * @returns {Array<Object>} - { slideId, field, message } for each warned field
+     */
+    getWarnings() {
+        return Array.from(this._warnings.values()).map(({ slideId, field, message }) => ({
+            slideId,
+            field,
+            message,
+        }))
+    }
+
+    /**
+     * Clear every warning (e.g. when the form is reset)
+     */
+    clearWarnings() {
+        Array.from(this._warnings.keys()).forEach((input) => this.clearInputWarning(input))
+    }
+
+    /**
+     * Copy the current warnings into the form data, so they are saved and submitted
+     * @private
+     */
+    _syncWarnings() {
+        this.formChippy.formStore.setWarnings(this.getWarnings())
+    }
+
+    /**
+     * Check whether an input is inside an element hidden by a data-fc-show-if condition
+     * @param {HTMLElement} input - The input element
+     * @returns {boolean} - True if hidden
+     * @private
+     */
+    _isConditionallyHidden(input) {
+        return !!input.closest('[data-fc-condition-hidden]')
+    }
+
+    /**
+     * Validate every slide on the active path, showing all of their errors
+     * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>, firstInvalidIndex: number}} -
+     *   errors holds { slideId, field, message, element } for each failing field,
+     *   warnings { slideId, field, message } for each warned field (warnings never make it invalid)
+     */
+    validateForm() {
+        const errors = []
+        let firstInvalidIndex = -1
+
+        this.formChippy.branching.getPath().forEach((index) => {
+            const slide = this.formChippy.slides[index]
+            if (this.validateSlide(slide, { moment: 'submit' })) return
+
+            if (firstInvalidIndex === -1) {
+                firstInvalidIndex = index
+            }
+            errors.push(...this.getSlideErrors(slide))
+        })
+
+        this.formChippy.debug.info(
+            `[validateForm] ${errors.length} failing field(s)`,
+            errors.map((error) => `${error.slideId}/${error.field}`)
+        )
+        return { valid: firstInvalidIndex === -1, errors, warnings: this.getWarnings(), firstInvalidIndex }
+    }
+
+    /**
+     * Get the failing fields found the last time a slide was validated
+     * @param {HTMLElement} slide - The slide
+     * @returns {Array<Object>} - { slideId, field, message, element } for each failing field
+     */
+    getSlideErrors(slide) {
+        return [...(this.slideErrors[slide.getAttribute('data-fc-slide')] || [])]
+    }
+
+    /**
+     * Get the recorded error for a field, if it has one
+     * @param {HTMLElement} input - The input element
+     * @returns {Object|null} - { slideId, field, message, element }
+     */
+    getFieldError(input) {
+        const slide = input.closest('[data-fc-slide]')
+        if (!slide) return null
+
+        const name = this._fieldName(input)
+        return (this.slideErrors[slide.getAttribute('data-fc-slide')] || []).find(
+            (error) => error.field === name
+        ) || null
+    }
+
+    /**
+     * Remember a failing field for its slide
+     * @param {HTMLElement} input - The failing input (first radio for a group)
+     * @param {string} message - The error message shown
+     * @param {string} [field] - Field name (defaults to the input's data-input or name)
+     * @private
+     */
+    _recordError(input, message, field) {
+        const slide = input.closest('[data-fc-slide]')
+        if (!slide) return
+
+        const slideId = slide.getAttribute('data-fc-slide')
+        const name = field || this._fieldName(input)
+        const errors = (this.slideErrors[slideId] || []).filter(
+            (error) => error.field !== name
+        )
+        errors.push({ slideId, field: name, message, element: input })
+        this.slideErrors[slideId] = errors
+
+        // aria-invalid, and aria-describedby pointing at the message
+        this.formChippy.accessibility.markInvalid(input)
+    }
+
+    /**
+     * Forget a field's recorded error
+     * @param {HTMLElement} input - The input being re-validated (first radio for a group)
+     * @param {string} [field] - Field name (defaults to the input's data-input or name)
+     * @private
+     */
+    _forgetError(input, field) {
+        const slide = input.closest('[data-fc-slide]')
+        if (!slide) return
+
+        const slideId = slide.getAttribute('data-fc-slide')
+        const name = field || this._fieldName(input)
+        this.slideErrors[slideId] = (this.slideErrors[slideId] || []).filter(
+            (error) => error.field !== name
+        )
+        this.formChippy.accessibility.markValid(input)
+    }
+
+    /**
+     * Get the name a field is stored under
+     * @private
+     */
+    _fieldName(input) {
+        return input.getAttribute('data-input') || input.name || input.id || 'unnamed'
+    }
+
     /**
      * Get the whole form data as a JSON object, organized by slide ID
      * @returns {Object} Form data organized by slide ID
@@ -1481,32 +1628,46 @@ export class Validation {
      * @returns {Object} Flattened form data
      */
     getFlatFormData() {
-        const flatData = {}
-
-        // Flatten the slide-based structure into a single object
-        for (const slideId in this.formData) {
-            if (typeof this.formData[slideId] === 'object' && this.formData[slideId] !== null) {
-                // Check for special case where slideId matches the radio name
-                if (slideId in this.formData[slideId]) {
-                    // Set the slide ID value from the nested radio property
-                    flatData[slideId] = this.formData[slideId][slideId]
-                    
-                    // Include all properties including the nested value for individual access
-                    for (const fieldName in this.formData[slideId]) {
-                        flatData[fieldName] = this.formData[slideId][fieldName]
-                    }
-                } else {
-                    // Normal case - copy all properties
-                    for (const fieldName in this.formData[slideId]) {
-                        flatData[fieldName] = this.formData[slideId][fieldName]
-                    }
-                }
-            } else {
-                // Direct value (for backwards compatibility)
-                flatData[slideId] = this.formData[slideId]
-            }
-        }
+        return this.formChippy.formStore.getFlatData()
+    }
+}
 
-        return flatData
+/**
+ * Get the key an input's value is stored under in the form data
+ * Radios are stored under their group name, and inputs inside a radiofield that share the
+ * radio's name (with no data-input) under a generated key, e.g. 'lender-text'
+ * @param {HTMLElement} input - The input element
+ * @returns {string} The key, or '' if the input has none
+ */
+export function getDataKey(input) {
+    if (input.type === 'radio') return input.name || ''
+
+    const dataKey = input.getAttribute('data-input') || input.name || ''
+    const radioFieldWrapper = input.closest('[data-fc-element="radiofield"]')
+    const associatedRadio = radioFieldWrapper && radioFieldWrapper.querySelector('input[type="radio"]')
+    const radioName = associatedRadio ? associatedRadio.name : null
+
+    // Only generated if no explicit data-input was provided and the name would conflict with the radio's
+    if (input.hasAttribute('data-input') || !radioName || dataKey !== radioName) return dataKey
+
+    // Suffix for the input type
+    const tagName = input.tagName.toLowerCase()
+    let inputTypeSuffix = 'field'
+    if (['number', 'text', 'email', 'tel', 'date', 'checkbox'].includes(input.type)) {
+        inputTypeSuffix = input.type
+    } else if (tagName === 'textarea' || tagName === 'select') {
+        inputTypeSuffix = tagName
     }
+
+    // Add an index if the radiofield has several inputs of this type
+    const similarInputs = Array.from(
+        radioFieldWrapper.querySelectorAll(
+            tagName === 'select' || tagName === 'textarea' ? tagName : `input[type="${input.type}"]`
+        )
+    )
+    const suffix = similarInputs.length > 1
+        ? `${inputTypeSuffix}-${similarInputs.indexOf(input) + 1}`
+        : inputTypeSuffix
+
+    return `${radioName}-${suffix}`
 }
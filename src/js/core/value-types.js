@@ -0,0 +1,207 @@
+/**
+ * ValueTypes.js
+ * Typed values for the form data (data-fc-type)
+ *
+ * Usage:
+ * - <input type="text" name="property-value" data-fc-type="currency" formattednumber="true">
+ *   The input shows "250,000" while the form data, saved data and API payloads hold 250000
+ * - <input type="checkbox" name="has-agent" data-fc-type="boolean">
+ * - <div data-fc-input-group data-fc-type="boolean"> around radios valued yes/no or true/false
+ * - <input type="text" name="date-of-birth" data-fc-type="date"> (stored as YYYY-MM-DD)
+ * - <input type="text" name="other-lenders" data-fc-type="array"> (a comma-separated list)
+ *
+ * Types:
+ * - number: commas, spaces and currency symbols are ignored
+ * - currency: a number rounded to pence
+ * - integer: a number rounded to a whole number
+ * - boolean: true for true/yes/y/1/on (or a checked checkbox), false for false/no/n/0/off
+ * - date: YYYY-MM-DD or DD/MM/YYYY, stored as YYYY-MM-DD
+ * - array: a list separated by commas (checkbox groups are always arrays)
+ *
+ * Without the attribute, masked inputs use their mask's type (see Masks.js), number inputs,
+ * formattednumber="true" inputs and data-input-type="currency" are stored as numbers,
+ * and everything else as text. Text that cannot be converted is stored as typed, so
+ * validation can still report it. Empty fields are stored as an empty string
+ * (an empty list for arrays).
+ */
+
+import { parseDate } from './rules.js';
+import { getMask } from './masks.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+
+export const VALUE_TYPES = ['number', 'currency', 'integer', 'boolean', 'date', 'array'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off'];
+
+/**
+ * Get the type an input's value is stored as
+ * Read from the input, or from its input group (for radios and checkboxes)
+ * @param {HTMLElement} input - The input
+ * @returns {string|null} One of VALUE_TYPES, or null to store the text as it is
+ */
+export function getValueType(input) {
+    const group = input.closest('[data-fc-input-group]');
+    const type = input.getAttribute('data-fc-type') || (group && group.getAttribute('data-fc-type'));
+
+    if (type) {
+        if (VALUE_TYPES.includes(type)) return type;
+        console.warn(`FormChippy: Unknown data-fc-type '${type}' on ${input.name || input.id || 'unnamed input'}`);
+        return null;
+    }
+
+    const mask = getMask(input);
+    if (mask) return mask.type;
+
+    if (input.type === 'number' || input.getAttribute('formattednumber') === 'true') return 'number';
+    if (input.getAttribute('data-input-type') === 'currency') return 'currency';
+    return null;
+}
+
+/**
+ * Get the value stored for an input's text (or for a value passed to setValue())
+ * Removes the mask's formatting, then converts to the input's type
+ * @param {HTMLElement} input - The input
+ * @param {any} value - The text or value
+ * @returns {any} The stored value
+ */
+export function toStoredValue(input, value) {
+    const mask = getMask(input);
+    const raw = mask && value !== undefined && value !== null && !Array.isArray(value)
+        ? mask.unformat(String(value))
+        : value;
+
+    const type = getValueType(input);
+    return type ? coerceValue(raw, type) : raw;
+}
+
+/**
+ * Convert a value to a type
+ * @param {any} value - Text from an input, or a value passed to setValue()
+ * @param {string} type - One of VALUE_TYPES
+ * @returns {any} The typed value, or the value unchanged if it cannot be converted
+ */
+export function coerceValue(value, type) {
+    if (value === undefined || value === null) return value;
+
+    switch (type) {
+        case 'number':
+        case 'currency':
+        case 'integer':
+            return toNumber(value, type);
+        case 'boolean':
+            return toBoolean(value);
+        case 'date':
+            return toDate(value);
+        case 'array':
+            return toArray(value);
+    }
+    return value;
+}
+
+/**
+ * Turn a stored value back into text for an input
+ * @param {any} value - The stored value
+ * @param {string|null} type - The input's type (see getValueType)
+ * @param {HTMLElement} input - The input the text is for
+ * @param {string} [locale=DEFAULT_LOCALE] - Locale numbers are formatted in (masks keep their own format)
+ * @returns {string}
+ */
+export function formatValue(value, type, input, locale = DEFAULT_LOCALE) {
+    if (value === undefined || value === null) return '';
+
+    const mask = getMask(input);
+    if (mask) {
+        // Show pence in full (300000.5 as "300,000.50")
+        const text = typeof value === 'number' && mask.type === 'currency' && !Number.isInteger(value)
+            ? value.toFixed(2)
+            : String(value);
+        return mask.format(mask.unformat(text));
+    }
+
+    if (typeof value === 'number' && input.type !== 'number' && input.getAttribute('formattednumber') === 'true') {
+        return value.toLocaleString(locale, {
+            minimumFractionDigits: type === 'currency' && !Number.isInteger(value) ? 2 : 0,
+            maximumFractionDigits: 2
+        });
+    }
+
+    // Text date fields show the date the way it is usually typed
+    if (type === 'date' && input.type !== 'date') {
+        const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (match) return `${match[3]}/${match[2]}/${match[1]}`;
+    }
+
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+}
+
+/**
+ * Convert to a number, rounded for currency and integer
+ * @private
+ */
+function toNumber(value, type) {
+    if (Array.isArray(value)) return value.map((item) => toNumber(item, type));
+
+    let number = value;
+    if (typeof value !== 'number') {
+        const cleaned = String(value).trim().replace(/[,£$€\s]/g, '');
+        if (cleaned === '') return '';
+        number = Number(cleaned);
+        if (isNaN(number)) return String(value).trim();
+    }
+
+    if (type === 'integer') return Math.round(number);
+    if (type === 'currency') return Math.round(number * 100) / 100;
+    return number;
+}
+
+/**
+ * Convert yes/no style text to a boolean
+ * @private
+ */
+function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+
+    const text = String(value).trim().toLowerCase();
+    if (text === '') return '';
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    return String(value).trim();
+}
+
+/**
+ * Convert a date to YYYY-MM-DD
+ * @private
+ */
+function toDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value) ? '' : toIsoDate(value);
+    }
+
+    const text = String(value).trim();
+    if (text === '') return '';
+    const date = parseDate(text);
+    return date ? toIsoDate(date) : text;
+}
+
+/**
+ * Format a Date as YYYY-MM-DD in local time
+ * @private
+ */
+function toIsoDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Split a comma-separated list
+ * @private
+ */
+function toArray(value) {
+    if (Array.isArray(value)) return value;
+    return String(value)
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
@@ -2,7 +2,8 @@ export function flattenData(nestedFormData) {
     const flat = {};
   
     Object.entries(nestedFormData).forEach(([key, value]) => {
-      if (typeof value === "object" && value !== null) {
+      // Arrays (checkbox groups, validation warnings) are values, not slides
+      if (typeof value === "object" && value !== null && !Array.isArray(value)) {
         Object.entries(value).forEach(([innerKey, innerValue]) => {
           flat[innerKey] = innerValue;
         });
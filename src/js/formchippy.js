@@ -49,20 +49,33 @@
 // Import core modules
 import { Navigation } from './core/navigation.js'
 import { Validation } from './core/validation.js'
+import { ValidationTiming } from './core/validation-timing.js'
+import { ErrorSummary } from './core/error-summary.js'
+import { Accessibility } from './core/accessibility.js'
+import { Hotkeys } from './core/hotkeys.js'
+import { Journey } from './core/journey.js'
+import { TabSync } from './core/tab-sync.js'
 import { Progress } from './core/progress.js'
 import { DonutProgress } from './core/donut-progress.js'
 import { DynamicSlides } from './core/dynamic-slides.js'
 import { InputActive } from './core/inputactive.js'
 import { Debug } from './core/debug.js'
 import { Persistence } from './core/persistence.js'
-
-// Import question types
-import { TextInput } from './questions/text.js'
-import { RadioInput } from './questions/radio.js'
-import { ToggleInput } from './questions/toggle.js'
-import { FileInput } from './questions/file.js'
-import { TextareaInput } from './questions/textarea.js'
-import { DateInput } from './questions/date.js'
+import { FormStore } from './core/form-store.js'
+import { Branching } from './core/branching.js'
+import { SlideHistory } from './core/slide-history.js'
+import { Conditions } from './core/conditions.js'
+import { Lifecycle } from './core/lifecycle.js'
+import { NavigationPolicy } from './core/navigation-policy.js'
+import { CrossFieldRules } from './core/cross-field-rules.js'
+import { AsyncValidation } from './core/async-validation.js'
+import { QuestionTypes, registerQuestionType } from './core/question-types.js'
+import { Masks } from './core/masks.js'
+import { registerValidator } from './core/rules.js'
+import { I18n, registerLocale } from './core/i18n.js'
+import { registerPersistenceAdapter } from './core/storage-adapters.js'
+import { registerMigration } from './core/migrations.js'
+import { SensitiveFields } from './core/sensitive.js'
 import { submitProducts } from './hooks/formData_submitProducts.js'
 import { data_applySavedFormData } from './hooks/formData_savedData.js'
 import { adjustor_showElement, adjustor_showHiddenFields, adjustor_showLoading } from './hooks/formElements_adjustors.js'
@@ -71,29 +84,116 @@ import { DialogManager } from './core/dialog.js'
 class FormChippy {
     // Static property to hold all instances
     static instances = {}
-   
+
+    // Default options (read by initAll to map data-fc-* attributes onto options)
+    static defaults = {
+        containerSelector: '[data-fc-container]',
+        slideListSelector: '[data-fc-slide-list]',
+        slideSelector: '[data-fc-slide]',
+        contentSelector: '[data-fc-content]',
+        inputSelector: '[data-fc-input]',
+        buttonSelector: '[data-fc-button]',
+        submitSelector: '[data-fc-submit]',
+        progressSelector: '[data-fc-progress]',
+        dotsSelector: '[data-fc-dots]',
+        dotSelector: '[data-fc-dot]',
+        activeClass: 'fc-slideactive',
+        animationDelay: 800,
+        useIntersectionObserver: false, // Disable auto-navigation by scrolling by default
+        validateByDefault: true, // Whether to validate by default (can be overridden by data-fc-validate attribute)
+        autoInitialize: true, // Whether to auto-initialize on load
+        scrollPosition: 'center', // How to position active slides: 'start', 'center', 'end', 'nearest', or percentage (e.g., '25%')
+        autoFocus: true, // Whether to auto-focus the first input in a slide after navigation
+        skipAutoFocusOnMobile: true, // Whether to skip auto-focus on mobile devices
+        browserHistory: true, // Whether the browser Back button walks back through visited slides
+        navigationPolicy: 'strict', // Which slides can be jumped to: 'strict', 'visited-only' or 'free'
+        validateOn: 'next', // When fields show errors: 'input', 'blur', 'next' or 'submit' (data-fc-validate-on)
+        locale: 'en-GB', // Language of messages and format of numbers and dates (data-fc-locale)
+        hotkeys: 'letters', // Keys that choose options: 'letters', 'numbers' or 'off' (data-fc-hotkeys)
+        confirmKey: 'Enter', // Key that confirms a slide, or false (data-fc-confirm-key)
+        backKey: 'Shift+Enter', // Key that goes back a slide, or false (data-fc-back-key)
+        persist: 'local', // Where answers are saved: 'local', 'session', 'memory', 'indexeddb', 'remote' or 'none' (data-fc-persist)
+        persistEndpoint: null, // URL drafts are saved to with persist: 'remote' (data-fc-persist-endpoint)
+        persistDelay: 500, // Milliseconds to wait for more changes before saving remotely (data-fc-persist-delay)
+        sensitiveStorage: 'exclude', // How data-fc-sensitive fields are saved: 'exclude' or 'encrypt' (data-fc-sensitive-storage)
+        schemaVersion: 1, // Version of the saved data, raised when slides or inputs are renamed (data-fc-schema-version)
+        pruneSavedData: true, // Drop saved answers the form no longer has an input for (data-fc-prune-saved-data)
+        resume: 'prompt', // Returning users: 'prompt' to continue or start again, 'auto' or 'off' (data-fc-resume)
+        tabSync: true, // Share answers with the same form in the user's other tabs (data-fc-tab-sync)
+        containerElement: null, // Container element to bind to (takes precedence over containerSelector)
+    }
+
+    /**
+     * Register a question type for every form
+     * Forms already on the page get the type too if the name is new
+     * @param {string} name - Type name, used in data-fc-question-type
+     * @param {Function} QuestionType - Class constructed with the FormChippy instance, with optional
+     *   init, getValue, setValue, validate and destroy hooks (see core/question-types.js)
+     * @returns {boolean} - True if the type was registered
+     * @public
+     */
+    static registerQuestionType(name, QuestionType) {
+        if (!registerQuestionType(name, QuestionType)) return false
+
+        Object.values(FormChippy.instances).forEach((instance) => {
+            if (instance.questionTypes && !instance.questionTypes.handlers[name]) {
+                instance.questionTypes.add(name, QuestionType)
+            }
+        })
+        return true
+    }
+
+    /**
+     * Register a validation rule for every form, used with data-fc-rule
+     * @param {string} name - Rule name
+     * @param {Function} test - (value, arg, input) => true if valid (false or an error message if not)
+     * @param {Object} [options] - { message }
+     * @returns {boolean} - True if the rule was registered
+     * @public
+     */
+    static registerValidator(name, test, options = {}) {
+        return registerValidator(name, test, options)
+    }
+
+    /**
+     * Register (or extend) the messages for a language, used by forms with that locale
+     * @param {string} locale - A locale ('cy-GB') or language ('cy')
+     * @param {Object} messages - Messages keyed like the English catalogue (see core/i18n.js)
+     * @returns {boolean} - True if the messages were registered
+     * @public
+     */
+    static registerLocale(locale, messages) {
+        return registerLocale(locale, messages)
+    }
+
+    /**
+     * Register a storage adapter for every form, used with data-fc-persist
+     * @param {string} name - Adapter name
+     * @param {Function} create - (options) => adapter with getItem, setItem, removeItem and keys
+     *   (see core/storage-adapters.js)
+     * @returns {boolean} - True if the adapter was registered
+     * @public
+     */
+    static registerPersistenceAdapter(name, create) {
+        return registerPersistenceAdapter(name, create)
+    }
+
+    /**
+     * Register a migration that upgrades saved data to a schema version (data-fc-schema-version)
+     * @param {string} formName - Form name, or '*' for every form
+     * @param {number} version - The version the migration upgrades data to
+     * @param {Function} migrate - (data, { formName, from, to }) => upgraded data (see core/migrations.js)
+     * @returns {boolean} - True if the migration was registered
+     * @public
+     */
+    static registerMigration(formName, version, migrate) {
+        return registerMigration(formName, version, migrate)
+    }
 
     constructor(options = {}, formChippy) {
         // Default options
         this.options = {
-            containerSelector: '[data-fc-container]',
-            slideListSelector: '[data-fc-slide-list]',
-            slideSelector: '[data-fc-slide]',
-            contentSelector: '[data-fc-content]',
-            inputSelector: '[data-fc-input]',
-            buttonSelector: '[data-fc-button]',
-            submitSelector: '[data-fc-submit]',
-            progressSelector: '[data-fc-progress]',
-            dotsSelector: '[data-fc-dots]',
-            dotSelector: '[data-fc-dot]',
-            activeClass: 'fc-slideactive',
-            animationDelay: 800,
-            useIntersectionObserver: false, // Disable auto-navigation by scrolling by default
-            validateByDefault: true, // Whether to validate by default (can be overridden by data-fc-validate attribute)
-            autoInitialize: true, // Whether to auto-initialize on load
-            scrollPosition: 'center', // How to position active slides: 'start', 'center', 'end', 'nearest', or percentage (e.g., '25%')
-            autoFocus: true, // Whether to auto-focus the first input in a slide after navigation
-            skipAutoFocusOnMobile: true, // Whether to skip auto-focus on mobile devices
+            ...FormChippy.defaults,
             ...options,
         }
 
@@ -102,7 +202,6 @@ class FormChippy {
         this.slides = []
         this.dots = []
         this.isAnimating = false
-        this.formData = {}
         this.eventHandlers = {} // Event handling system
 
         // Modules
@@ -113,7 +212,22 @@ class FormChippy {
         this.dynamicSlides = null
         this.inputActive = null
         this.debug = null
+        this.sensitive = null
         this.persistence = null
+        this.formStore = null
+        this.masks = null
+        this.validationTiming = null
+        this.branching = null
+        this.slideHistory = null
+        this.conditions = null
+        this.lifecycle = null
+        this.navigationPolicy = null
+        this.crossFieldRules = null
+        this.asyncValidation = null
+        this.hotkeys = null
+        this.journey = null
+        this.tabSync = null
+        this.questionTypes = null
         this.questionHandlers = {}
 
         // Initialize
@@ -196,29 +310,15 @@ class FormChippy {
      * @private
      */
     _init() {
-        // TO DO - trying to find ICID to use for LCID
-        // Local Storage
-        console.log('--- Local Storage ---');
-        for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        const value = localStorage.getItem(key);
-        console.log(`${key}:`, value);
-        }
-
-        // Session Storage
-        console.log('--- Session Storage ---');
-        for (let i = 0; i < sessionStorage.length; i++) {
-        const key = sessionStorage.key(i);
-        const value = sessionStorage.getItem(key);
-        console.log(`${key}:`, value);
-        }
-
         // -- Controls all popups
         const dialogManager = new DialogManager({ debug: true });
         dialogManager.init();
 
-        // Get main elements
-        this.container = document.querySelector(this.options.containerSelector)
+        // Get main elements - an explicit container element (passed by initAll)
+        // scopes this instance to that container only
+        this.container =
+            this.options.containerElement ||
+            document.querySelector(this.options.containerSelector)
         if (!this.container) {
             console.error('FormChippy: Container not found')
             return
@@ -325,10 +425,27 @@ class FormChippy {
         this.progressBar = null
 
         // Initialize modules
+        this.sensitive = new SensitiveFields(this)
         this.debug = new Debug(this)
+        this.i18n = new I18n(this)
+        this.accessibility = new Accessibility(this)
         this.persistence = new Persistence(this)
+        this.formStore = new FormStore(this)
+        this.masks = new Masks(this)
+        this.validationTiming = new ValidationTiming(this)
         this.validation = new Validation(this)
+        this.errorSummary = new ErrorSummary(this)
+        this.crossFieldRules = new CrossFieldRules(this)
+        this.asyncValidation = new AsyncValidation(this)
+        this.branching = new Branching(this)
+        this.slideHistory = new SlideHistory(this)
+        this.conditions = new Conditions(this)
+        this.lifecycle = new Lifecycle(this)
+        this.navigationPolicy = new NavigationPolicy(this)
         this.navigation = new Navigation(this)
+        this.hotkeys = new Hotkeys(this)
+        this.journey = new Journey(this)
+        this.tabSync = new TabSync(this)
         this.progress = new Progress(this)
         this.donutProgress = new DonutProgress(this)
         this.dynamicSlides = new DynamicSlides(this)
@@ -339,52 +456,11 @@ class FormChippy {
             FormChippy.instances = {}
         }
         FormChippy.instances[this.formName] = this
+        this.container.formChippyInstance = this
         this.debug.info(`Registered form instance: ${this.formName}`)
 
-        // Load saved form data from localStorage if available
-        if (this.persistence && this.validation) {
-            // Get the saved data - our persistence module will automatically handle
-            // both old and new data formats and return just the form data portion
-            const savedData = this.persistence.loadFormData(this.formName);
-            
-            //this.persistence.applySavedDataToAllForms(this.formName);
-
-            if (savedData) {
-                
-                this.validation.formData = savedData
-                this.debug.info(
-                    `Loaded saved form data for form: ${this.formName}`,
-                    savedData
-                )
-
-                // -- Apply FormData to fields
-                data_applySavedFormData(savedData);
-
-                // -- Remove any Loading Processing from Form
-                adjustor_showElement('button-results', false);
-                adjustor_showLoading('loader', false);
-                adjustor_showLoading('buttons', true);
-                
-
-                // Trigger an event so extensions can react to the loaded data
-                this.trigger('formDataLoaded', {
-                    formName: this.formName,
-                    formData: savedData,
-                })
-
-                // Also add timestamp info to the debug logs if available
-                const fullData = this.persistence.loadFormData(
-                    this.formName,
-                    true
-                )
-                if (fullData && fullData.timestamp) {
-                    const lastUpdated = new Date(fullData.timestamp)
-                    this.debug.info(
-                        `Form data was last saved on: ${lastUpdated.toLocaleString()}`
-                    )
-                }
-            }
-        }
+        // Load saved form data (adapters that load asynchronously restore it once ready)
+        this._loadSavedData()
 
         // Apply essential styles via JavaScript to ensure scrolling works without CSS dependencies
         this._applyCoreStyles()
@@ -396,15 +472,9 @@ class FormChippy {
             formName: this.formName,
         })
 
-        // Initialize question handlers
-        this.questionHandlers = {
-            text: new TextInput(this),
-            radio: new RadioInput(this),
-            toggle: new ToggleInput(this),
-            file: new FileInput(this),
-            textarea: new TextareaInput(this),
-            date: new DateInput(this),
-        }
+        // Initialize question handlers (built-in and registered question types)
+        this.questionTypes = new QuestionTypes(this)
+        this.questionHandlers = this.questionTypes.handlers
 
         // Generate slide IDs if not set
         this._generateSlideIds()
@@ -426,12 +496,37 @@ class FormChippy {
             )
         }
 
-        // Handle window resize
-        window.addEventListener('resize', this._handleResize.bind(this))
+        // Handle window resize (keep the bound handler so destroy() can remove it)
+        this._boundHandleResize = this._handleResize.bind(this)
+        window.addEventListener('resize', this._boundHandleResize)
 
         // Initialize the dynamic slides module
         this.dynamicSlides.init()
 
+        // Apply data-fc-show-if conditions (needs dynamic slides for slide groups)
+        this.conditions.init()
+
+        // Show warnings for restored answers (after conditions, so hidden fields are skipped)
+        this.crossFieldRules.init()
+
+        // Start tracking visited slides (restores the stack from a previous session)
+        this.slideHistory.init()
+
+        // Start tracking reached slides for the navigation policy
+        this.navigationPolicy.init()
+
+        // Let question types finish setting up now every module is ready
+        this.questionTypes.init()
+
+        // Give options their keys (after question types have styled them)
+        this.hotkeys.init()
+
+        // Read the saved slide before the first slide replaces it
+        this.journey.init()
+
+        // Share answers with the same form in other tabs
+        this.tabSync.init()
+
         // Initialize first slide and ensure it's properly active
         this._updateActiveSlide(0)
 
@@ -450,8 +545,11 @@ class FormChippy {
             )
             if (firstInput) {
                 // Don't auto-focus on mobile devices to avoid keyboard popping up immediately
+                // (or while the resume prompt has focus)
                 if (window.innerWidth > 768) {
-                    setTimeout(() => firstInput.focus(), 100)
+                    setTimeout(() => {
+                        if (!this.journey.isPrompting()) firstInput.focus()
+                    }, 100)
                 }
             }
 
@@ -462,9 +560,76 @@ class FormChippy {
             )
         }
 
+        // Offer to continue where a previous session left off
+        this.journey.offerResume()
+
+        // Adapters that load asynchronously (IndexedDB, remote) restore the session once ready
+        if (this.persistence.isAsync()) {
+            this.persistence.ready(this.formName).then(() => {
+                if (this.container.formChippyInstance !== this) return
+                this._loadSavedData()
+                this.slideHistory.restore()
+                this.navigationPolicy.restore()
+                this.progress.updateProgress(this.currentSlideIndex)
+                this.journey.restore()
+                this.journey.offerResume()
+            })
+        }
+
         this.debug.info(`FormChippy initialized for form: ${this.formName}`)
     }
 
+    /**
+     * Apply the saved form data to the fields
+     * @private
+     */
+    _loadSavedData() {
+        // Load saved form data from storage if available
+        if (this.persistence && this.validation) {
+            // Get the saved data - our persistence module will automatically handle
+            // both old and new data formats and return just the form data portion
+            const savedData = this.persistence.loadFormData(this.formName);
+            
+            //this.persistence.applySavedDataToAllForms(this.formName);
+
+            if (savedData) {
+                
+                this.validation.formData = savedData
+                this.debug.info(
+                    `Loaded saved form data for form: ${this.formName}`,
+                    savedData
+                )
+
+                // -- Apply FormData to fields (scoped to this form's container)
+                data_applySavedFormData(savedData, this.container, this.i18n.locale);
+
+                // -- Remove any Loading Processing from Form
+                adjustor_showElement('button-results', false);
+                adjustor_showLoading('loader', false);
+                adjustor_showLoading('buttons', true);
+                
+
+                // Trigger an event so extensions can react to the loaded data
+                this.trigger('formDataLoaded', {
+                    formName: this.formName,
+                    formData: savedData,
+                })
+
+                // Also add timestamp info to the debug logs if available
+                const fullData = this.persistence.loadFormData(
+                    this.formName,
+                    true
+                )
+                if (fullData && fullData.timestamp) {
+                    const lastUpdated = new Date(fullData.timestamp)
+                    this.debug.info(
+                        `Form data was last saved on: ${lastUpdated.toLocaleString()}`
+                    )
+                }
+            }
+        }
+    }
+
     /**
      * Generate unique IDs for slides if not already set
      * @private
@@ -673,6 +838,9 @@ class FormChippy {
                     })
                 }
             })
+
+            // Tell screen reader users where they are ("Step 3 of 8: <heading>")
+            this.accessibility.announceSlide(index)
         }
 
         // Always update dots and progress (visual-only updates)
@@ -711,12 +879,20 @@ class FormChippy {
             const activeSlide = this.slides[index]
             let elementToFocus
 
-            // Try to find the first visible, enabled input
-            const inputs = Array.from(
-                activeSlide.querySelectorAll(
-                    `${this.options.inputSelector}:not([type="hidden"]):not([disabled])`
-                )
-            )
+            // Prefer a field that failed validation (e.g. after an invalid submit)
+            const [firstError] = this.validation.getSlideErrors(activeSlide)
+            if (firstError) {
+                elementToFocus = firstError.element
+            }
+
+            // Otherwise try to find the first visible, enabled input
+            const inputs = elementToFocus
+                ? []
+                : Array.from(
+                      activeSlide.querySelectorAll(
+                          `${this.options.inputSelector}:not([type="hidden"]):not([disabled])`
+                      )
+                  )
 
             if (inputs.length > 0) {
                 // Filter out elements that are already in the inputs or buttons arrays
@@ -971,13 +1147,68 @@ class FormChippy {
 
     /**
      * Go to a specific slide
+     * The navigation policy decides whether the slide can be reached (under 'strict'
+     * a jump may stop early on a slide that still needs answers). If
+     * beforeLeave/beforeNavigate hooks apply, the move happens once they resolve,
+     * and not at all if one of them returns false
      * @param {number} index - Slide index
      * @param {boolean} animate - Whether to animate the scroll
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Skip the navigation policy
+     * @returns {Promise<boolean>} - Resolves false if the policy or a hook refused the move
      * @public
      */
-    goToSlide(index, animate = true) {
+    goToSlide(index, animate = true, options = {}) {
+        const fromIndex = this.currentSlideIndex
+
+        if (
+            !options.force &&
+            index !== fromIndex &&
+            index >= 0 &&
+            index < this.totalSlides
+        ) {
+            index = this.navigationPolicy.resolve(fromIndex, index)
+            if (index === -1) return Promise.resolve(false)
+        }
+
+        if (
+            index === fromIndex ||
+            index < 0 ||
+            index >= this.totalSlides ||
+            !this.lifecycle.hasBeforeHooks(fromIndex, index)
+        ) {
+            this._changeSlide(index, animate)
+            return Promise.resolve(true)
+        }
+
+        // Ignore repeated requests while the same move is waiting on hooks
+        if (this.lifecycle.isPending(index)) {
+            this.debug.info(`Navigation to ${index} is already waiting on hooks`)
+            return Promise.resolve(false)
+        }
+
+        return this.lifecycle.guard(fromIndex, index).then((allowed) => {
+            if (allowed) {
+                this._changeSlide(index, animate)
+            }
+            return allowed
+        })
+    }
+
+    /**
+     * Change the active slide (navigation hooks have already run)
+     * @param {number} index - Slide index
+     * @param {boolean} animate - Whether to animate the scroll
+     * @private
+     */
+    _changeSlide(index, animate = true) {
         // SIMPLIFIED NAVIGATION FLOW - Single source of truth approach
 
+        // Jump straight to the slide for users who prefer reduced motion
+        if (animate && this.accessibility.prefersReducedMotion()) {
+            animate = false
+        }
+
         // 1. VALIDATION: Check if index is valid
         if (index < 0 || index >= this.totalSlides) {
             this.debug.info(
@@ -1059,7 +1290,7 @@ class FormChippy {
                         this.debug.info(
                             `QUEUED NAVIGATION: Now processing navigation to slide ${nextIndex}`
                         )
-                        this.goToSlide(nextIndex, true) // Force parameter to bypass jitter check
+                        this._changeSlide(nextIndex, true) // Force parameter to bypass jitter check
                     }
                 }, this._navigationState.debounceTime)
             }
@@ -1353,8 +1584,9 @@ class FormChippy {
                     })
 
                    // Last Slide - Submit the Form Data to API
+                   // (from the live answers: sensitive fields may not be in storage)
                    if(targetSlideId === 'summary'){
-                        submitProducts(this.persistence.loadFormData(this.formName))
+                        submitProducts(this.formStore.getData())
                    }else{
                         // Hide Summary
                         adjustor_showHiddenFields('close');
@@ -1375,7 +1607,7 @@ class FormChippy {
                                 this.debug.info(
                                     `PROCESSING QUEUED NAVIGATION to slide ${nextIndex}`
                                 )
-                                this.goToSlide(nextIndex, true)
+                                this._changeSlide(nextIndex, true)
                             }, 50)
                         }
                     }
@@ -1395,7 +1627,10 @@ class FormChippy {
             ? tracker.currentIndex
             : this.currentSlideIndex
 
-        if (currentIndex < this.totalSlides - 1) {
+        // Resolve the target from branching rules (falls back to the next slide in order)
+        const nextIndex = this.branching.resolveNextIndex(currentIndex)
+
+        if (nextIndex !== -1) {
             // Get the current slide element
             const currentSlide = this.slides[currentIndex]
 
@@ -1404,7 +1639,7 @@ class FormChippy {
             this.debug.info(`Next() method called from slide ${slideId}`, {
                 validationEnabled: this.validationEnabled,
                 currentIndex: currentIndex,
-                targetIndex: currentIndex + 1,
+                targetIndex: nextIndex,
                 trackerExists: !!tracker,
                 trackerCurrentIndex: tracker ? tracker.currentIndex : null,
                 formCurrentIndex: this.currentSlideIndex,
@@ -1415,8 +1650,6 @@ class FormChippy {
                 !this.validationEnabled ||
                 this.validation.validateSlide(currentSlide)
             ) {
-                // Calculate the exact next index to prevent any confusion
-                const nextIndex = currentIndex + 1
                 this.debug.info(
                     `Next: Navigating from ${currentIndex} to ${nextIndex}`
                 )
@@ -1434,45 +1667,43 @@ class FormChippy {
     }
 
     /**
-     * Go to the previous slide
+     * Go back to the previously visited slide
+     * Walks the visited-slide history, so skipped slides are never shown
+     * @returns {Promise<boolean>} - Resolves false if there is nowhere to go back to or a hook refused the move
      * @public
      */
-    prev() {
-        // Use the position tracker for current position if available
-        const tracker = this._slidePositionTracker
-        const currentIndex = tracker
-            ? tracker.currentIndex
-            : this.currentSlideIndex
+    back() {
+        const currentSlide = this.slides[this.currentSlideIndex]
+        const slideId = currentSlide
+            ? currentSlide.getAttribute('data-fc-slide')
+            : null
+        if (slideId !== 'summary') {
+            adjustor_showElement('button-results', false)
+        }
 
-        if (currentIndex > 0) {
-            const currentSlide = this.slides[currentIndex]
+        this.debug.info(`Back() method called from slide ${slideId}`, {
+            history: this.slideHistory.getStack(),
+        })
 
-            // Calculate the exact previous index
-            const prevIndex = currentIndex - 1
+        // Previous navigation is always allowed regardless of validation
+        return this.slideHistory.back()
+    }
 
-            // Log the navigation attempt with source of truth
-            const slideId = currentSlide.getAttribute('data-fc-slide')
-            if(slideId !== 'summary'){
-                adjustor_showElement('button-results', false);
-            }
-            this.debug.info(`Prev() method called from slide ${slideId}`, {
-                currentIndex: currentIndex,
-                targetIndex: prevIndex,
-                trackerExists: !!tracker,
-                trackerCurrentIndex: tracker ? tracker.currentIndex : null,
-                formCurrentIndex: this.currentSlideIndex,
-            })
+    /**
+     * Go to the previous slide (alias of back())
+     * @public
+     */
+    prev() {
+        return this.back()
+    }
 
-            // Previous navigation is always allowed regardless of validation
-            this.debug.info(
-                `Prev: Navigating from ${currentIndex} to ${prevIndex}`
-            )
-            this.goToSlide(prevIndex)
-        } else {
-            this.debug.info(
-                `Prev: Already at first slide (index ${currentIndex}), cannot go back`
-            )
-        }
+    /**
+     * Get the IDs of the slides the user visited, oldest first
+     * @returns {Array<string>} - Visited slide IDs, ending with the current slide
+     * @public
+     */
+    getHistory() {
+        return this.slideHistory.getStack()
     }
 
     /**
@@ -1493,6 +1724,136 @@ class FormChippy {
         return this.totalSlides
     }
 
+    /**
+     * Run a hook before every navigation
+     * Return (or resolve to) false to cancel the move
+     * @param {Function} hook - (context) => boolean|Promise<boolean>|void
+     * @returns {Function} - Call to remove the hook
+     * @public
+     */
+    beforeNavigate(hook) {
+        return this.lifecycle.addBeforeNavigate(hook)
+    }
+
+    /**
+     * Run a hook before leaving a slide
+     * Return (or resolve to) false to stay on the slide
+     * @param {string} slideId - The slide being left
+     * @param {Function} hook - (context) => boolean|Promise<boolean>|void
+     * @returns {Function} - Call to remove the hook
+     * @public
+     */
+    beforeLeave(slideId, hook) {
+        return this.lifecycle.addBeforeLeave(slideId, hook)
+    }
+
+    /**
+     * Run a hook once a slide is active
+     * @param {string|Function} slideId - The slide being entered (omit for every slide)
+     * @param {Function} [hook] - (context) => void
+     * @returns {Function} - Call to remove the hook
+     * @public
+     */
+    afterEnter(slideId, hook) {
+        if (typeof slideId === 'function') {
+            return this.lifecycle.addAfterEnter('*', slideId)
+        }
+        return this.lifecycle.addAfterEnter(slideId, hook)
+    }
+
+    /**
+     * Cancel a navigation that is waiting on beforeLeave/beforeNavigate hooks
+     * @returns {boolean} - True if a pending navigation was cancelled
+     * @public
+     */
+    cancelNavigation() {
+        return this.lifecycle.cancel()
+    }
+
+    /**
+     * Add a branching rule for a slide
+     * @param {string} slideId - The slide the rule applies to
+     * @param {Function|string} rule - Function (data, formChippy) => targetSlideId|null,
+     *   or a rule string such as 'purchase-type=Remortgage:remortgage-details'
+     * @returns {Function} - Call to remove the rule again
+     * @public
+     */
+    addBranchRule(slideId, rule) {
+        return this.branching.addRule(slideId, rule)
+    }
+
+    /**
+     * Remove all JS branching rules for a slide
+     * @param {string} slideId - The slide ID
+     * @public
+     */
+    removeBranchRules(slideId) {
+        this.branching.removeRules(slideId)
+        return this
+    }
+
+    /**
+     * Get the slide IDs on the path the user will take with the current answers
+     * @returns {Array<string>} - Slide IDs in journey order
+     * @public
+     */
+    getActivePath() {
+        return this.branching
+            .getPath()
+            .map((index) => this.slides[index].getAttribute('data-fc-slide'))
+    }
+
+    /**
+     * Form data organized by slide ID (alias of getFormData())
+     */
+    get formData() {
+        return this.formStore ? this.formStore.getData() : {}
+    }
+
+    /**
+     * Get the form data, organized by slide ID
+     * @returns {Object} - Form data organized by slide ID
+     * @public
+     */
+    getFormData() {
+        return this.formStore.getData()
+    }
+
+    /**
+     * Set several values at once
+     * Accepts data organized by slide ID or a flat object keyed by field name
+     * @param {Object} data - Values to set
+     * @param {Object} [options] - { source } reported in formDataChanged events
+     * @public
+     */
+    setFormData(data, options = {}) {
+        this.formStore.setData(data, options)
+        return this
+    }
+
+    /**
+     * Get a single field value
+     * @param {string} name - Field name (data-input or name attribute)
+     * @returns {any} - The stored value
+     * @public
+     */
+    getValue(name) {
+        return this.formStore.get(name)
+    }
+
+    /**
+     * Set a single field value
+     * Updates the input, validation state, persistence and [data-output-value] bindings
+     * @param {string} name - Field name (data-input or name attribute)
+     * @param {any} value - New value (null or undefined removes it)
+     * @param {Object} [options] - { source } reported in formDataChanged events
+     * @returns {boolean} - True if the field was found
+     * @public
+     */
+    setValue(name, value, options = {}) {
+        return this.formStore.set(name, value, options)
+    }
+
     /**
      * Check if a slide is valid (all required fields filled)
      * @param {number} index - Slide index to check
@@ -1507,6 +1868,75 @@ class FormChippy {
         return this.validation.validateSlide(this.slides[index])
     }
 
+    /**
+     * Add a cross-field validation rule, checked when the slide is validated
+     * @param {string} slideId - The slide the rule belongs to
+     * @param {string|Function} rule - An expression such as "deposit-amount < property-value",
+     *   or (data, formChippy) => true if valid (false or an error message if not)
+     * @param {Object} [options] - { message, fields } (fields is required for function rules)
+     * @returns {Function} - Call to remove the rule
+     * @public
+     */
+    addValidationRule(slideId, rule, options = {}) {
+        return this.crossFieldRules.addRule(slideId, rule, options)
+    }
+
+    /**
+     * Add a cross-field warning rule: it flags the answers but never blocks navigation
+     * @param {string} slideId - The slide the rule belongs to
+     * @param {string|Function} rule - An expression describing the expected answers,
+     *   or (data, formChippy) => true if fine (false or a warning message if not)
+     * @param {Object} [options] - { message, fields } (fields is required for function rules)
+     * @returns {Function} - Call to remove the rule
+     * @public
+     */
+    addWarningRule(slideId, rule, options = {}) {
+        return this.crossFieldRules.addRule(slideId, rule, { ...options, severity: 'warning' })
+    }
+
+    /**
+     * Get the warnings currently shown
+     * @returns {Array<Object>} - { slideId, field, message } for each warned field
+     * @public
+     */
+    getWarnings() {
+        return this.validation.getWarnings()
+    }
+
+    /**
+     * Add an asynchronous (server-side) validator for a field or data-fc-rule name
+     * @param {string} name - Field name, or rule name used in data-fc-rule
+     * @param {Function} validator - async (value, { input, field, data, signal }) => true if valid
+     *   (false or an error message if not)
+     * @param {Object} [options] - { debounce, message }
+     * @returns {Function} - Call to remove the validator
+     * @public
+     */
+    addAsyncValidator(name, validator, options = {}) {
+        return this.asyncValidation.addValidator(name, validator, options)
+    }
+
+    /**
+     * Validate a slide, waiting for its async validators
+     * @param {number} index - Slide index to check
+     * @returns {Promise<boolean>} - True if valid
+     * @public
+     */
+    async validateSlideAsync(index) {
+        if (!this.isSlideValid(index)) return false
+        return this.asyncValidation.validateSlide(this.slides[index])
+    }
+
+    /**
+     * Validate every slide on the active path, showing all errors
+     * @returns {Object} - { valid, errors, warnings, firstInvalidIndex }, with errors listing
+     *   { slideId, field, message, element } for each failing field
+     * @public
+     */
+    validateForm() {
+        return this.validation.validateForm()
+    }
+
     /**
      * Reset the form to its initial state
      * @public
@@ -1520,12 +1950,18 @@ class FormChippy {
             input.value = ''
             this.validation.clearInputError(input)
         })
+        this.validation.clearWarnings()
+        this.validationTiming.clear()
+        this.errorSummary.clear()
 
         // Go to first slide
         this.goToSlide(0)
 
-        // Reset form data
-        this.formData = {}
+        // Reset form data (and saved sensitive values still being decrypted)
+        this.persistence.clearSensitive(this.formName)
+        this.formStore.clear('reset')
+        this.navigationPolicy.clear()
+        this.journey.clear()
 
         // Trigger reset event
         const resetEvent = new CustomEvent('formchippy:reset', {
@@ -1553,11 +1989,34 @@ class FormChippy {
      */
     destroy() {
         // Remove event listeners
-        window.removeEventListener('resize', this._handleResize.bind(this))
+        window.removeEventListener('resize', this._boundHandleResize)
 
         // Cleanup modules
         this.navigation.destroy()
+        this.hotkeys.destroy()
+        this.journey.destroy()
+        this.tabSync.destroy()
+        this.persistence.destroy()
+        this.sensitive.destroy()
+        this.validation.destroy()
+        this.errorSummary.destroy()
+        this.accessibility.destroy()
         this.progress.destroy()
+        this.donutProgress.destroy()
+        this.slideHistory.destroy()
+        this.conditions.destroy()
+        this.lifecycle.destroy()
+        this.navigationPolicy.destroy()
+        this.crossFieldRules.destroy()
+        this.asyncValidation.destroy()
+        this.questionTypes.destroy()
+        this.masks.destroy()
+
+        // Unregister so the container can be initialized again
+        if (FormChippy.instances[this.formName] === this) {
+            delete FormChippy.instances[this.formName]
+        }
+        this.container.formChippyInstance = null
 
         // Remove classes
         this.slides.forEach((slide) => {
@@ -1634,7 +2093,7 @@ const __updateGlobalFormData = () => {
                 `FormChippy: Added form to global FormChippy.forms: ${camelCaseName}`
             )
             if (instance.debug)
-                instance.debug.log(
+                instance.debug.info(
                     'Added form to global FormChippy.forms:',
                     camelCaseName
                 )
@@ -1656,7 +2115,7 @@ const create = (options) => {
     }
     FormChippy.instances[containerName] = instance // Register instance in static list
     if (instance.debug)
-        instance.debug.log('Instance created and registered:', containerName)
+        instance.debug.info('Instance created and registered:', containerName)
 
     // Dispatch init event for manually created instances too
     const initEvent = new CustomEvent('formchippy:init', {
@@ -1692,9 +2151,10 @@ const initAll = () => {
         if (!FormChippy.instances[containerName]) {
             // Retrieve options from data attributes
             const options = {}
-            // Make sure prototype options exist before iterating
-            const defaultOptions = FormChippy.prototype?.options || {}
+            // Map data-fc-* attributes onto the documented default options
+            const defaultOptions = FormChippy.defaults
             for (const key in defaultOptions) {
+                if (key === 'containerElement') continue
                 const dataAttr = `data-fc-${key
                     .replace(/([A-Z])/g, '-$1')
                     .toLowerCase()}`
@@ -1716,10 +2176,15 @@ const initAll = () => {
             const instance = new FormChippy(options)
             const instanceName =
                 instance.formName || `fc_instance_${Date.now()}`
-            if (!FormChippy.instances[instanceName]) {
+            // _init() registers the instance itself, so an entry pointing at
+            // this instance is the expected case
+            if (
+                !FormChippy.instances[instanceName] ||
+                FormChippy.instances[instanceName] === instance
+            ) {
                 FormChippy.instances[instanceName] = instance
                 if (instance.debug)
-                    instance.debug.log(
+                    instance.debug.info(
                         'Instance auto-initialized and registered:',
                         instanceName
                     )
@@ -1740,7 +2205,7 @@ const initAll = () => {
         } else {
             const existingInstance = FormChippy.instances[containerName]
             if (existingInstance && existingInstance.debug) {
-                existingInstance.debug.log(
+                existingInstance.debug.info(
                     'Skipping already registered container during initAll:',
                     containerName
                 )
@@ -1764,6 +2229,11 @@ if (typeof window !== 'undefined') {
         create: create,
         initAll: initAll,
         refreshFormData: __updateGlobalFormData,
+        registerQuestionType: FormChippy.registerQuestionType,
+        registerValidator: FormChippy.registerValidator,
+        registerLocale: FormChippy.registerLocale,
+        registerPersistenceAdapter: FormChippy.registerPersistenceAdapter,
+        registerMigration: FormChippy.registerMigration,
     }
 
     // Debug helper function to manually inspect instances
@@ -1809,16 +2279,16 @@ if (typeof window !== 'undefined') {
 
         // Debug message if debug is enabled on this instance
         if (instance.debug) {
-            instance.debug.log(
+            instance.debug.info(
                 `Form '${formName}' added to global window.FormChippy.forms as '${camelName}'`
             )
         }
     })
 
     // Auto-initialize on DOM load if the default setting is true
-    // Check the default option value from an instance's perspective
-    const tempOptions = new FormChippy({ autoInitialize: false }) // Create temp instance to read default
-    if (tempOptions.options.autoInitialize !== false) {
+    // Read the static defaults rather than constructing a throwaway instance,
+    // which would bind itself to the first container on the page
+    if (FormChippy.defaults.autoInitialize !== false) {
         // Check if default wasn't overridden to false
         if (document.readyState === 'loading') {
             document.addEventListener(
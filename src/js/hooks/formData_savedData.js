@@ -1,13 +1,17 @@
-export function data_applySavedFormData(savedData) {
+import { getValueType, coerceValue, formatValue } from '../core/value-types.js';
+import { DEFAULT_LOCALE } from '../core/i18n.js';
+import { getDataKey } from '../core/validation.js';
+
+export function data_applySavedFormData(savedData, root = document, locale = DEFAULT_LOCALE) {
     if (!savedData) return;
   
     Object.entries(savedData).forEach(([slideId, fields]) => {
-      data_applySavedDataToSlide(slideId, fields);
+      data_applySavedDataToSlide(slideId, fields, root, locale);
     });
 }
   
-function data_applySavedDataToSlide(slideId, fields) {
-    const slides = document.querySelectorAll(`[data-fc-slide="${slideId}"]`);
+function data_applySavedDataToSlide(slideId, fields, root = document, locale = DEFAULT_LOCALE) {
+    const slides = root.querySelectorAll(`[data-fc-slide="${slideId}"]`);
     console.log('SLIIIDDEESS', slides);
     if (!slides.length) return;
   
@@ -17,18 +21,22 @@ function data_applySavedDataToSlide(slideId, fields) {
   
       Object.entries(fields).forEach(([inputName, savedValue]) => {
         const radios = inputGroup.querySelectorAll(`input[name="${inputName}"]`);
-        const texts = inputGroup.querySelectorAll(`input[data-input="${inputName}"]`);
+        const texts = Array.from(inputGroup.querySelectorAll(`input[data-input="${inputName}"]`));
+        // Inputs in a radiofield stored under a generated key (e.g. 'lender-text')
+        inputGroup.querySelectorAll('[data-fc-element="radiofield"] input:not([type="radio"]):not([data-input])').forEach((input) => {
+          if (getDataKey(input) === inputName) texts.push(input);
+        });
         
         radios.forEach((input) => {
           if (input.type === 'radio' || input.type === 'checkbox') {
-            input.checked = input.value === savedValue;
+            input.checked = data_matchesSavedValue(input, savedValue);
             const event = new Event('change', { bubbles: true });
             input.dispatchEvent(event);
           }
         });
   
         texts.forEach((input) => {
-          input.value = savedValue;
+          input.value = formatValue(savedValue, getValueType(input), input, locale);
           const event = new Event('change', { bubbles: true });
           input.dispatchEvent(event);
         });
@@ -36,6 +44,16 @@ function data_applySavedDataToSlide(slideId, fields) {
     });
   }
 
+  // Compare a radio or checkbox with a saved value, as the value is stored (data-fc-type)
+  function data_matchesSavedValue(input, savedValue) {
+    const type = getValueType(input);
+    if (input.type === 'checkbox' && type === 'boolean') return savedValue === true;
+    if (Array.isArray(savedValue)) return savedValue.map(String).includes(input.value);
+
+    const value = type ? coerceValue(input.value, type) : input.value;
+    return String(value) === String(savedValue);
+  }
+
   export function data_cloneForm(formName) {
     const originalForm = document.querySelector(`[data-fc-container="${formName}"]`);
     const targetContainer = document.querySelector(`[data-form-copy="${formName}"]`);
@@ -4,6 +4,7 @@ import { flattenData } from "../data/flattenData.js";
 import { data_populateOutputValues } from "../data/outputData.js";
 import { table_noResults, table_initRender } from "../data/tableData.js";
 import { data_applySavedFormData } from "./formData_savedData.js";
+import { redactSensitive } from "../core/sensitive.js";
 import { adjustor_formatNumberWithCommas, adjustor_hideLoaders, adjustor_showElement, adjustor_showHiddenFields, adjustor_syncForms } from "./formElements_adjustors.js";
 
 export async function submitProducts(formData) {
@@ -12,7 +13,7 @@ export async function submitProducts(formData) {
 
     // -- Update the Outputs in Webflow:
   
-    console.log('FLATTEN', flattenForm);
+    console.log('FLATTEN', redactSensitive(flattenForm));
 
     /*
     "input": {
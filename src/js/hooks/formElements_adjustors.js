@@ -1,3 +1,5 @@
+import { formatNumber, DEFAULT_LOCALE } from '../core/i18n.js';
+
 export function adjustor_showHiddenFields(toggle) {
   const elements = document.querySelectorAll('[data-output-hide]');
 
@@ -76,10 +78,8 @@ export function adjustor_showHiddenFields(toggle) {
     return lowestRate;
   }
 
-  export function adjustor_formatNumberWithCommas(value) {
-    const number = parseFloat(value);
-    if (isNaN(number)) return value; 
-    return number.toLocaleString('en-UK'); 
+  export function adjustor_formatNumberWithCommas(value, locale = DEFAULT_LOCALE) {
+    return formatNumber(value, locale);
   }
 
   export function adjustor_syncForms(formData) {
@@ -3,7 +3,17 @@
  * Handles date, time, and datetime inputs with enhanced UI
  */
 
+// Placeholder messages (see I18n.js), by input type
+const PLACEHOLDER_KEYS = {
+    date: 'date-placeholder',
+    time: 'time-placeholder',
+    'datetime-local': 'datetime-placeholder'
+};
+
 export class DateInput {
+    // Inputs checked by validate()
+    static selector = 'input[type="date"], input[type="time"], input[type="datetime-local"]';
+
     constructor(formChippy) {
         this.formChippy = formChippy;
         this.options = formChippy.options;
@@ -32,11 +42,8 @@ export class DateInput {
                 this._enhanceDateInput(dateInput);
             }
             
-            // Handle change event
+            // Handle change event (Validation revalidates the date)
             dateInput.addEventListener('change', () => {
-                // Clear any errors on change
-                this.formChippy.validation.clearInputError(dateInput);
-                
                 // Auto-advance if enabled
                 if (dateInput.hasAttribute('data-fc-auto-advance')) {
                     // Find the slide containing this input
@@ -47,61 +54,62 @@ export class DateInput {
                     if (slideIndex < this.formChippy.totalSlides - 1) {
                         // Short delay to show selection before advancing
                         setTimeout(() => {
-                            this.formChippy.goToSlide(slideIndex + 1);
+                            this.formChippy.goToSlide(this.formChippy.branching.resolveNextIndex(slideIndex));
                         }, 300);
                     }
                 }
             });
-            
-            // Handle validation
-            dateInput.addEventListener('blur', () => {
-                // Validate if required
-                if ((dateInput.hasAttribute('required') || dateInput.hasAttribute('data-fc-required')) && !dateInput.value) {
-                    this.formChippy.validation.showInputError(dateInput, 'This field is required');
-                }
-                
-                // Validate min/max dates
-                if (dateInput.value) {
-                    const inputValue = new Date(dateInput.value);
-                    
-                    // Check min date
-                    if (dateInput.hasAttribute('min')) {
-                        const minDate = new Date(dateInput.getAttribute('min'));
-                        if (inputValue < minDate) {
-                            const minFormatted = this._formatDate(minDate, dateInput.type);
-                            this.formChippy.validation.showInputError(dateInput, 
-                                `Please select a date on or after ${minFormatted}`);
-                        }
-                    }
-                    
-                    // Check max date
-                    if (dateInput.hasAttribute('max')) {
-                        const maxDate = new Date(dateInput.getAttribute('max'));
-                        if (inputValue > maxDate) {
-                            const maxFormatted = this._formatDate(maxDate, dateInput.type);
-                            this.formChippy.validation.showInputError(dateInput, 
-                                `Please select a date on or before ${maxFormatted}`);
-                        }
-                    }
-                }
-            });
         });
     }
     
     /**
-     * Format a date object based on the input type
+     * Check min and max dates (question type validate hook, run by Validation at the
+     * input's data-fc-validate-on moment)
+     * @param {HTMLInputElement} dateInput - The date, time or datetime-local input
+     * @param {string} value - The trimmed, non-empty value
+     * @returns {string|null} The error message, or null if valid
+     */
+    validate(dateInput, value) {
+        // YYYY-MM-DD, HH:MM and YYYY-MM-DDTHH:MM values sort in date order as text
+        const min = dateInput.getAttribute('min');
+        if (min && value < min) {
+            return this.formChippy.i18n.t('date-min', { date: this._formatBound(min, dateInput.type) }, dateInput);
+        }
+        
+        const max = dateInput.getAttribute('max');
+        if (max && value > max) {
+            return this.formChippy.i18n.t('date-max', { date: this._formatBound(max, dateInput.type) }, dateInput);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Format a min or max attribute for a message
+     * @private
+     */
+    _formatBound(bound, type) {
+        // A time on its own is not a valid Date
+        const date = new Date(type === 'time' ? `1970-01-01T${bound}` : bound);
+        return isNaN(date) ? bound : this._formatDate(date, type);
+    }
+    
+    /**
+     * Format a date object based on the input type, in the form's locale
      * @param {Date} date - The date to format
      * @param {string} type - The input type (date, time, datetime-local)
      * @returns {string} - Formatted date string
      * @private
      */
     _formatDate(date, type) {
+        const i18n = this.formChippy.i18n;
+        const time = { hour: '2-digit', minute: '2-digit' };
         if (type === 'time') {
-            return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            return i18n.formatDate(date, time);
         } else if (type === 'datetime-local') {
-            return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            return i18n.formatDate(date) + ' ' + i18n.formatDate(date, time);
         } else {
-            return date.toLocaleDateString();
+            return i18n.formatDate(date);
         }
     }
     
@@ -145,11 +153,14 @@ export class DateInput {
         const display = document.createElement('div');
         display.className = 'fc-date-display';
         
+        const placeholder = dateInput.getAttribute('placeholder') ||
+            this.formChippy.i18n.t(PLACEHOLDER_KEYS[inputType], {}, dateInput);
+        
         // Set initial display text
         if (dateInput.value) {
             display.textContent = this._formatDate(new Date(dateInput.value), inputType);
         } else {
-            display.textContent = dateInput.getAttribute('placeholder') || 'Select date';
+            display.textContent = placeholder;
             display.classList.add('fc-date-placeholder');
         }
         
@@ -171,7 +182,7 @@ export class DateInput {
                 display.textContent = this._formatDate(new Date(dateInput.value), inputType);
                 display.classList.remove('fc-date-placeholder');
             } else {
-                display.textContent = dateInput.getAttribute('placeholder') || 'Select date';
+                display.textContent = placeholder;
                 display.classList.add('fc-date-placeholder');
             }
         });
@@ -191,8 +202,7 @@ export class DateInput {
             name,
             id = name,
             type = 'date',
-            placeholder = type === 'date' ? 'Select date' : 
-                         type === 'time' ? 'Select time' : 'Select date and time',
+            placeholder = this.formChippy.i18n.t(PLACEHOLDER_KEYS[type] || 'date-placeholder', {}, container),
             value = '',
             min,
             max,
@@ -263,8 +273,8 @@ export class DateInput {
             startId = startName,
             endId = endName,
             type = 'date',
-            startPlaceholder = 'Start date',
-            endPlaceholder = 'End date',
+            startPlaceholder = this.formChippy.i18n.t('date-range-start', {}, container),
+            endPlaceholder = this.formChippy.i18n.t('date-range-end', {}, container),
             startValue = '',
             endValue = '',
             min,
@@ -341,26 +351,15 @@ export class DateInput {
         // Add wrapper to container
         container.appendChild(wrapper);
         
-        // Set up interdependent validation
+        // Set up interdependent validation: the end date can't be before the start date
         startDate.addEventListener('change', () => {
             if (startDate.value) {
                 // Update end date min value to be the selected start date
                 endDate.min = startDate.value;
                 
-                // Show error if end date is before start date
-                if (endDate.value && new Date(endDate.value) < new Date(startDate.value)) {
-                    this.formChippy.validation.showInputError(endDate, 
-                        'End date must be after start date');
-                }
-            }
-        });
-        
-        endDate.addEventListener('change', () => {
-            if (endDate.value && startDate.value) {
-                // Show error if end date is before start date
-                if (new Date(endDate.value) < new Date(startDate.value)) {
-                    this.formChippy.validation.showInputError(endDate, 
-                        'End date must be after start date');
+                // Recheck the end date against its new min (when its timing allows)
+                if (endDate.value) {
+                    this.formChippy.validation.validateField(endDate, 'blur');
                 }
             }
         });
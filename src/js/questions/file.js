@@ -4,10 +4,14 @@
  */
 
 export class FileInput {
+    // Inputs checked by validate()
+    static selector = 'input[type="file"]';
+
     constructor(formChippy) {
         this.formChippy = formChippy;
         this.options = formChippy.options;
         this.files = new Map(); // Store files by input id
+        this.rejections = new Map(); // Why the latest selection was rejected, by input
         
         // Initialize
         this._init();
@@ -79,15 +83,15 @@ export class FileInput {
         const button = document.createElement('span');
         button.className = 'fc-file-button';
         button.innerHTML = '<svg viewBox="0 0 24 24" width="24" height="24"><path d="M9 16h6v-6h4l-7-7-7 7h4v6zm-4 2h14v2H5v-2z" fill="currentColor"></path></svg>';
-        button.innerHTML += '<span>Choose file' + (multiple ? 's' : '') + '</span>';
+        const buttonText = document.createElement('span');
+        buttonText.textContent = this.formChippy.i18n.t(multiple ? 'file-choose-multiple' : 'file-choose', {}, fileInput);
+        button.appendChild(buttonText);
         label.appendChild(button);
         
         // Create file info area
         const infoArea = document.createElement('div');
         infoArea.className = 'fc-file-info';
-        infoArea.textContent = multiple 
-            ? 'No files chosen' 
-            : 'No file chosen';
+        infoArea.textContent = this._noFilesText(fileInput);
         wrapper.appendChild(infoArea);
         
         // Create help text with file type and size restrictions
@@ -96,24 +100,24 @@ export class FileInput {
         
         // Create file type text
         if (accept) {
-            const acceptText = this._formatAcceptText(accept);
+            const acceptText = this._formatAcceptText(accept, fileInput);
             const fileTypeText = document.createElement('div');
             fileTypeText.className = 'fc-file-type-text';
-            fileTypeText.textContent = `Accepted file types: ${acceptText}`;
+            fileTypeText.textContent = this.formChippy.i18n.t('file-accepted-types', { types: acceptText }, fileInput);
             helpText.appendChild(fileTypeText);
         }
         
         // Create max size text
         const maxSizeText = document.createElement('div');
         maxSizeText.className = 'fc-file-size-text';
-        maxSizeText.textContent = `Maximum file size: ${maxSize}MB`;
+        maxSizeText.textContent = this.formChippy.i18n.t('file-max-size', { size: Number(maxSize) }, fileInput);
         helpText.appendChild(maxSizeText);
         
         // Create max files text for multiple files
         if (multiple) {
             const maxFilesText = document.createElement('div');
             maxFilesText.className = 'fc-file-count-text';
-            maxFilesText.textContent = `Maximum number of files: ${maxFiles}`;
+            maxFilesText.textContent = this.formChippy.i18n.t('file-max-count', { count: Number(maxFiles) }, fileInput);
             helpText.appendChild(maxFilesText);
         }
         
@@ -125,28 +129,25 @@ export class FileInput {
             previewContainer.className = 'fc-file-preview-container';
             wrapper.appendChild(previewContainer);
         }
-        
-        // Create error container
-        const errorContainer = document.createElement('div');
-        errorContainer.className = 'fc-file-error';
-        wrapper.appendChild(errorContainer);
     }
     
     /**
      * Format the accept attribute to human-readable text
      * @param {string} accept - The accept attribute value
+     * @param {HTMLInputElement} fileInput - The file input, which may override the messages
      * @returns {string} - Formatted file types
      * @private
      */
-    _formatAcceptText(accept) {
-        if (!accept) return 'All files';
+    _formatAcceptText(accept, fileInput) {
+        const i18n = this.formChippy.i18n;
+        if (!accept) return i18n.t('file-type-all', {}, fileInput);
         
         const types = accept.split(',').map(type => {
             type = type.trim();
             
             // Handle image/*, video/*, etc.
             if (type.endsWith('/*')) {
-                return type.replace('/*', ' files');
+                return i18n.t('file-type-group', { group: type.replace('/*', '') }, fileInput);
             }
             
             // Handle extensions like .jpg, .pdf
@@ -156,25 +157,34 @@ export class FileInput {
             
             // Handle specific mime types
             const mimeMap = {
-                'image/jpeg': 'JPEG images',
-                'image/png': 'PNG images',
-                'image/gif': 'GIF images',
-                'image/svg+xml': 'SVG images',
-                'application/pdf': 'PDF documents',
-                'application/msword': 'Word documents',
-                'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word documents',
-                'application/vnd.ms-excel': 'Excel spreadsheets',
-                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel spreadsheets',
-                'text/plain': 'Text files',
-                'text/csv': 'CSV files'
+                'image/jpeg': 'file-type-jpeg',
+                'image/png': 'file-type-png',
+                'image/gif': 'file-type-gif',
+                'image/svg+xml': 'file-type-svg',
+                'application/pdf': 'file-type-pdf',
+                'application/msword': 'file-type-word',
+                'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'file-type-word',
+                'application/vnd.ms-excel': 'file-type-excel',
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'file-type-excel',
+                'text/plain': 'file-type-text',
+                'text/csv': 'file-type-csv'
             };
             
-            return mimeMap[type] || type;
+            return mimeMap[type] ? i18n.t(mimeMap[type], {}, fileInput) : type;
         });
         
         return types.join(', ');
     }
     
+    /**
+     * Get the "No file chosen" text for an input
+     * @private
+     */
+    _noFilesText(fileInput) {
+        const key = fileInput.hasAttribute('multiple') ? 'file-none-multiple' : 'file-none';
+        return this.formChippy.i18n.t(key, {}, fileInput);
+    }
+    
     /**
      * Handle file selection from the input
      * @param {HTMLInputElement} fileInput - The file input element
@@ -191,20 +201,15 @@ export class FileInput {
         // Get UI elements
         const wrapper = fileInput.closest('.fc-file-upload');
         const infoArea = wrapper.querySelector('.fc-file-info');
-        const errorContainer = wrapper.querySelector('.fc-file-error');
         const previewContainer = wrapper.querySelector('.fc-file-preview-container');
         
-        // Clear previous errors
-        this.formChippy.validation.clearInputError(fileInput);
-        errorContainer.textContent = '';
-        
         // Validate files
         let errorMessage = '';
         let validFiles = [];
         
         // Check max files
         if (multiple && files.length > maxFiles) {
-            errorMessage = `Too many files. Maximum ${maxFiles} files allowed.`;
+            errorMessage = this.formChippy.i18n.t('file-too-many', { count: maxFiles }, fileInput);
         }
         
         // Check each file
@@ -214,13 +219,17 @@ export class FileInput {
                 
                 // Check file size
                 if (file.size > maxSize) {
-                    errorMessage = `File "${file.name}" exceeds the maximum size of ${maxSize / (1024 * 1024)}MB.`;
+                    errorMessage = this.formChippy.i18n.t(
+                        'file-too-large',
+                        { name: file.name, size: maxSize / (1024 * 1024) },
+                        fileInput
+                    );
                     break;
                 }
                 
                 // Check file type if accept is specified
                 if (accept && !this._isFileTypeAccepted(file, accept)) {
-                    errorMessage = `File "${file.name}" is not an accepted file type.`;
+                    errorMessage = this.formChippy.i18n.t('file-wrong-type', { name: file.name }, fileInput);
                     break;
                 }
                 
@@ -228,12 +237,12 @@ export class FileInput {
             }
         }
         
-        // Display error if any
+        // Keep the error for validate(), which Validation shows like any other field's error
         if (errorMessage) {
-            this.formChippy.validation.showInputError(fileInput, errorMessage);
-            errorContainer.textContent = errorMessage;
+            this.rejections.set(fileInput, errorMessage);
             return;
         }
+        this.rejections.delete(fileInput);
         
         // Store valid files
         const fileMap = this.files.get(fileInput.id || fileInput.name);
@@ -245,11 +254,11 @@ export class FileInput {
         
         // Update info area
         if (validFiles.length === 0) {
-            infoArea.textContent = multiple ? 'No files chosen' : 'No file chosen';
+            infoArea.textContent = this._noFilesText(fileInput);
         } else if (validFiles.length === 1) {
             infoArea.textContent = validFiles[0].name;
         } else {
-            infoArea.textContent = `${validFiles.length} files selected`;
+            infoArea.textContent = this.formChippy.i18n.t('file-selected', { count: validFiles.length }, fileInput);
         }
         
         // Update preview if enabled
@@ -258,6 +267,15 @@ export class FileInput {
         }
     }
     
+    /**
+     * Report a rejected selection (question type validate hook)
+     * @param {HTMLInputElement} fileInput - The file input
+     * @returns {string|null} Why the files were rejected, or null if they were kept
+     */
+    validate(fileInput) {
+        return this.rejections.get(fileInput) || null;
+    }
+    
     /**
      * Check if a file type is accepted
      * @param {File} file - The file to check
@@ -346,7 +364,7 @@ export class FileInput {
             removeBtn.className = 'fc-file-remove';
             removeBtn.innerHTML = '&times;';
             removeBtn.type = 'button';
-            removeBtn.setAttribute('aria-label', 'Remove file');
+            removeBtn.setAttribute('aria-label', this.formChippy.i18n.t('file-remove', {}, fileInput));
             
             // Handle remove button click
             removeBtn.addEventListener('click', (e) => {
@@ -365,11 +383,11 @@ export class FileInput {
                 const remainingFiles = fileMap.size;
                 
                 if (remainingFiles === 0) {
-                    infoArea.textContent = fileInput.hasAttribute('multiple') ? 'No files chosen' : 'No file chosen';
+                    infoArea.textContent = this._noFilesText(fileInput);
                 } else if (remainingFiles === 1) {
                     infoArea.textContent = Array.from(fileMap.values())[0].name;
                 } else {
-                    infoArea.textContent = `${remainingFiles} files selected`;
+                    infoArea.textContent = this.formChippy.i18n.t('file-selected', { count: remainingFiles }, fileInput);
                 }
                 
                 // Clear the file input
@@ -393,7 +411,16 @@ export class FileInput {
         // Add instructional text
         const dropText = document.createElement('div');
         dropText.className = 'fc-drop-text';
-        dropText.innerHTML = 'Drop files here or <span>browse</span>';
+        
+        // "Drop files here or <span>browse</span>", in the form's language
+        const i18n = this.formChippy.i18n;
+        const browse = document.createElement('span');
+        browse.textContent = i18n.t('file-browse', {}, fileInput);
+        const template = i18n.template('file-drop', fileInput) || '';
+        template.split('{browse}').forEach((text, i) => {
+            if (i > 0) dropText.appendChild(browse);
+            if (text) dropText.appendChild(document.createTextNode(text));
+        });
         
         // Add to the button area
         const button = dropZone.querySelector('.fc-file-button');
@@ -422,9 +449,10 @@ export class FileInput {
             
             // Handle the dropped files
             if (e.dataTransfer.files.length) {
-                // Set the files to the input and trigger change event
+                // Set the files to the input and trigger change event (bubbling, so the
+                // form data and validation see it like a picked file)
                 fileInput.files = e.dataTransfer.files;
-                fileInput.dispatchEvent(new Event('change'));
+                fileInput.dispatchEvent(new Event('change', { bubbles: true }));
             }
         });
     }
@@ -25,11 +25,8 @@ export class RadioInput {
             const radios = group.querySelectorAll(`${this.options.inputSelector}[type="radio"]`);
             
             radios.forEach(radio => {
-                // Change event for auto-advance
+                // Change event for auto-advance (Validation revalidates the group)
                 radio.addEventListener('change', () => {
-                    // Clear any errors
-                    this.formChippy.validation.clearInputError(radio);
-                    
                     // Auto-advance if enabled
                     if (radio.hasAttribute('data-fc-auto-advance') || 
                         group.hasAttribute('data-fc-auto-advance')) {
@@ -42,7 +39,7 @@ export class RadioInput {
                         if (slideIndex < this.formChippy.totalSlides - 1) {
                             // Short delay to show selection before advancing
                             setTimeout(() => {
-                                this.formChippy.goToSlide(slideIndex + 1);
+                                this.formChippy.goToSlide(this.formChippy.branching.resolveNextIndex(slideIndex));
                             }, 300);
                         }
                     }
@@ -29,11 +29,8 @@ export class SelectInput {
                 this._enhanceSelect(select);
             }
             
-            // Change event
+            // Change event (Validation revalidates the select)
             select.addEventListener('change', () => {
-                // Clear any errors
-                this.formChippy.validation.clearInputError(select);
-                
                 // Auto-advance if enabled
                 if (select.hasAttribute('data-fc-auto-advance')) {
                     // Find the slide containing this select
@@ -44,7 +41,7 @@ export class SelectInput {
                     if (slideIndex < this.formChippy.totalSlides - 1 && select.value) {
                         // Short delay to show selection before advancing
                         setTimeout(() => {
-                            this.formChippy.goToSlide(slideIndex + 1);
+                            this.formChippy.goToSlide(this.formChippy.branching.resolveNextIndex(slideIndex));
                         }, 300);
                     }
                 }
@@ -78,7 +75,7 @@ export class SelectInput {
         // Create selected value display
         const selectedValue = document.createElement('div');
         selectedValue.className = 'fc-select-value';
-        selectedValue.textContent = select.options[select.selectedIndex]?.text || select.getAttribute('placeholder') || 'Select an option';
+        selectedValue.textContent = select.options[select.selectedIndex]?.text || select.getAttribute('placeholder') || this.formChippy.i18n.t('select-placeholder', {}, select);
         
         // Create arrow
         const arrow = document.createElement('div');
@@ -156,7 +153,7 @@ export class SelectInput {
         
         // Update on select change
         select.addEventListener('change', () => {
-            selectedValue.textContent = select.options[select.selectedIndex]?.text || 'Select an option';
+            selectedValue.textContent = select.options[select.selectedIndex]?.text || this.formChippy.i18n.t('select-placeholder', {}, select);
             
             // Update selected option in dropdown
             Array.from(dropdown.children).forEach(option => {
@@ -356,7 +353,7 @@ export class SelectInput {
             name,
             id = name,
             options = [],
-            placeholder = 'Select an option',
+            placeholder = this.formChippy.i18n.t('select-placeholder', {}, container),
             required = false,
             autoAdvance = false,
             enhanced = true,
@@ -25,13 +25,8 @@ export class TextInput {
              ${this.options.inputSelector}[type="tel"]`
         );
         
-        // Add event listeners
+        // Add event listeners (Validation checks the input at its data-fc-validate-on moment)
         textInputs.forEach(input => {
-            // Input validation
-            input.addEventListener('input', () => {
-                this.formChippy.validation.clearInputError(input);
-            });
-            
             // Enter key handling
             input.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') {
@@ -48,60 +43,12 @@ export class TextInput {
     }
     
     /**
-     * Format input based on type (if needed)
+     * Format an input with its mask (data-fc-mask, or data-format="phone|currency")
+     * Masked inputs are already formatted as the user types; use this after setting
+     * input.value directly
      * @param {HTMLElement} input - Input element
      */
     formatInput(input) {
-        // Add specialized formatting as needed
-        // For example, phone number formatting, currency formatting, etc.
-        
-        if (input.hasAttribute('data-format')) {
-            const format = input.getAttribute('data-format');
-            
-            switch(format) {
-                case 'phone':
-                    this._formatPhone(input);
-                    break;
-                case 'currency':
-                    this._formatCurrency(input);
-                    break;
-                // Add other formatting options as needed
-            }
-        }
-    }
-    
-    /**
-     * Format phone number
-     * @param {HTMLElement} input - Input element
-     * @private
-     */
-    _formatPhone(input) {
-        // Simple phone formatting example
-        const value = input.value.replace(/\D/g, '');
-        if (value.length <= 10) {
-            let formatted = '';
-            
-            if (value.length > 0) formatted += '(' + value.substring(0, 3);
-            if (value.length > 3) formatted += ') ' + value.substring(3, 6);
-            if (value.length > 6) formatted += '-' + value.substring(6, 10);
-            
-            input.value = formatted;
-        }
-    }
-    
-    /**
-     * Format currency
-     * @param {HTMLElement} input - Input element
-     * @private
-     */
-    _formatCurrency(input) {
-        // Simple currency formatting example
-        const value = parseFloat(input.value.replace(/[^\d.-]/g, ''));
-        if (!isNaN(value)) {
-            input.value = value.toLocaleString('en-US', {
-                style: 'currency',
-                currency: 'USD'
-            });
-        }
+        this.formChippy.masks.apply(input);
     }
 }
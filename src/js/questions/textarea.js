@@ -4,6 +4,9 @@
  */
 
 export class TextareaInput {
+    // Inputs checked by validate()
+    static selector = 'textarea, [data-fc-textarea]';
+
     constructor(formChippy) {
         this.formChippy = formChippy;
         this.options = formChippy.options;
@@ -33,41 +36,36 @@ export class TextareaInput {
             if (textarea.hasAttribute('data-fc-char-count') || textarea.hasAttribute('maxlength')) {
                 this._setupCharacterCounter(textarea);
             }
-            
-            // Handle input events
-            textarea.addEventListener('input', () => {
-                // Clear any errors on input
-                this.formChippy.validation.clearInputError(textarea);
-            });
-            
-            // Handle blur events for validation
-            textarea.addEventListener('blur', () => {
-                if (textarea.hasAttribute('data-fc-required') || textarea.hasAttribute('required')) {
-                    if (!textarea.value.trim()) {
-                        this.formChippy.validation.showInputError(textarea, 'This field is required');
-                    }
-                }
-                
-                // Check pattern if specified
-                if (textarea.hasAttribute('data-fc-pattern')) {
-                    const pattern = new RegExp(textarea.getAttribute('data-fc-pattern'));
-                    if (textarea.value && !pattern.test(textarea.value)) {
-                        const errorMessage = textarea.getAttribute('data-fc-pattern-message') || 'Please match the requested format';
-                        this.formChippy.validation.showInputError(textarea, errorMessage);
-                    }
-                }
-                
-                // Check min/max length
-                if (textarea.hasAttribute('minlength') && textarea.value) {
-                    const minLength = parseInt(textarea.getAttribute('minlength'), 10);
-                    if (textarea.value.length < minLength) {
-                        this.formChippy.validation.showInputError(textarea, `Please lengthen this text to ${minLength} characters or more`);
-                    }
-                }
-            });
         });
     }
     
+    /**
+     * Check data-fc-pattern and minlength (question type validate hook, run by Validation
+     * at the textarea's data-fc-validate-on moment)
+     * @param {HTMLTextAreaElement} textarea - The textarea
+     * @returns {string|null} The error message, or null if valid
+     */
+    validate(textarea) {
+        // Check pattern if specified
+        if (textarea.hasAttribute('data-fc-pattern')) {
+            const pattern = new RegExp(textarea.getAttribute('data-fc-pattern'));
+            if (!pattern.test(textarea.value)) {
+                return textarea.getAttribute('data-fc-pattern-message') ||
+                    this.formChippy.i18n.t('textarea-pattern', {}, textarea);
+            }
+        }
+        
+        // Check min length
+        if (textarea.hasAttribute('minlength')) {
+            const minLength = parseInt(textarea.getAttribute('minlength'), 10);
+            if (textarea.value.length < minLength) {
+                return this.formChippy.i18n.t('textarea-minlength', { length: minLength }, textarea);
+            }
+        }
+        
+        return null;
+    }
+    
     /**
      * Set up auto-resize functionality for a textarea
      * @param {HTMLTextAreaElement} textarea - The textarea element
@@ -24,11 +24,8 @@ export class ToggleInput {
         
         // Add event listeners
         checkboxes.forEach(checkbox => {
-            // Change event
+            // Change event (Validation revalidates the checkbox)
             checkbox.addEventListener('change', () => {
-                // Clear any errors
-                this.formChippy.validation.clearInputError(checkbox);
-                
                 // Auto-advance if enabled
                 if (checkbox.hasAttribute('data-fc-auto-advance')) {
                     // Find the slide containing this checkbox
@@ -39,7 +36,7 @@ export class ToggleInput {
                     if (slideIndex < this.formChippy.totalSlides - 1) {
                         // Short delay to show selection before advancing
                         setTimeout(() => {
-                            this.formChippy.goToSlide(slideIndex + 1);
+                            this.formChippy.goToSlide(this.formChippy.branching.resolveNextIndex(slideIndex));
                         }, 300);
                     }
                 }